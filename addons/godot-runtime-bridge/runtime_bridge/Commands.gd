@@ -17,11 +17,14 @@ const COMMAND_TIERS: Dictionary = {
 	"network_state": Tier.OBSERVE,
 
 	"click":         Tier.INPUT,
+	"hover":         Tier.INPUT,
 	"key":           Tier.INPUT,
+	"type_text":     Tier.INPUT,
 	"press_button":  Tier.INPUT,
 	"drag":          Tier.INPUT,
 	"scroll":        Tier.INPUT,
 	"gesture":       Tier.INPUT,
+	"touch":         Tier.INPUT,
 
 	"set_property":  Tier.CONTROL,
 	"call_method":   Tier.CONTROL,
@@ -32,6 +35,7 @@ const COMMAND_TIERS: Dictionary = {
 	"run_custom_command": Tier.CONTROL,
 	"grb_performance":   Tier.OBSERVE,
 	"find_nodes":        Tier.OBSERVE,
+	"node_rect":         Tier.OBSERVE,
 	"gamepad":           Tier.INPUT,
 }
 
@@ -49,10 +49,16 @@ var _bind_port: int = 0
 var _pending_release: bool = false
 var _release_pos: Vector2
 var _release_button: int
+# Last injected pointer position: where hover paths start, and motion `relative`
+var _pointer_pos := Vector2.ZERO
 
 # Async wait_for tracking
 var _pending_waits: Array = []
 
+# Timed input (held keys, typing intervals): {due_ms, event, req_id, result},
+# injected from _process once due; the entry with a req_id sends the response
+var _scheduled_input: Array = []
+
 # GDRB_FORCE_WINDOWED: enforce windowed mode for N frames to override project fullscreen settings
 var _force_windowed_frames: int = 0
 var _force_windowed_size: Vector2i = Vector2i(960, 540)
@@ -281,6 +287,9 @@ func _process(_delta: float) -> void:
 		_inject_mouse_release(_release_pos, _release_button)
 		_pending_release = false
 
+	# Inject timed input that is due
+	_poll_scheduled_input()
+
 	# Process async wait_for polls
 	_poll_pending_waits()
 
@@ -341,7 +350,10 @@ func _dispatch(req: Dictionary) -> void:
 		_start_wait_for(req_id, args)
 		return
 
-	_enqueue_response(_execute(cmd, args, req_id))
+	# Timed input commands return {} and respond after their last event
+	var resp := _execute(cmd, args, req_id)
+	if not resp.is_empty():
+		_enqueue_response(resp)
 
 
 # ── Command execution (main thread only) ──
@@ -376,9 +388,13 @@ func _execute(cmd: String, args: Dictionary, req_id: String) -> Dictionary:
 		"get_errors":
 			return _cmd_get_errors(req_id, args)
 		"click":
-			return _cmd_click(req_id, int(args.get("x", 0)), int(args.get("y", 0)))
+			return _cmd_click(req_id, args)
+		"hover":
+			return _cmd_hover(req_id, args)
 		"key":
 			return _cmd_key(req_id, args)
+		"type_text":
+			return _cmd_type_text(req_id, args)
 		"press_button":
 			return _cmd_press_button(req_id, str(args.get("name", "")))
 		"drag":
@@ -387,6 +403,8 @@ func _execute(cmd: String, args: Dictionary, req_id: String) -> Dictionary:
 			return _cmd_scroll(req_id, args)
 		"gesture":
 			return _cmd_gesture(req_id, args)
+		"touch":
+			return _cmd_touch(req_id, args)
 		"audio_state":
 			return _cmd_audio_state(req_id)
 		"network_state":
@@ -401,6 +419,8 @@ func _execute(cmd: String, args: Dictionary, req_id: String) -> Dictionary:
 			return _cmd_grb_performance(req_id)
 		"find_nodes":
 			return _cmd_find_nodes(req_id, args)
+		"node_rect":
+			return _cmd_node_rect(req_id, args)
 		"gamepad":
 			return _cmd_gamepad(req_id, args)
 		_:
@@ -456,6 +476,7 @@ func _cmd_runtime_info(req_id: String) -> Dictionary:
 		"engine_version": Engine.get_version_info().get("string", "unknown"),
 		"fps": Engine.get_frames_per_second(),
 		"process_frames": Engine.get_process_frames(),
+		"ticks_msec": Time.get_ticks_msec(),
 		"time_scale": Engine.time_scale,
 		"current_scene": "",
 		"node_count": get_tree().root.get_child_count(),
@@ -534,45 +555,98 @@ func _poll_pending_waits() -> void:
 
 # ── Tier 1: Input ──
 
-func _cmd_click(req_id: String, x: int, y: int) -> Dictionary:
-	var pos := Vector2(x, y)
+func _cmd_click(req_id: String, args: Dictionary) -> Dictionary:
+	var target := _resolve_target(args)
+	if target.has("error_code"):
+		return _Protocol.error(req_id, target["error_code"], target["error_msg"])
+	var button: int = _MOUSE_BUTTONS.get(str(args.get("button", "left")), MOUSE_BUTTON_NONE)
+	if button == MOUSE_BUTTON_NONE:
+		return _Protocol.error(req_id, "bad_args", "'button' must be 'left', 'right' or 'middle'")
+	var pos: Vector2 = target["pos"]
 	if _input_mode == "os":
 		var motion := InputEventMouseMotion.new()
 		motion.position = pos
 		motion.global_position = pos
 		Input.parse_input_event(motion)
 		get_viewport().warp_mouse(pos)
-	_inject_mouse_press(x, y, MOUSE_BUTTON_LEFT)
+	if bool(args.get("double", false)):
+		# Second press carries double_click, as the OS reports it
+		return _play_input(req_id, [
+			{"delay_ms": 0, "event": _mouse_button_event(pos, button, true)},
+			{"delay_ms": 1, "event": _mouse_button_event(pos, button, false)},
+			{"delay_ms": 1, "event": _mouse_button_event(pos, button, true, true)},
+			{"delay_ms": 1, "event": _mouse_button_event(pos, button, false)},
+		], _target_result(target))
+	_inject_mouse_press(int(pos.x), int(pos.y), button)
 	_pending_release = true
 	_release_pos = pos
-	_release_button = MOUSE_BUTTON_LEFT
-	return _Protocol.ok(req_id)
+	_release_button = button
+	return _Protocol.ok(req_id, _target_result(target))
+
+
+## Pointer motion with no button held: from `from` (default: the last pointer
+## position) through `waypoints` to the target. Without duration_ms or steps
+## it jumps, one motion event per segment.
+func _cmd_hover(req_id: String, args: Dictionary) -> Dictionary:
+	var target := _resolve_target(args)
+	if target.has("error_code"):
+		return _Protocol.error(req_id, target["error_code"], target["error_msg"])
+	var path := _resolve_path(args)
+	if path.has("error_code"):
+		return _Protocol.error(req_id, path["error_code"], path["error_msg"])
+	var pos: Vector2 = target["pos"]
+	var points: Array = [_pointer_pos]
+	if args.get("from") != null:
+		var from_target := _resolve_point(args["from"], "from")
+		if from_target.has("error_code"):
+			return _Protocol.error(req_id, from_target["error_code"], from_target["error_msg"])
+		points = [from_target["pos"]]
+	points.append_array(path["waypoints"])
+	points.append(pos)
+	var seq: Array = []
+	if args.get("from") != null:
+		seq.append({"delay_ms": 0, "event": _motion_event(points[0], points[0] - _pointer_pos, 0)})
+	seq.append_array(_path_motions(points, path["steps"], path["duration_ms"], 0))
+	return _play_input(req_id, seq, _target_result(target))
 
 
 func _inject_mouse_press(x: int, y: int, button: int) -> void:
-	var e := InputEventMouseButton.new()
-	e.position = Vector2(x, y)
-	e.global_position = Vector2(x, y)
-	e.button_index = button
-	e.button_mask = MOUSE_BUTTON_MASK_LEFT if button == MOUSE_BUTTON_LEFT else 0
-	e.pressed = true
-	_inject_event(e)
+	_inject_event(_mouse_button_event(Vector2(x, y), button, true))
 
 
-func _inject_mouse_release(pos: Vector2, button: int) -> void:
+func _mouse_button_event(pos: Vector2, button: int, pressed: bool, double_click: bool = false) -> InputEventMouseButton:
 	var e := InputEventMouseButton.new()
 	e.position = pos
 	e.global_position = pos
 	e.button_index = button
-	e.button_mask = 0
-	e.pressed = false
-	_inject_event(e)
+	e.button_mask = 1 << (button - 1) if pressed else 0
+	e.pressed = pressed
+	e.double_click = double_click
+	return e
+
+
+func _motion_event(pos: Vector2, relative: Vector2, button_mask: int) -> InputEventMouseMotion:
+	var e := InputEventMouseMotion.new()
+	e.position = pos
+	e.global_position = pos
+	e.relative = relative
+	e.button_mask = button_mask
+	return e
+
+
+func _inject_mouse_release(pos: Vector2, button: int) -> void:
+	_inject_event(_mouse_button_event(pos, button, false))
 
 
 ## Routes input events: synthetic mode uses push_input (viewport-local, no cursor
 ## movement), OS mode uses parse_input_event (global, moves cursor).
 func _inject_event(event: InputEvent) -> void:
 	event.set_meta("_grb", true)
+	var mouse := event as InputEventMouse
+	if mouse != null:
+		_pointer_pos = mouse.position
+		if _input_mode == "os" and mouse is InputEventMouseMotion:
+			get_viewport().warp_mouse(mouse.position)
 	if _input_mode == "synthetic":
 		get_viewport().push_input(event)
 	else:
@@ -593,27 +667,67 @@ func _input(event: InputEvent) -> void:
 func _cmd_key(req_id: String, args: Dictionary) -> Dictionary:
 	var action: String = str(args.get("action", ""))
 	var keycode: int = int(args.get("keycode", -1))
+	var chord: String = str(args.get("key", ""))
+	var hold_ms: int = maxi(int(args.get("hold_ms", 0)), 0)
+	# pressed: true = key-down only, false = key-up only, absent = press and release
+	var phase := "tap"
+	if args.get("pressed") != null:
+		phase = "down" if bool(args["pressed"]) else "up"
+
 	if action != "":
-		var press := InputEventAction.new()
-		press.action = action
-		press.pressed = true
-		_inject_event(press)
-		var release := InputEventAction.new()
-		release.action = action
-		release.pressed = false
-		_inject_event(release)
-	elif keycode >= 0:
-		var press := InputEventKey.new()
-		press.keycode = keycode
-		press.pressed = true
-		_inject_event(press)
-		var release := InputEventKey.new()
-		release.keycode = keycode
+		return _play_input(req_id, _action_sequence(action, phase, hold_ms))
+
+	var modifiers: Array = []
+	var extra: Variant = args.get("modifiers", [])
+	if not extra is Array:
+		return _Protocol.error(req_id, "bad_args", "'modifiers' must be an array of names")
+	for name: Variant in extra:
+		var mod := _modifier_keycode(str(name))
+		if mod == KEY_NONE:
+			return _Protocol.error(req_id, "bad_args", "Unknown modifier: %s (expected shift, ctrl, alt or meta)" % name)
+		modifiers.append(mod)
+
+	if chord != "":
+		var parsed := _parse_chord(chord)
+		if parsed.has("error"):
+			return _Protocol.error(req_id, "bad_args", parsed["error"])
+		keycode = parsed["keycode"]
+		modifiers.append_array(parsed["modifiers"])
+	elif keycode < 0:
+		return _Protocol.error(req_id, "bad_args", "Provide 'action', 'key' or 'keycode'")
+	return _play_input(req_id, _chord_sequence(keycode, modifiers, phase, hold_ms))
+
+
+func _cmd_type_text(req_id: String, args: Dictionary) -> Dictionary:
+	var text: String = str(args.get("text", ""))
+	var interval_ms: int = maxi(int(args.get("interval_ms", 0)), 0)
+	if text == "":
+		return _Protocol.error(req_id, "bad_args", "Missing 'text'")
+	var seq: Array = []
+	for i in text.length():
+		var c := text[i]
+		var delay := interval_ms if i > 0 else 0
+		var e: InputEventKey
+		if c == "\n":
+			e = _key_event(KEY_ENTER, true, [])
+		elif c == "\t":
+			e = _key_event(KEY_TAB, true, [])
+		else:
+			# Printable ASCII keycodes match Key; other characters travel as unicode only
+			var code := c.unicode_at(0)
+			var keycode: int = KEY_NONE
+			if code >= 32 and code < 127:
+				keycode = c.to_upper().unicode_at(0)
+			var shifted: Array = []
+			if c != c.to_lower():
+				shifted.append(KEY_SHIFT)
+			e = _key_event(keycode, true, shifted, code)
+		seq.append({"delay_ms": delay, "event": e})
+		var release: InputEventKey = e.duplicate()
 		release.pressed = false
-		_inject_event(release)
-	else:
-		return _Protocol.error(req_id, "bad_args", "Provide 'action' or 'keycode'")
-	return _Protocol.ok(req_id)
+		release.unicode = 0
+		seq.append({"delay_ms": 0, "event": release})
+	return _play_input(req_id, seq, {"chars": text.length()})
 
 
 func _cmd_press_button(req_id: String, node_name: String) -> Dictionary:
@@ -638,34 +752,97 @@ func _cmd_press_button(req_id: String, node_name: String) -> Dictionary:
 
 
 func _cmd_drag(req_id: String, args: Dictionary) -> Dictionary:
-	var from_arr: Variant = args.get("from", [0, 0])
-	var to_arr: Variant = args.get("to", [0, 0])
-	if not from_arr is Array or not to_arr is Array:
-		return _Protocol.error(req_id, "bad_args", "'from' and 'to' must be [x, y] arrays")
-	var from := Vector2(float(from_arr[0]), float(from_arr[1]))
-	var to := Vector2(float(to_arr[0]), float(to_arr[1]))
-
-	if _input_mode == "os":
-		get_viewport().warp_mouse(from)
-	var motion := InputEventMouseMotion.new()
-	motion.position = from
-	motion.global_position = from
-	_inject_event(motion)
-
-	_inject_mouse_press(int(from.x), int(from.y), MOUSE_BUTTON_LEFT)
+	var from_target := _resolve_point(args.get("from", [0, 0]), "from")
+	if from_target.has("error_code"):
+		return _Protocol.error(req_id, from_target["error_code"], from_target["error_msg"])
+	var to_target := _resolve_point(args.get("to", [0, 0]), "to")
+	if to_target.has("error_code"):
+		return _Protocol.error(req_id, to_target["error_code"], to_target["error_msg"])
+	var path := _resolve_path(args)
+	if path.has("error_code"):
+		return _Protocol.error(req_id, path["error_code"], path["error_msg"])
+	var button: int = _MOUSE_BUTTONS.get(str(args.get("button", "left")), MOUSE_BUTTON_NONE)
+	if button == MOUSE_BUTTON_NONE:
+		return _Protocol.error(req_id, "bad_args", "'button' must be 'left', 'right' or 'middle'")
+	var from: Vector2 = from_target["pos"]
+	var to: Vector2 = to_target["pos"]
+	var points: Array = [from]
+	points.append_array(path["waypoints"])
+	points.append(to)
+
+	# Move to `from`, press, move along the path with the button held, and
+	# release on a later frame. Without duration_ms or steps this is one jump
+	# per segment.
+	var seq: Array = [
+		{"delay_ms": 0, "event": _motion_event(from, from - _pointer_pos, 0)},
+		{"delay_ms": 0, "event": _mouse_button_event(from, button, true)},
+	]
+	seq.append_array(_path_motions(points, path["steps"], path["duration_ms"], 1 << (button - 1)))
+	seq.append({"delay_ms": 1, "event": _mouse_button_event(to, button, false)})
+	return _play_input(req_id, seq, {"from": _target_result(from_target), "to": _target_result(to_target)})
+
+
+## `waypoints` ([x, y] or pointer targets), `duration_ms` and `steps` of a
+## drag or hover path → {waypoints: Array[Vector2], duration_ms, steps}.
+func _resolve_path(args: Dictionary) -> Dictionary:
+	var waypoints: Array = []
+	var raw: Variant = args.get("waypoints", [])
+	if not raw is Array:
+		return _target_error("bad_args", "'waypoints' must be an array of [x, y] points or targets")
+	for i in raw.size():
+		var point := _resolve_point(raw[i], "waypoints[%d]" % i)
+		if point.has("error_code"):
+			return point
+		waypoints.append(point["pos"])
+	return {
+		"waypoints": waypoints,
+		"duration_ms": maxi(int(args.get("duration_ms", 0)), 0),
+		"steps": maxi(int(args.get("steps", 0)), 0),
+	}
 
-	if _input_mode == "os":
-		get_viewport().warp_mouse(to)
-	var motion2 := InputEventMouseMotion.new()
-	motion2.position = to
-	motion2.global_position = to
-	motion2.relative = to - from
-	_inject_event(motion2)
 
-	_pending_release = true
-	_release_pos = to
-	_release_button = MOUSE_BUTTON_LEFT
-	return _Protocol.ok(req_id)
+## Motion events along the polyline `points` (see _path_samples).
+func _path_motions(points: Array, steps: int, duration_ms: int, button_mask: int) -> Array:
+	var seq: Array = []
+	var prev: Vector2 = points[0]
+	for sample: Dictionary in _path_samples(points, steps, duration_ms):
+		var p: Vector2 = sample["pos"]
+		seq.append({"delay_ms": sample["delay_ms"], "event": _motion_event(p, p - prev, button_mask)})
+		prev = p
+	return seq
+
+
+## [{delay_ms, pos}] along the polyline `points`, ending on each waypoint.
+## `steps` (default: one per 16 ms of `duration_ms`, at least one per segment)
+## is shared between segments by length, and `duration_ms` evenly between
+## the samples.
+func _path_samples(points: Array, steps: int, duration_ms: int) -> Array:
+	var segments := points.size() - 1
+	if steps <= 0:
+		steps = maxi(duration_ms / 16, segments)
+	var total := 0.0
+	for i in range(1, points.size()):
+		total += (points[i] as Vector2).distance_to(points[i - 1])
+	var counts: Array = []
+	var n := 0
+	for i in range(1, points.size()):
+		var share := 1.0 / segments
+		if total > 0.0:
+			share = (points[i] as Vector2).distance_to(points[i - 1]) / total
+		var c := maxi(roundi(steps * share), 1)
+		counts.append(c)
+		n += c
+	var samples: Array = []
+	var k := 0
+	for i in range(1, points.size()):
+		var a: Vector2 = points[i - 1]
+		var b: Vector2 = points[i]
+		for j in range(1, int(counts[i - 1]) + 1):
+			k += 1
+			# Delays from cumulative time, so rounding doesn't drift the total
+			var delay := roundi(duration_ms * float(k) / n) - roundi(duration_ms * float(k - 1) / n)
+			samples.append({"delay_ms": delay, "pos": a.lerp(b, float(j) / counts[i - 1])})
+	return samples
 
 
 func _cmd_scroll(req_id: String, args: Dictionary) -> Dictionary:
@@ -752,6 +929,425 @@ func _cmd_network_state(req_id: String) -> Dictionary:
 	})
 
 
+# ── Pointer targets: coordinates or nodes ──
+
+const _MOUSE_BUTTONS: Dictionary = {
+	"left": MOUSE_BUTTON_LEFT,
+	"right": MOUSE_BUTTON_RIGHT,
+	"middle": MOUSE_BUTTON_MIDDLE,
+}
+
+const _ANCHORS: Dictionary = {
+	"center": Vector2(0.5, 0.5),
+	"top_left": Vector2(0, 0), "top": Vector2(0.5, 0), "top_right": Vector2(1, 0),
+	"left": Vector2(0, 0.5), "right": Vector2(1, 0.5),
+	"bottom_left": Vector2(0, 1), "bottom": Vector2(0.5, 1), "bottom_right": Vector2(1, 1),
+}
+
+
+## Where pointer input lands. `spec` holds `x`/`y`, or a `node` path or `find`
+## query ({name, type, group}) with an optional `anchor` (a name from _ANCHORS
+## or [fx, fy] fractions of the rect) and `offset` ([dx, dy] pixels).
+## Returns {pos, node?} or {error_code, error_msg}.
+func _resolve_target(spec: Dictionary) -> Dictionary:
+	var node_path: String = str(spec.get("node", ""))
+	var query: Variant = spec.get("find")
+	if node_path == "" and query == null:
+		return {"pos": Vector2(float(spec.get("x", 0)), float(spec.get("y", 0)))}
+
+	var fraction := Vector2(0.5, 0.5)
+	var anchor: Variant = spec.get("anchor", "center")
+	if anchor is Array and anchor.size() >= 2:
+		fraction = Vector2(float(anchor[0]), float(anchor[1]))
+	elif _ANCHORS.has(str(anchor)):
+		fraction = _ANCHORS[str(anchor)]
+	else:
+		return _target_error("bad_args", "Unknown anchor: %s (expected %s, or [fx, fy])" % [anchor, ", ".join(_ANCHORS.keys())])
+	var offset := Vector2.ZERO
+	var offset_arr: Variant = spec.get("offset", [0, 0])
+	if offset_arr is Array and offset_arr.size() >= 2:
+		offset = Vector2(float(offset_arr[0]), float(offset_arr[1]))
+
+	if node_path != "":
+		var node: Node = get_tree().root.get_node_or_null(NodePath(node_path))
+		if node == null:
+			return _target_error("not_found", "Node not found: " + node_path)
+		return _target_on_node(node, fraction, offset)
+
+	if not query is Dictionary:
+		return _target_error("bad_args", "'find' must be an object with 'name', 'type' or 'group'")
+	var name_pattern: String = str(query.get("name", ""))
+	var type_filter: String = str(query.get("type", ""))
+	var group_filter: String = str(query.get("group", ""))
+	if name_pattern == "" and type_filter == "" and group_filter == "":
+		return _target_error("bad_args", "'find' requires at least one of: 'name', 'type', 'group'")
+	var matches: Array = []
+	_find_nodes_recursive(get_tree().root, name_pattern, type_filter, group_filter, 50, matches)
+	if matches.is_empty():
+		return _target_error("not_found", "No node matches find " + JSON.stringify(query))
+	# First match that can take input; otherwise report why the first one can't
+	var first_error: Dictionary = {}
+	for m: Dictionary in matches:
+		var target := _target_on_node(get_tree().root.get_node(NodePath(m["path"])), fraction, offset)
+		if not target.has("error_code"):
+			return target
+		if first_error.is_empty():
+			first_error = target
+	if matches.size() > 1:
+		first_error["error_msg"] += " (none of the other %d matches is on screen either)" % (matches.size() - 1)
+	return first_error
+
+
+## `from` / `to` of a drag: [x, y] or a target dictionary for _resolve_target.
+func _resolve_point(value: Variant, field: String) -> Dictionary:
+	if value is Dictionary:
+		return _resolve_target(value)
+	if value is Array and value.size() >= 2:
+		return {"pos": Vector2(float(value[0]), float(value[1]))}
+	return _target_error("bad_args", "'%s' must be [x, y] or {node|find, anchor, offset}" % field)
+
+
+func _target_on_node(node: Node, fraction: Vector2, offset: Vector2) -> Dictionary:
+	var path := str(node.get_path())
+	if not node is CanvasItem:
+		return _target_error("bad_args", "%s is a %s, not a Control or CanvasItem" % [path, node.get_class()])
+	var ci := node as CanvasItem
+	if not ci.is_visible_in_tree():
+		var hidden := _hidden_ancestor(ci)
+		var why := "visible = false" if hidden == ci else "%s has visible = false" % hidden.get_path()
+		return _target_error("not_visible", "%s is hidden (%s)" % [path, why])
+	var screen := _screen_rect(ci)
+	if screen.has("error_code"):
+		return screen
+	var rect: Rect2 = screen["rect"]
+	# Anchors on the far edges land on the last pixel inside the rect
+	var last := Vector2(maxf(rect.end.x - 1, rect.position.x), maxf(rect.end.y - 1, rect.position.y))
+	var pos := ((rect.position + rect.size * fraction).clamp(rect.position, last) + offset).round()
+	var viewport_size := get_viewport().get_visible_rect().size
+	if not Rect2(Vector2.ZERO, viewport_size).has_point(pos):
+		return _target_error("not_visible", "%s is off-screen: (%d, %d) is outside the %dx%d viewport (node rect at (%d, %d), %dx%d)" % [
+			path, pos.x, pos.y, viewport_size.x, viewport_size.y, rect.position.x, rect.position.y, rect.size.x, rect.size.y])
+	return {"pos": pos, "node": path}
+
+
+## The nearest node at or above `ci` whose own `visible` is off.
+func _hidden_ancestor(ci: CanvasItem) -> Node:
+	var n: Node = ci
+	while n != null:
+		if (n is CanvasItem or n is CanvasLayer or n is Window) and not n.get("visible"):
+			return n
+		n = n.get_parent()
+	return ci
+
+
+## A CanvasItem's rect in the game viewport's pixels: its canvas transform
+## (CanvasLayer, Camera2D) plus any SubViewportContainers or embedded windows
+## it is shown through. Controls use their size, Sprite2D and friends their
+## get_rect(), other nodes their origin.
+## A node's rect in game-window pixels, as pointer targets see it. Hidden
+## nodes still report their rect, with `visible` false.
+func _cmd_node_rect(req_id: String, args: Dictionary) -> Dictionary:
+	var node_path: String = str(args.get("node", ""))
+	var node: Node = get_tree().root.get_node_or_null(NodePath(node_path))
+	if node == null:
+		return _Protocol.error(req_id, "not_found", "Node not found: " + node_path)
+	if not node is CanvasItem:
+		return _Protocol.error(req_id, "bad_args", "%s is a %s, not a Control or CanvasItem" % [node.get_path(), node.get_class()])
+	var screen := _screen_rect(node as CanvasItem)
+	if screen.has("error_code"):
+		return _Protocol.error(req_id, screen["error_code"], screen["error_msg"])
+	var rect: Rect2 = screen["rect"]
+	return _Protocol.ok(req_id, {
+		"x": rect.position.x, "y": rect.position.y, "w": rect.size.x, "h": rect.size.y,
+		"node": str(node.get_path()),
+		"visible": (node as CanvasItem).is_visible_in_tree(),
+	})
+
+
+func _screen_rect(ci: CanvasItem) -> Dictionary:
+	var local := Rect2()
+	if ci is Control:
+		local = Rect2(Vector2.ZERO, (ci as Control).size)
+	elif ci.has_method("get_rect"):
+		local = ci.get_rect()
+	var rect: Rect2 = ci.get_global_transform_with_canvas() * local
+	var vp := ci.get_viewport()
+	while vp != get_viewport():
+		if vp is Window:
+			var win := vp as Window
+			if not win.visible or win.get_embedder() == null:
+				return _target_error("not_visible", "%s is in window %s, which is not shown in the game window" % [ci.get_path(), win.get_path()])
+			rect.position += Vector2(win.position)
+			vp = win.get_embedder()
+			continue
+		var container := vp.get_parent() as SubViewportContainer
+		if container == null or not container.is_visible_in_tree():
+			return _target_error("not_visible", "%s is in SubViewport %s, which is not shown by a visible SubViewportContainer" % [ci.get_path(), vp.get_path()])
+		var shrink := float(container.stretch_shrink) if container.stretch else 1.0
+		rect = container.get_global_transform_with_canvas() * Transform2D.IDENTITY.scaled(Vector2(shrink, shrink)) * rect
+		vp = container.get_viewport()
+	return {"rect": rect}
+
+
+func _target_error(code: String, msg: String) -> Dictionary:
+	return {"error_code": code, "error_msg": msg}
+
+
+func _target_result(target: Dictionary) -> Dictionary:
+	var pos: Vector2 = target["pos"]
+	var result := {"x": pos.x, "y": pos.y}
+	if target.has("node"):
+		result["node"] = target["node"]
+	return result
+
+
+# ── Touch: taps, long presses, pinch/rotate and finger paths ──
+
+const _TOUCH_LONG_PRESS_MS := 800
+const _TOUCH_GESTURE_MS := 300
+
+
+## InputEventScreenTouch / InputEventScreenDrag for mobile builds. Every type
+## becomes a list of fingers ({index, points, delay_ms, duration_ms}) that touch
+## down at their first point, drag through the rest, and lift off.
+func _cmd_touch(req_id: String, args: Dictionary) -> Dictionary:
+	var ttype: String = str(args.get("type", "")).to_lower()
+	var duration_ms: int = maxi(int(args.get("duration_ms", _TOUCH_GESTURE_MS)), 0)
+	var steps: int = maxi(int(args.get("steps", 0)), 0)
+	var fingers: Array = []
+	match ttype:
+		"tap", "long_press":
+			if args.get("at") == null:
+				return _Protocol.error(req_id, "bad_args", "%s requires 'at'" % ttype)
+			var at := _resolve_point(args["at"], "at")
+			if at.has("error_code"):
+				return _Protocol.error(req_id, at["error_code"], at["error_msg"])
+			var hold: int = int(args.get("hold_ms", _TOUCH_LONG_PRESS_MS if ttype == "long_press" else 0))
+			fingers.append({"index": int(args.get("index", 0)), "points": [at["pos"]], "delay_ms": 0, "duration_ms": maxi(hold, 0)})
+		"pinch", "rotate":
+			if args.get("center") == null:
+				return _Protocol.error(req_id, "bad_args", "%s requires 'center'" % ttype)
+			var center := _resolve_point(args["center"], "center")
+			if center.has("error_code"):
+				return _Protocol.error(req_id, center["error_code"], center["error_msg"])
+			# Fingers sit on opposite sides of the center, `distance` apart
+			var from_d: float = float(args.get("start_distance", args.get("distance", 100.0)))
+			var to_d: float = from_d
+			var from_angle: float = float(args.get("angle", 0.0))
+			var to_angle: float = from_angle
+			if ttype == "pinch":
+				to_d = float(args.get("end_distance", from_d * 2.0))
+			else:
+				to_angle += float(args.get("degrees", 90.0))
+			var n: int = steps if steps > 0 else maxi(duration_ms / 16, 1)
+			for f in 2:
+				var points: Array = []
+				for i in n + 1:
+					var t := float(i) / n
+					var half := Vector2(lerpf(from_d, to_d, t) / 2.0, 0).rotated(deg_to_rad(lerpf(from_angle, to_angle, t)))
+					points.append(center["pos"] + (half if f == 0 else -half))
+				fingers.append({"index": f, "points": points, "delay_ms": 0, "duration_ms": duration_ms, "steps": n})
+		"paths":
+			var raw: Variant = args.get("fingers")
+			if not raw is Array or raw.is_empty():
+				return _Protocol.error(req_id, "bad_args", "paths requires 'fingers': [{points: [...]}, ...]")
+			for i in raw.size():
+				var finger: Variant = raw[i]
+				if not finger is Dictionary or not finger.get("points") is Array or finger["points"].is_empty():
+					return _Protocol.error(req_id, "bad_args", "fingers[%d] needs a non-empty 'points' array" % i)
+				var points: Array = []
+				for j in finger["points"].size():
+					var point := _resolve_point(finger["points"][j], "fingers[%d].points[%d]" % [i, j])
+					if point.has("error_code"):
+						return _Protocol.error(req_id, point["error_code"], point["error_msg"])
+					points.append(point["pos"])
+				fingers.append({
+					"index": int(finger.get("index", i)),
+					"points": points,
+					"delay_ms": maxi(int(finger.get("delay_ms", 0)), 0),
+					"duration_ms": maxi(int(finger.get("duration_ms", duration_ms)), 0),
+					"steps": maxi(int(finger.get("steps", steps)), 0),
+				})
+		_:
+			return _Protocol.error(req_id, "bad_args", "touch type must be 'tap', 'long_press', 'pinch', 'rotate' or 'paths'")
+	var seq := _touch_sequence(fingers)
+	var total := 0
+	for step: Dictionary in seq:
+		total += int(step["delay_ms"])
+	return _play_input(req_id, seq, {"fingers": fingers.size(), "duration_ms": total})
+
+
+## Merges the fingers' timelines into one _play_input sequence. Each finger
+## lifts at least one frame after it touches down, like a real tap.
+func _touch_sequence(fingers: Array) -> Array:
+	var timeline: Array = []  # [t_ms, order, event]
+	for finger: Dictionary in fingers:
+		var index: int = finger["index"]
+		var points: Array = finger["points"]
+		var t: int = finger["delay_ms"]
+		var pos: Vector2 = points[0]
+		timeline.append([t, timeline.size(), _touch_event(index, pos, true)])
+		if points.size() > 1:
+			for sample: Dictionary in _path_samples(points, int(finger.get("steps", 0)), finger["duration_ms"]):
+				var dt: int = sample["delay_ms"]
+				var next: Vector2 = sample["pos"]
+				t += dt
+				timeline.append([t, timeline.size(), _drag_event(index, next, next - pos, dt)])
+				pos = next
+		else:
+			t += int(finger["duration_ms"])
+		timeline.append([maxi(t, int(finger["delay_ms"]) + 1), timeline.size(), _touch_event(index, pos, false)])
+	timeline.sort_custom(func(a: Array, b: Array) -> bool: return a[0] < b[0] or (a[0] == b[0] and a[1] < b[1]))
+	var seq: Array = []
+	var last := 0
+	for entry: Array in timeline:
+		seq.append({"delay_ms": entry[0] - last, "event": entry[2]})
+		last = entry[0]
+	return seq
+
+
+func _touch_event(index: int, pos: Vector2, pressed: bool) -> InputEventScreenTouch:
+	var e := InputEventScreenTouch.new()
+	e.index = index
+	e.position = pos
+	e.pressed = pressed
+	return e
+
+
+func _drag_event(index: int, pos: Vector2, relative: Vector2, dt_ms: int) -> InputEventScreenDrag:
+	var e := InputEventScreenDrag.new()
+	e.index = index
+	e.position = pos
+	e.relative = relative
+	if dt_ms > 0:
+		e.velocity = relative * 1000.0 / dt_ms
+	return e
+
+
+# ── Keyboard: chords, holds and text ──
+
+const _MODIFIER_NAMES: Dictionary = {
+	"shift": KEY_SHIFT,
+	"ctrl": KEY_CTRL, "control": KEY_CTRL,
+	"alt": KEY_ALT, "option": KEY_ALT,
+	"meta": KEY_META, "cmd": KEY_META, "command": KEY_META, "super": KEY_META,
+}
+
+
+func _modifier_keycode(name: String) -> int:
+	return _MODIFIER_NAMES.get(name.strip_edges().to_lower(), KEY_NONE)
+
+
+## "ctrl+shift+s", "Enter", "F5" → {keycode, modifiers}, or {error}. The last
+## part is a Godot key name (OS.find_keycode_from_string) or a single character.
+func _parse_chord(chord: String) -> Dictionary:
+	var parts := chord.split("+")
+	# "ctrl++" names the plus key
+	if chord.ends_with("++"):
+		parts = chord.substr(0, chord.length() - 2).split("+")
+		parts.append("+")
+	var modifiers: Array = []
+	for i in parts.size() - 1:
+		var mod := _modifier_keycode(parts[i])
+		if mod == KEY_NONE:
+			return {"error": "Unknown modifier '%s' in '%s' (expected shift, ctrl, alt or meta)" % [parts[i], chord]}
+		modifiers.append(mod)
+	var key_name := parts[parts.size() - 1].strip_edges()
+	var keycode: int = OS.find_keycode_from_string(key_name)
+	if keycode == KEY_NONE and key_name.length() == 1:
+		keycode = key_name.to_upper().unicode_at(0)
+	if keycode == KEY_NONE:
+		return {"error": "Unknown key '%s' in '%s'" % [key_name, chord]}
+	return {"keycode": keycode, "modifiers": modifiers}
+
+
+func _key_event(keycode: int, pressed: bool, modifiers: Array, unicode: int = 0) -> InputEventKey:
+	var e := InputEventKey.new()
+	e.keycode = keycode
+	e.physical_keycode = keycode
+	e.unicode = unicode
+	e.pressed = pressed
+	e.shift_pressed = KEY_SHIFT in modifiers
+	e.ctrl_pressed = KEY_CTRL in modifiers
+	e.alt_pressed = KEY_ALT in modifiers
+	e.meta_pressed = KEY_META in modifiers
+	return e
+
+
+## Modifiers down, key down, hold, key up, modifiers up — the parts `phase` asks for.
+func _chord_sequence(keycode: int, modifiers: Array, phase: String, hold_ms: int) -> Array:
+	var seq: Array = []
+	var held: Array = []
+	if phase != "up":
+		for mod: int in modifiers:
+			held.append(mod)
+			seq.append({"delay_ms": 0, "event": _key_event(mod, true, held)})
+		# Plain characters carry unicode so text fields receive them
+		var unicode := 0
+		if held.all(func(m: int) -> bool: return m == KEY_SHIFT) and keycode >= 32 and keycode < 127:
+			var c := String.chr(keycode)
+			unicode = (c if KEY_SHIFT in held else c.to_lower()).unicode_at(0)
+		seq.append({"delay_ms": 0, "event": _key_event(keycode, true, held, unicode)})
+	if phase != "down":
+		held = modifiers.duplicate()
+		seq.append({"delay_ms": hold_ms if phase == "tap" else 0, "event": _key_event(keycode, false, held)})
+		for i in range(modifiers.size() - 1, -1, -1):
+			held.erase(modifiers[i])
+			seq.append({"delay_ms": 0, "event": _key_event(modifiers[i], false, held)})
+	return seq
+
+
+func _action_sequence(action: String, phase: String, hold_ms: int) -> Array:
+	var seq: Array = []
+	if phase != "up":
+		var press := InputEventAction.new()
+		press.action = action
+		press.pressed = true
+		seq.append({"delay_ms": 0, "event": press})
+	if phase != "down":
+		var release := InputEventAction.new()
+		release.action = action
+		release.pressed = false
+		seq.append({"delay_ms": hold_ms if phase == "tap" else 0, "event": release})
+	return seq
+
+
+## Injects [{delay_ms, event}] in order. Leading events without a delay go out
+## now; if that is all of them the response is returned, otherwise the rest is
+## scheduled, {} is returned, and the response follows the last event.
+func _play_input(req_id: String, seq: Array, result: Dictionary = {}) -> Dictionary:
+	var i := 0
+	while i < seq.size() and int(seq[i]["delay_ms"]) <= 0:
+		_inject_event(seq[i]["event"])
+		i += 1
+	if i == seq.size():
+		return _Protocol.ok(req_id, result)
+	var due := Time.get_ticks_msec()
+	for j in range(i, seq.size()):
+		due += int(seq[j]["delay_ms"])
+		_scheduled_input.append({
+			"due_ms": due,
+			"event": seq[j]["event"],
+			"req_id": req_id if j == seq.size() - 1 else "",
+			"result": result,
+		})
+	return {}
+
+
+func _poll_scheduled_input() -> void:
+	var now := Time.get_ticks_msec()
+	var i := 0
+	while i < _scheduled_input.size():
+		var s: Dictionary = _scheduled_input[i]
+		if int(s["due_ms"]) > now:
+			i += 1
+			continue
+		_inject_event(s["event"])
+		if s["req_id"] != "":
+			_enqueue_response(_Protocol.ok(s["req_id"], s["result"]))
+		_scheduled_input.remove_at(i)
+
+
 # ── Tier 2: Control ──
 
 func _cmd_set_property(req_id: String, args: Dictionary) -> Dictionary:
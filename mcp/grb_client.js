@@ -0,0 +1,822 @@
+/**
+ * Godot Runtime Bridge — Node client
+ *
+ * Shared grb/1 client used by the MCP server, the mission runner and the
+ * test scripts. Launches Godot with the bridge enabled, parses the
+ * GDRB_READY line for port/token, and sends commands over TCP.
+ *
+ *   import { GrbClient } from "godot-runtime-bridge-mcp/client";
+ *
+ *   const client = await GrbClient.launch({ exe: "godot", project: "C:/MyGame", tier: 2 });
+ *   const shot = await client.screenshot();
+ *   await client.click(320, 200);
+ *   await client.close();
+ *
+ * `send()` resolves with the raw response (check `ok` yourself); `call()` and
+ * the per-command helpers throw a typed GrbError when the bridge answers
+ * with `ok: false`.
+ *
+ * By default each command opens its own socket. With `persistent: true` the
+ * client keeps one connection open, matches responses to requests by `id`
+ * (so several commands can be in flight), and reconnects on the next command
+ * if the game drops the socket.
+ *
+ * Protocol: grb/1 (see PROTOCOL.md)
+ */
+
+import { spawn } from "child_process";
+import net from "net";
+import crypto from "crypto";
+
+export const PROTO_VERSION = "grb/1";
+export const DEFAULT_HOST = "127.0.0.1";
+export const LAUNCH_TIMEOUT_MS = 30000;
+export const COMMAND_TIMEOUT_MS = 15000;
+export const READY_PREFIX = "GDRB_READY:";
+
+export const Tier = Object.freeze({ OBSERVE: 0, INPUT: 1, CONTROL: 2, DANGER: 3 });
+
+// Minimum session tier per command; mirrors COMMAND_TIERS in Commands.gd.
+export const COMMAND_TIERS = Object.freeze({
+  ping: Tier.OBSERVE,
+  auth_info: Tier.OBSERVE,
+  capabilities: Tier.OBSERVE,
+  screenshot: Tier.OBSERVE,
+  scene_tree: Tier.OBSERVE,
+  get_property: Tier.OBSERVE,
+  runtime_info: Tier.OBSERVE,
+  get_errors: Tier.OBSERVE,
+  wait_for: Tier.OBSERVE,
+  audio_state: Tier.OBSERVE,
+  network_state: Tier.OBSERVE,
+  grb_performance: Tier.OBSERVE,
+  find_nodes: Tier.OBSERVE,
+  node_rect: Tier.OBSERVE,
+
+  click: Tier.INPUT,
+  hover: Tier.INPUT,
+  key: Tier.INPUT,
+  type_text: Tier.INPUT,
+  press_button: Tier.INPUT,
+  drag: Tier.INPUT,
+  scroll: Tier.INPUT,
+  gesture: Tier.INPUT,
+  touch: Tier.INPUT,
+  gamepad: Tier.INPUT,
+
+  set_property: Tier.CONTROL,
+  call_method: Tier.CONTROL,
+  quit: Tier.CONTROL,
+  run_custom_command: Tier.CONTROL,
+
+  eval: Tier.DANGER,
+});
+
+/** Modifier names accepted in `key` chords ("ctrl+shift+s") and `modifiers`. */
+export const KEY_MODIFIERS = Object.freeze(["shift", "ctrl", "control", "alt", "option", "meta", "cmd", "command", "super"]);
+
+/** Named `anchor`s for node-targeted pointer input; [fx, fy] fractions of the rect work too. */
+export const POINTER_ANCHORS = Object.freeze([
+  "center", "top_left", "top", "top_right", "left", "right", "bottom_left", "bottom", "bottom_right",
+]);
+
+/** `button` values for click. */
+export const MOUSE_BUTTONS = Object.freeze(["left", "right", "middle"]);
+
+/** `type` values for touch. */
+export const TOUCH_TYPES = Object.freeze(["tap", "long_press", "pinch", "rotate", "paths"]);
+
+// Observe-tier commands: safe to re-send after a dropped connection.
+const RESENDABLE_COMMANDS = new Set(
+  Object.keys(COMMAND_TIERS).filter(cmd => COMMAND_TIERS[cmd] === Tier.OBSERVE)
+);
+
+// ── Errors ──
+
+/**
+ * Base class for every error raised by the client. `code` is the grb/1
+ * error code from PROTOCOL.md, or one of the client-side codes
+ * `timeout`, `connection_error` and `launch_failed`.
+ */
+export class GrbError extends Error {
+  constructor(code, message, response = null) {
+    super(message);
+    this.name = "GrbError";
+    this.code = code;
+    this.response = response;
+  }
+}
+
+export class BadJsonError extends GrbError {
+  constructor(message, response) { super("bad_json", message, response); this.name = "BadJsonError"; }
+}
+
+export class BadProtoError extends GrbError {
+  constructor(message, response) { super("bad_proto", message, response); this.name = "BadProtoError"; }
+}
+
+export class UnknownCommandError extends GrbError {
+  constructor(message, response) { super("unknown_cmd", message, response); this.name = "UnknownCommandError"; }
+}
+
+export class BadTokenError extends GrbError {
+  constructor(message, response) { super("bad_token", message, response); this.name = "BadTokenError"; }
+}
+
+export class TierDeniedError extends GrbError {
+  constructor(message, response) {
+    super("tier_denied", message, response);
+    this.name = "TierDeniedError";
+    this.tierRequired = response?.error?.tier_required ?? null;
+  }
+}
+
+export class DangerDisabledError extends GrbError {
+  constructor(message, response) { super("danger_disabled", message, response); this.name = "DangerDisabledError"; }
+}
+
+export class BadArgsError extends GrbError {
+  constructor(message, response) { super("bad_args", message, response); this.name = "BadArgsError"; }
+}
+
+export class NotFoundError extends GrbError {
+  constructor(message, response) { super("not_found", message, response); this.name = "NotFoundError"; }
+}
+
+export class NotVisibleError extends GrbError {
+  constructor(message, response) { super("not_visible", message, response); this.name = "NotVisibleError"; }
+}
+
+export class InternalError extends GrbError {
+  constructor(message, response) { super("internal_error", message, response); this.name = "InternalError"; }
+}
+
+export class GrbTimeoutError extends GrbError {
+  constructor(message) { super("timeout", message); this.name = "GrbTimeoutError"; }
+}
+
+export class GrbConnectionError extends GrbError {
+  constructor(message) { super("connection_error", message); this.name = "GrbConnectionError"; }
+}
+
+export class GrbLaunchError extends GrbError {
+  constructor(message) { super("launch_failed", message); this.name = "GrbLaunchError"; }
+}
+
+export class GrbCancelledError extends GrbError {
+  constructor(message) { super("cancelled", message); this.name = "GrbCancelledError"; }
+}
+
+const ERROR_CLASSES = {
+  bad_json: BadJsonError,
+  bad_proto: BadProtoError,
+  unknown_cmd: UnknownCommandError,
+  bad_token: BadTokenError,
+  tier_denied: TierDeniedError,
+  danger_disabled: DangerDisabledError,
+  bad_args: BadArgsError,
+  not_found: NotFoundError,
+  not_visible: NotVisibleError,
+  internal_error: InternalError,
+};
+
+/**
+ * Build the typed error for an `ok: false` response. Unrecognized codes
+ * fall back to a plain GrbError carrying the server's code.
+ *
+ * @param {object} r - parsed grb/1 response
+ * @returns {GrbError}
+ */
+export function errorFromResponse(r) {
+  const code = r?.error?.code || "internal_error";
+  const message = r?.error?.message || JSON.stringify(r);
+  const Cls = ERROR_CLASSES[code];
+  return Cls ? new Cls(message, r) : new GrbError(code, message, r);
+}
+
+// ── Launch ──
+
+export function generateToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+/**
+ * Parse a `GDRB_READY:{...}` stdout line.
+ *
+ * @param {string} line
+ * @returns {object|null} ready payload, or null if the line is not a ready line
+ */
+export function parseReadyLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith(READY_PREFIX)) return null;
+  try {
+    return JSON.parse(trimmed.slice(READY_PREFIX.length));
+  } catch (e) {
+    throw new GrbLaunchError("Failed to parse GDRB_READY: " + e.message);
+  }
+}
+
+/**
+ * Spawn Godot with the bridge enabled and wait for GDRB_READY.
+ *
+ * With `captureStderr`, the child's stderr is buffered and exposed as
+ * `process.stderrBuffer()`; otherwise it is drained and dropped.
+ *
+ * @param {object} opts
+ * @param {string} opts.exe           - Godot executable (default: GODOT_PATH or "godot")
+ * @param {string} opts.project       - project folder (contains project.godot)
+ * @param {number} [opts.tier]        - max session tier 0-3 (default 1)
+ * @param {string} [opts.token]       - auth token (default: random)
+ * @param {string[]} [opts.args]      - extra Godot CLI args, appended after `--path <project>`
+ * @param {object} [opts.env]         - extra environment variables
+ * @param {number} [opts.timeoutMs]   - max wait for GDRB_READY (default 30000)
+ * @param {boolean} [opts.captureStderr] - keep the game's stderr for `process.stderrBuffer()` (default false)
+ * @param {AbortSignal} [opts.signal] - kills Godot and rejects with GrbCancelledError when aborted
+ * @param {(stage: string, info: object) => void} [opts.onProgress]
+ *   - called with "spawned" ({ pid }) and "ready" ({ port }) as the launch proceeds
+ * @returns {Promise<{ process: import("child_process").ChildProcess, ready: object }>}
+ */
+export function launchGame(opts = {}) {
+  const exe = opts.exe || process.env.GODOT_PATH || "godot";
+  const project = opts.project;
+  const tier = opts.tier != null ? String(opts.tier) : "1";
+  const token = opts.token || generateToken();
+  const timeoutMs = opts.timeoutMs ?? LAUNCH_TIMEOUT_MS;
+
+  if (!project) return Promise.reject(new GrbLaunchError("launchGame requires 'project'"));
+  if (opts.signal?.aborted) return Promise.reject(new GrbCancelledError("Launch cancelled"));
+  const progress = (stage, info) => {
+    try { opts.onProgress?.(stage, info); } catch {}
+  };
+
+  return new Promise((resolve, reject) => {
+    let child;
+    try {
+      child = spawn(exe, ["--path", project, ...(opts.args || [])], {
+        cwd: project,
+        env: {
+          ...process.env,
+          GDRB_TOKEN: token,
+          GDRB_TIER: tier,
+          GDRB_FORCE_WINDOWED: "1",
+          ...(opts.env || {}),
+        },
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+    } catch (e) {
+      reject(new GrbLaunchError(`Failed to spawn Godot: ${e.message}`));
+      return;
+    }
+
+    if (opts.captureStderr) {
+      let stderrBuf = "";
+      child.stderr.on("data", (chunk) => { stderrBuf += chunk.toString(); });
+      child.stderrBuffer = () => stderrBuf;
+    } else {
+      child.stderr.on("data", () => {});
+    }
+
+    let settled = false;
+    const onAbort = () => finish(new GrbCancelledError("Launch cancelled before GDRB_READY"));
+    const finish = (err, ready) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      opts.signal?.removeEventListener("abort", onAbort);
+      if (err) {
+        try { child.kill(); } catch {}
+        reject(err);
+      } else {
+        resolve({ process: child, ready });
+      }
+    };
+
+    const timer = setTimeout(
+      () => finish(new GrbLaunchError("Timeout waiting for GDRB_READY")),
+      timeoutMs
+    );
+    opts.signal?.addEventListener("abort", onAbort, { once: true });
+    if (child.pid != null) progress("spawned", { pid: child.pid });
+
+    let stdoutBuf = "";
+    child.stdout.on("data", (chunk) => {
+      if (settled) return;
+      stdoutBuf += chunk.toString();
+      const lines = stdoutBuf.split("\n");
+      stdoutBuf = lines.pop();
+      for (const line of lines) {
+        let ready;
+        try {
+          ready = parseReadyLine(line);
+        } catch (e) {
+          finish(e);
+          return;
+        }
+        if (ready) {
+          progress("ready", { port: ready.port });
+          finish(null, ready);
+          return;
+        }
+      }
+    });
+
+    child.on("error", (err) => {
+      const msg = err.code === "ENOENT"
+        ? `Godot executable not found: "${exe}". Pass godot_exe or set GODOT_PATH env var.`
+        : `Failed to spawn Godot: ${err.message}`;
+      finish(new GrbLaunchError(msg));
+    });
+    child.on("exit", (code) => {
+      finish(new GrbLaunchError("Godot exited (code " + code + ") before GDRB_READY"));
+    });
+  });
+}
+
+// ── Client ──
+
+/**
+ * Pointer target args for click / hover / drag: [x, y], a NodePath string, a
+ * find_nodes query, or an explicit { node | find, anchor, offset } object.
+ */
+export function pointerTarget(target, { anchor, offset } = {}) {
+  if (Array.isArray(target)) return { x: target[0], y: target[1] };
+  const t = typeof target === "string" ? { node: target }
+    : target.node != null || target.find != null ? { ...target }
+    : { find: target };
+  if (anchor != null) t.anchor = anchor;
+  if (offset != null) t.offset = offset;
+  return t;
+}
+
+// A drag / hover point: [x, y] as is, anything else as a pointer target
+function pathPoint(p) {
+  return Array.isArray(p) ? p : pointerTarget(p);
+}
+
+/** Args of drag / hover paths with `from`, `to` and `waypoints` normalized: [x, y] as is, others as for pointerTarget. */
+export function pointerPath({ from, to, waypoints, ...rest }) {
+  return {
+    ...rest,
+    ...(from != null ? { from: pathPoint(from) } : {}),
+    ...(to != null ? { to: pathPoint(to) } : {}),
+    ...(waypoints ? { waypoints: waypoints.map(pathPoint) } : {}),
+  };
+}
+
+/** Touch args with `at`, `center` and finger `points` normalized like pointerPath. */
+export function touchArgs({ at, center, fingers, ...rest }) {
+  return {
+    ...rest,
+    ...(at != null ? { at: pathPoint(at) } : {}),
+    ...(center != null ? { center: pathPoint(center) } : {}),
+    ...(fingers ? { fingers: fingers.map(f => ({ ...f, points: (f.points ?? []).map(pathPoint) })) } : {}),
+  };
+}
+
+/** Roughly how long a touch takes to play out in the game, for stretching timeouts. */
+export function touchDurationMs(args) {
+  const duration = args.duration_ms ?? 300;
+  switch (args.type) {
+    case "tap": return args.hold_ms ?? 0;
+    case "long_press": return args.hold_ms ?? 800;
+    case "paths":
+      return Math.max(0, ...(args.fingers ?? []).map(f => (f.delay_ms ?? 0) + (f.duration_ms ?? duration)));
+    default: return duration;
+  }
+}
+
+export class GrbClient {
+  /**
+   * @param {object} opts
+   * @param {number} opts.port
+   * @param {string} opts.token
+   * @param {string} [opts.host]       - default 127.0.0.1
+   * @param {number} [opts.timeoutMs]  - per-command timeout (default 15000)
+   * @param {string} [opts.idPrefix]   - request id prefix (default "grb")
+   * @param {boolean} [opts.persistent] - keep one multiplexed connection open instead of
+   *                                        connecting per command (default false)
+   * @param {import("child_process").ChildProcess} [opts.process] - Godot process owned by this client
+   * @param {object} [opts.ready]      - GDRB_READY payload, when launched
+   */
+  constructor(opts = {}) {
+    this.port = opts.port ?? null;
+    this.token = opts.token ?? null;
+    this.host = opts.host || DEFAULT_HOST;
+    this.timeoutMs = opts.timeoutMs ?? COMMAND_TIMEOUT_MS;
+    this.idPrefix = opts.idPrefix || "grb";
+    this.process = opts.process || null;
+    this.ready = opts.ready || null;
+    this.persistent = opts.persistent === true;
+    this._requestCounter = 0;
+    this._sock = null;
+    this._connecting = null;
+    this._pending = new Map();
+  }
+
+  /**
+   * Launch Godot (see launchGame) and return a client bound to it.
+   * Client options (`host`, `timeoutMs`, `idPrefix`, `persistent`) may be mixed into `opts`.
+   */
+  static async launch(opts = {}) {
+    const { process: child, ready } = await launchGame(opts);
+    return new GrbClient({ ...opts, port: ready.port, token: ready.token, process: child, ready });
+  }
+
+  get connected() {
+    return this.port != null && this.token != null;
+  }
+
+  nextId() {
+    return `${this.idPrefix}_${++this._requestCounter}`;
+  }
+
+  /** Ping the bridge; throws if it is unreachable or answers badly. */
+  async connect() {
+    await this.ping();
+    return this;
+  }
+
+  /**
+   * Send one command and resolve with the raw response, whether `ok` or not.
+   * Rejects only on transport failures (GrbTimeoutError / GrbConnectionError).
+   *
+   * @param {string} cmd
+   * @param {object} [args]
+   * @param {object} [opts]
+   * @param {number} [opts.timeoutMs] - overrides the client timeout for this call
+   * @param {AbortSignal} [opts.signal] - rejects with GrbCancelledError when aborted; a late
+   *                                      response is dropped
+   * @returns {Promise<object>}
+   */
+  send(cmd, args = {}, opts = {}) {
+    if (!this.port) {
+      return Promise.reject(new GrbConnectionError("Bridge not connected. Launch the game first."));
+    }
+    if (opts.signal?.aborted) return Promise.reject(new GrbCancelledError("Command cancelled: " + cmd));
+    const timeoutMs = opts.timeoutMs ?? this.timeoutMs;
+    return this.persistent
+      ? this._sendPersistent(cmd, args, timeoutMs, 0, opts.signal)
+      : this._sendOnce(cmd, args, timeoutMs, opts.signal);
+  }
+
+  _encode(id, cmd, args) {
+    return JSON.stringify({ id, proto: PROTO_VERSION, cmd, args, token: this.token }) + "\n";
+  }
+
+  // One socket per request, closed after the first response line.
+  _sendOnce(cmd, args, timeoutMs, signal) {
+    return new Promise((resolve, reject) => {
+      const sock = new net.Socket();
+      const req = this._encode(this.nextId(), cmd, args);
+      let buffer = "";
+      let done = false;
+      const onAbort = () => finish(new GrbCancelledError("Command cancelled: " + cmd));
+      const finish = (err, value) => {
+        if (done) return;
+        done = true;
+        signal?.removeEventListener("abort", onAbort);
+        sock.destroy();
+        err ? reject(err) : resolve(value);
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      sock.setTimeout(timeoutMs);
+      sock.on("timeout", () => finish(new GrbTimeoutError("Command timeout: " + cmd)));
+      sock.on("error", (e) => finish(new GrbConnectionError(`${cmd}: ${e.message}`)));
+      sock.on("data", (data) => {
+        buffer += data.toString();
+        const idx = buffer.indexOf("\n");
+        if (idx < 0) return;
+        let parsed;
+        try {
+          parsed = JSON.parse(buffer.slice(0, idx));
+        } catch (e) {
+          finish(new BadJsonError("Malformed response: " + e.message));
+          return;
+        }
+        finish(null, parsed);
+      });
+      sock.on("close", () => finish(new GrbConnectionError("Connection closed before full response: " + cmd)));
+      sock.connect(this.port, this.host, () => sock.write(req));
+    });
+  }
+
+  // Shared long-lived socket; responses are matched to requests by id, so
+  // several requests can be in flight at once.
+  _sendPersistent(cmd, args, timeoutMs, attempt, signal) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId();
+      const onAbort = () => {
+        if (!this._pending.delete(id)) return;
+        clearTimeout(entry.timer);
+        entry.reject(new GrbCancelledError("Command cancelled: " + cmd));
+      };
+      const settle = (fn) => (value) => {
+        signal?.removeEventListener("abort", onAbort);
+        fn(value);
+      };
+      const entry = { cmd, args, timeoutMs, attempt, signal, resolve: settle(resolve), reject: settle(reject), sock: null };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      entry.timer = setTimeout(() => {
+        this._pending.delete(id);
+        entry.reject(new GrbTimeoutError("Command timeout: " + cmd));
+      }, timeoutMs);
+      this._pending.set(id, entry);
+
+      this._openSocket().then(
+        (sock) => {
+          if (!this._pending.has(id)) return;
+          entry.sock = sock;
+          sock.write(this._encode(id, cmd, args));
+        },
+        (err) => {
+          if (!this._pending.delete(id)) return;
+          clearTimeout(entry.timer);
+          entry.reject(err);
+        }
+      );
+    });
+  }
+
+  _openSocket() {
+    if (this._sock) return Promise.resolve(this._sock);
+    if (this._connecting) return this._connecting;
+
+    this._connecting = new Promise((resolve, reject) => {
+      const sock = net.createConnection({ port: this.port, host: this.host });
+      let buffer = "";
+      sock.setNoDelay(true);
+      sock.setKeepAlive(true);
+
+      sock.once("connect", () => {
+        this._connecting = null;
+        this._sock = sock;
+        // An idle connection must not keep the process alive; pending
+        // requests hold their own timers.
+        sock.unref();
+        resolve(sock);
+      });
+      sock.on("error", (e) => {
+        if (this._sock === sock) return; // "close" follows and fails pending requests
+        this._connecting = null;
+        reject(new GrbConnectionError(`connect: ${e.message}`));
+      });
+      sock.on("close", () => {
+        if (this._sock !== sock) return;
+        this._sock = null;
+        this._connectionLost(sock);
+      });
+      sock.on("data", (data) => {
+        buffer += data.toString();
+        let idx;
+        while ((idx = buffer.indexOf("\n")) >= 0) {
+          const line = buffer.slice(0, idx).trim();
+          buffer = buffer.slice(idx + 1);
+          if (line) this._dispatchResponse(line);
+        }
+      });
+    });
+    return this._connecting;
+  }
+
+  _dispatchResponse(line) {
+    let r;
+    try {
+      r = JSON.parse(line);
+    } catch {
+      return; // can't correlate a malformed line; the request will time out
+    }
+    const entry = this._pending.get(r.id);
+    if (!entry) return; // late reply to a request that already timed out
+    this._pending.delete(r.id);
+    clearTimeout(entry.timer);
+    entry.resolve(r);
+  }
+
+  // The server drops a connection when another client connects, and Godot may
+  // restart. Read-only requests that were in flight are re-sent once on a
+  // fresh connection; anything with side effects is rejected rather than
+  // risking a double click or double set.
+  _connectionLost(sock) {
+    for (const [id, entry] of [...this._pending]) {
+      if (entry.sock !== sock) continue;
+      this._pending.delete(id);
+      clearTimeout(entry.timer);
+      if (entry.attempt === 0 && RESENDABLE_COMMANDS.has(entry.cmd) && this.port) {
+        this._sendPersistent(entry.cmd, entry.args, entry.timeoutMs, 1, entry.signal).then(entry.resolve, entry.reject);
+      } else {
+        entry.reject(new GrbConnectionError("Connection lost before response: " + entry.cmd));
+      }
+    }
+  }
+
+  /**
+   * Send one command and resolve with the response, throwing the typed
+   * GrbError for `ok: false`.
+   */
+  async call(cmd, args = {}, opts = {}) {
+    const r = await this.send(cmd, args, opts);
+    if (!r.ok) throw errorFromResponse(r);
+    return r;
+  }
+
+  /**
+   * Release the client. Kills the Godot process if this client launched it.
+   *
+   * @param {object} [opts]
+   * @param {boolean} [opts.quit] - send `quit` (tier 2) before killing
+   */
+  async close(opts = {}) {
+    if (opts.quit && this.connected) {
+      try { await this.send("quit", {}, { timeoutMs: 3000 }); } catch {}
+    }
+    if (this._sock) {
+      const sock = this._sock;
+      this._sock = null;
+      sock.destroy();
+    }
+    for (const entry of this._pending.values()) {
+      clearTimeout(entry.timer);
+      entry.reject(new GrbConnectionError("Client closed before response: " + entry.cmd));
+    }
+    this._pending.clear();
+    if (this.process) {
+      try { this.process.kill("SIGTERM"); } catch {}
+      this.process = null;
+    }
+    this.port = null;
+    this.token = null;
+  }
+
+  // ── Tier 0: Observe ──
+
+  async ping() {
+    const r = await this.call("ping", {}, { timeoutMs: 3000 });
+    if (!r.pong) throw new GrbError("bad_response", "Bad ping response", r);
+    return true;
+  }
+
+  authInfo() { return this.call("auth_info"); }
+
+  /** @returns {Promise<{ tier: number, commands: string[] }>} */
+  capabilities() { return this.call("capabilities"); }
+
+  /** @returns {Promise<{ width: number, height: number, png_base64: string }>} */
+  screenshot() { return this.call("screenshot"); }
+
+  /** @returns {Promise<object>} the root node dictionary */
+  async sceneTree(maxDepth = 10) {
+    return (await this.call("scene_tree", { max_depth: maxDepth })).scene;
+  }
+
+  /** @returns {Promise<*>} the property value */
+  async getProperty(node, property) {
+    return (await this.call("get_property", { node, property })).value;
+  }
+
+  runtimeInfo() { return this.call("runtime_info"); }
+
+  /** @returns {Promise<{ errors: object[], next_index: number, error_count: number, warning_count: number }>} */
+  getErrors(sinceIndex = 0) { return this.call("get_errors", { since_index: sinceIndex }); }
+
+  /**
+   * Resolves with `{ matched, elapsed_ms, last_value? }`. The socket timeout
+   * is stretched past `timeoutMs` so the server-side wait can finish first.
+   * Aborting `opts.signal` stops waiting for the response; the game keeps
+   * polling until its own timeout and the late reply is dropped.
+   */
+  waitFor(node, property, value, timeoutMs = 5000, opts = {}) {
+    return this.call("wait_for", { node, property, value, timeout_ms: timeoutMs },
+      { timeoutMs: Math.max(this.timeoutMs, timeoutMs + 5000), signal: opts.signal });
+  }
+
+  /** @returns {Promise<object[]>} matches with `name`, `type`, `path`, `groups` */
+  async findNodes(query = {}) {
+    return (await this.call("find_nodes", {
+      name: query.name || "",
+      type: query.type || "",
+      group: query.group || "",
+      limit: query.limit ?? 50,
+    })).matches;
+  }
+
+  /** @returns {Promise<{ x: number, y: number, w: number, h: number, node: string, visible: boolean }>} on-screen rect */
+  nodeRect(node) { return this.call("node_rect", { node }); }
+
+  audioState() { return this.call("audio_state"); }
+
+  networkState() { return this.call("network_state"); }
+
+  performance() { return this.call("grb_performance"); }
+
+  // ── Tier 1: Input ──
+
+  /** @param {{ button?: "left" | "right" | "middle", double?: boolean }} [opts] */
+  click(x, y, opts = {}) { return this.call("click", { x, y, ...opts }); }
+
+  /**
+   * Click a node's on-screen rect, resolved by the game when the command runs.
+   * `target` is a NodePath or a find_nodes query ({ name, type, group }); the
+   * first match that is on screen is used. Throws NotVisibleError when the
+   * node is hidden or off-screen.
+   *
+   * @param {string | object} target
+   * @param {{ anchor?: string | number[], offset?: number[], button?: "left" | "right" | "middle", double?: boolean }} [opts]
+   * @returns {Promise<{ x: number, y: number, node: string }>} where the click landed
+   */
+  clickNode(target, opts = {}) {
+    const { anchor, offset, ...rest } = opts;
+    return this.call("click", { ...pointerTarget(target, { anchor, offset }), ...rest });
+  }
+
+  /**
+   * Move the pointer to `target` ([x, y], a NodePath or a find_nodes query, see
+   * clickNode) with no button held. Given `duration_ms` or `steps` it glides
+   * from `from` (default: the last pointer position) through `waypoints`, and
+   * resolves once it arrives.
+   *
+   * @param {{ anchor?: string | number[], offset?: number[], from?: *, waypoints?: Array, duration_ms?: number, steps?: number }} [opts]
+   */
+  hover(target, opts = {}) {
+    const { anchor, offset, ...path } = opts;
+    return this.call("hover", { ...pointerTarget(target, { anchor, offset }), ...pointerPath(path) },
+      { timeoutMs: this.timeoutMs + (path.duration_ms ?? 0) });
+  }
+
+  /**
+   * @param {{ action?: string, keycode?: number, key?: string, modifiers?: string[], pressed?: boolean, hold_ms?: number }} args
+   *   `key` is a key name or chord ("Enter", "ctrl+shift+s"). `pressed: true` / `false` sends only the
+   *   key-down / key-up; `hold_ms` holds the key before releasing, and resolves after the release.
+   */
+  key(args) {
+    const { action = "", keycode = -1, ...rest } = args;
+    return this.call("key", { action, keycode, ...rest }, { timeoutMs: this.timeoutMs + (args.hold_ms ?? 0) });
+  }
+
+  /** Type `text` into the focused control, one key event per character, `intervalMs` apart. */
+  typeText(text, intervalMs = 0) {
+    return this.call("type_text", { text, interval_ms: intervalMs },
+      { timeoutMs: this.timeoutMs + [...text].length * intervalMs });
+  }
+
+  pressButton(name) { return this.call("press_button", { name }); }
+
+  /**
+   * Press at `from`, move to `to` with the button held, and release. `from`, `to`
+   * and `waypoints` are [x, y], NodePaths, find_nodes queries or
+   * { node | find, anchor, offset } targets. `duration_ms` and `steps` spread
+   * the motion over time and intermediate events, for drag-and-drop code that
+   * waits for a threshold.
+   *
+   * @param {{ waypoints?: Array, duration_ms?: number, steps?: number, button?: "left" | "right" | "middle" }} [opts]
+   */
+  drag(from, to, opts = {}) {
+    return this.call("drag", pointerPath({ ...opts, from, to }),
+      { timeoutMs: this.timeoutMs + (opts.duration_ms ?? 0) });
+  }
+
+  scroll(x, y, delta = -3) { return this.call("scroll", { x, y, delta }); }
+
+  gesture(type, params = {}) { return this.call("gesture", { type, params }); }
+
+  /**
+   * Multi-touch for mobile builds, as InputEventScreenTouch / ScreenDrag.
+   * `at`, `center` and finger `points` are [x, y], NodePaths, find_nodes
+   * queries or { node | find, anchor, offset } targets. Resolves after the
+   * last finger lifts.
+   *
+   * @param {"tap" | "long_press" | "pinch" | "rotate" | "paths"} type
+   * @param {{ at?: *, index?: number, hold_ms?: number, center?: *, start_distance?: number, end_distance?: number,
+   *   distance?: number, angle?: number, degrees?: number, duration_ms?: number, steps?: number,
+   *   fingers?: Array<{ points: Array, index?: number, delay_ms?: number, duration_ms?: number, steps?: number }> }} [opts]
+   */
+  touch(type, opts = {}) {
+    const args = touchArgs({ ...opts, type });
+    return this.call("touch", args, { timeoutMs: this.timeoutMs + touchDurationMs(args) });
+  }
+
+  gamepad(args) { return this.call("gamepad", args); }
+
+  // ── Tier 2: Control ──
+
+  setProperty(node, property, value) { return this.call("set_property", { node, property, value }); }
+
+  /** @returns {Promise<*>} the method's return value */
+  async callMethod(node, method, args = []) {
+    return (await this.call("call_method", { node, method, args })).result;
+  }
+
+  /** @returns {Promise<*>} the command's return value */
+  async runCustomCommand(name, args = []) {
+    return (await this.call("run_custom_command", { name, args })).result;
+  }
+
+  quit() { return this.call("quit"); }
+
+  // ── Tier 3: Danger ──
+
+  /** @returns {Promise<string>} the stringified result */
+  async eval(expr) {
+    return (await this.call("eval", { expr })).result;
+  }
+}
@@ -13,146 +13,542 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   ListToolsRequestSchema,
   CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { spawn } from "child_process";
-import net from "net";
-import crypto from "crypto";
 import fs from "fs";
 import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import {
+  GrbClient, GrbLaunchError, GrbTimeoutError, GrbCancelledError, COMMAND_TIMEOUT_MS, LAUNCH_TIMEOUT_MS,
+  MOUSE_BUTTONS, POINTER_ANCHORS, TOUCH_TYPES, pointerTarget, pointerPath, touchArgs, touchDurationMs,
+} from "./grb_client.js";
+
+// ── Sessions ──
+//
+// Each launched or connected game is a session with its own client. Tools
+// address the selected session unless they pass an explicit `session` id,
+// so host/client multiplayer builds can run side by side.
+
+const sessions = new Map();
+let currentSessionId = null;
+let sessionCounter = 0;
+
+// override.cfg is shared by every instance launched from the same project:
+// written by the first launch, restored when the last one exits.
+const overrides = new Map();
+
+function getSession(id) {
+  if (id != null && id !== "") {
+    const session = sessions.get(String(id));
+    if (!session) throw new Error(`Unknown session: ${id}. Use grb_list_sessions to see active sessions.`);
+    return session;
+  }
+  const session = sessions.get(currentSessionId);
+  if (!session) throw new Error("Bridge not connected. Launch the game first.");
+  return session;
+}
+
+function addSession(id, session) {
+  session.id = id || `s${++sessionCounter}`;
+  sessions.set(session.id, session);
+  currentSessionId = session.id;
+  return session;
+}
 
-const HOST = "127.0.0.1";
-const LAUNCH_TIMEOUT_MS = 30000;
-const COMMAND_TIMEOUT_MS = 15000;
+async function closeSession(session, opts = {}) {
+  if (sessions.get(session.id) === session) sessions.delete(session.id);
+  if (currentSessionId === session.id) {
+    currentSessionId = sessions.size > 0 ? [...sessions.keys()].pop() : null;
+  }
+  await session.client.close(opts);
+}
 
-let grbPort = null;
-let grbToken = null;
-let grbProcess = null;
-let grbProjectPath = null;
-let requestCounter = 0;
+function acquireOverride(projectPath, winW, winH) {
+  // Write override.cfg to force windowed mode at engine level.
+  // Godot reads this after project.godot and it takes priority.
+  const overridePath = path.join(projectPath, "override.cfg");
+  let entry = overrides.get(overridePath);
+  if (!entry) {
+    let prev = null;
+    try {
+      prev = fs.readFileSync(overridePath, "utf8");
+    } catch {}
+    entry = { prev, count: 0 };
+    overrides.set(overridePath, entry);
+  }
+  entry.count++;
+  const overrideLines = [
+    "[display]",
+    "",
+    "window/size/mode=0",
+    `window/size/window_width_override=${winW}`,
+    `window/size/window_height_override=${winH}`,
+    "",
+  ];
+  fs.writeFileSync(overridePath, overrideLines.join("\n"), "utf8");
 
-function nextId() {
-  return `mcp_${++requestCounter}`;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    if (--entry.count > 0) return;
+    overrides.delete(overridePath);
+    if (entry.prev != null) {
+      try { fs.writeFileSync(overridePath, entry.prev, "utf8"); } catch {}
+    } else {
+      try { fs.unlinkSync(overridePath); } catch {}
+    }
+  };
 }
 
-function sendCommand(cmd, args = {}) {
+// ── Progress ──
+//
+// Long-running tools send notifications/progress when the caller passed a
+// progressToken. `progress` is milliseconds elapsed and `total` the tool's
+// timeout, so clients can draw a bar; `message` says what is happening.
+// Cancelling the request (notifications/cancelled) aborts `signal`.
+
+const PROGRESS_INTERVAL_MS = 1000;
+
+const NO_PROGRESS = { enabled: false, report() {}, elapsed: () => 0 };
+
+function createProgress(extra, token) {
+  if (token == null) return NO_PROGRESS;
+  const startedAt = Date.now();
+  let last = 0;
+  return {
+    enabled: true,
+    elapsed: () => Date.now() - startedAt,
+    report(message, total) {
+      const progress = Math.max(last + 1, Date.now() - startedAt);
+      if (total != null && progress > total) return;
+      last = progress;
+      extra.sendNotification({
+        method: "notifications/progress",
+        params: { progressToken: token, progress, ...(total != null ? { total } : {}), message },
+      }).catch(() => {});
+    },
+  };
+}
+
+function seconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function sendCommand(sessionId, cmd, args = {}, opts = {}) {
+  let session;
+  try {
+    session = getSession(sessionId);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+  return session.client.send(cmd, args, opts);
+}
+
+// ── Missions ──
+//
+// grb_run_mission runs missions/run_mission.mjs attached to a session's game
+// (--port/--token), so reports, archived runs and baseline candidates are the
+// same as a CLI run. The bridge serves one connection at a time: the runner's
+// connection drops the session's, which reconnects on its next command.
+
+const MISSIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "missions");
+const MISSION_RUNNER = path.join(MISSIONS_DIR, "run_mission.mjs");
+const REPORTS_DIR = path.join(MISSIONS_DIR, "reports");
+const MISSION_RUN_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_MISSION_IMAGES = 8;
+
+// Same resolution as the runner's --missions-file
+function missionsFilePath(file) {
+  if (!file) return path.join(MISSIONS_DIR, "missions.json");
+  return path.isAbsolute(file) ? file : path.join(MISSIONS_DIR, file);
+}
+
+function readMissions(file) {
+  const missionsPath = missionsFilePath(file);
+  let missions;
+  try {
+    missions = JSON.parse(fs.readFileSync(missionsPath, "utf8"));
+  } catch (e) {
+    throw new Error(`Cannot read missions file ${missionsPath}: ${e.message}`);
+  }
+  if (!Array.isArray(missions)) throw new Error(`${missionsPath} is not a list of missions`);
+  return missions;
+}
+
+/**
+ * Run the mission runner to completion. Resolves with { code, output };
+ * each complete stdout line is passed to onLine. Killed on abort or timeout.
+ */
+function spawnMissionRunner(runnerArgs, { signal, timeoutMs = MISSION_RUN_TIMEOUT_MS, onLine = () => {} } = {}) {
+  if (!fs.existsSync(MISSION_RUNNER)) {
+    return Promise.reject(new Error(`Mission runner not found at ${MISSION_RUNNER}`));
+  }
+  if (signal?.aborted) return Promise.reject(new GrbCancelledError("Mission run cancelled"));
   return new Promise((resolve, reject) => {
-    if (!grbPort || !grbToken) {
-      reject(new Error("Bridge not connected. Launch the game first."));
-      return;
-    }
-
-    const sock = new net.Socket();
-    const req =
-      JSON.stringify({
-        id: nextId(),
-        proto: "grb/1",
-        cmd,
-        args,
-        token: grbToken,
-      }) + "\n";
-    let buffer = "";
-
-    sock.setTimeout(COMMAND_TIMEOUT_MS);
-    sock.on("timeout", () => {
-      sock.destroy();
-      reject(new Error("Command timeout: " + cmd));
+    const child = spawn(process.execPath, [MISSION_RUNNER, ...runnerArgs], {
+      cwd: MISSIONS_DIR,
+      stdio: ["ignore", "pipe", "pipe"],
     });
-    sock.on("error", reject);
-    sock.on("data", (data) => {
-      buffer += data.toString();
-      const idx = buffer.indexOf("\n");
-      if (idx >= 0) {
-        sock.destroy();
-        try {
-          resolve(JSON.parse(buffer.slice(0, idx)));
-        } catch (e) {
-          reject(e);
-        }
+    let output = "";
+    let pending = "";
+    let settled = false;
+    const finish = (err, code) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      if (err) {
+        child.kill();
+        reject(err);
+      } else {
+        resolve({ code, output });
       }
+    };
+    const onAbort = () => finish(new GrbCancelledError("Mission run cancelled"));
+    const timer = setTimeout(
+      () => finish(new GrbTimeoutError(`Mission run did not finish within ${seconds(timeoutMs)}`)), timeoutMs);
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    child.stdout.on("data", (chunk) => {
+      const text = chunk.toString();
+      output += text;
+      const lines = (pending + text).split("\n");
+      pending = lines.pop();
+      for (const line of lines) if (line.trim()) onLine(line.trim());
     });
-    sock.on("close", () => {
-      if (buffer.length > 0 && buffer.indexOf("\n") < 0)
-        reject(new Error("Connection closed before full response"));
-    });
-    sock.connect(grbPort, HOST, () => sock.write(req));
+    child.stderr.on("data", (chunk) => { output += chunk.toString(); });
+    child.on("error", (e) => finish(e));
+    child.on("exit", (code) => finish(null, code));
   });
 }
 
-function sendPing() {
-  return new Promise((resolve, reject) => {
-    if (!grbPort) {
-      reject(new Error("No port"));
-      return;
-    }
-    const sock = new net.Socket();
-    const req =
-      JSON.stringify({ id: nextId(), proto: "grb/1", cmd: "ping" }) + "\n";
-    let buffer = "";
-    sock.setTimeout(3000);
-    sock.on("timeout", () => {
-      sock.destroy();
-      reject(new Error("Ping timeout"));
-    });
-    sock.on("error", reject);
-    sock.on("data", (data) => {
-      buffer += data.toString();
-      const idx = buffer.indexOf("\n");
-      if (idx >= 0) {
-        sock.destroy();
-        try {
-          const r = JSON.parse(buffer.slice(0, idx));
-          r.ok && r.pong ? resolve() : reject(new Error("Bad ping response"));
-        } catch (e) {
-          reject(e);
-        }
+function tail(text, lines = 20) {
+  return text.trimEnd().split("\n").slice(-lines).join("\n");
+}
+
+// Summary text plus up to MAX_MISSION_IMAGES screenshots, missions with issues first
+function missionRunContent(results) {
+  const failed = results.missions.filter((m) => m.issues.length > 0).length;
+  const lines = [
+    `Mission run ${results.run_id}: ${results.result.toUpperCase()} — ${results.total_issues} issue(s) in ${failed} of ${results.missions.length} mission(s)`,
+    "",
+  ];
+  for (const m of results.missions) {
+    lines.push(`${m.issues.length > 0 ? "⚠" : "✓"} ${m.id} (${seconds(m.duration_ms)})`);
+    for (const iss of m.issues) lines.push(`  - ${iss.severity}: ${iss.title}${iss.detail ? ` — ${iss.detail}` : ""}`);
+  }
+  lines.push("", "Reports:", `  ${resourceUri(path.join(REPORTS_DIR, "OVERALL.md"))}`);
+  for (const m of results.missions) {
+    const uri = m.report_file && resourceUri(m.report_file);
+    if (uri) lines.push(`  ${uri}`);
+  }
+
+  const images = [];
+  const skipped = [];
+  let shown = 0;
+  const ordered = [...results.missions].sort((a, b) => Number(b.issues.length > 0) - Number(a.issues.length > 0));
+  for (const m of ordered) {
+    for (const [label, shot] of Object.entries(m.screenshots || {})) {
+      const file = path.join(REPORTS_DIR, m.id, shot.file);
+      if (!fs.existsSync(file)) continue;
+      if (shown >= MAX_MISSION_IMAGES) {
+        skipped.push(resourceUri(file));
+        continue;
       }
-    });
-    sock.connect(grbPort, HOST, () => sock.write(req));
-  });
+      shown++;
+      images.push(
+        { type: "text", text: `${m.id} / ${label} (${shot.width}x${shot.height})` },
+        { type: "image", data: fs.readFileSync(file).toString("base64"), mimeType: "image/png" },
+      );
+    }
+  }
+  if (skipped.length > 0) lines.push("", `${skipped.length} more screenshot(s) as resources:`, ...skipped.map((u) => `  ${u}`));
+  return [{ type: "text", text: lines.join("\n") }, ...images];
 }
 
-function waitForReady(proc) {
-  return new Promise((resolve, reject) => {
-    const deadline = Date.now() + LAUNCH_TIMEOUT_MS;
-    let stdoutBuf = "";
-
-    proc.stdout.on("data", (chunk) => {
-      stdoutBuf += chunk.toString();
-      const lines = stdoutBuf.split("\n");
-      for (const line of lines) {
-        if (line.startsWith("GDRB_READY:")) {
-          try {
-            const data = JSON.parse(line.slice("GDRB_READY:".length));
-            grbPort = data.port;
-            grbToken = data.token;
-            resolve(data);
-            return;
-          } catch (e) {
-            reject(new Error("Failed to parse GDRB_READY: " + e.message));
-            return;
-          }
+// ── Resources ──
+//
+// Mission reports (missions/reports/) and reference screenshots
+// (missions/references/) as grb://reports/<path> and grb://references/<path>.
+
+const RESOURCE_ROOTS = { reports: REPORTS_DIR, references: path.join(MISSIONS_DIR, "references") };
+
+const RESOURCE_TYPES = {
+  ".png": "image/png",
+  ".md": "text/markdown",
+  ".json": "application/json",
+  ".html": "text/html",
+  ".xml": "application/xml",
+};
+
+function resourceUri(file) {
+  for (const [root, dir] of Object.entries(RESOURCE_ROOTS)) {
+    const rel = path.relative(dir, file);
+    if (rel && !rel.startsWith("..") && !path.isAbsolute(rel)) {
+      return `grb://${root}/${encodeURI(rel.split(path.sep).join("/"))}`;
+    }
+  }
+  return null;
+}
+
+function listResources() {
+  const resources = [];
+  for (const [root, dir] of Object.entries(RESOURCE_ROOTS)) {
+    const walk = (sub) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(path.join(dir, sub), { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const e of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const rel = sub ? `${sub}/${e.name}` : e.name;
+        if (e.isDirectory()) {
+          walk(rel);
+        } else if (RESOURCE_TYPES[path.extname(e.name)]) {
+          resources.push({
+            uri: `grb://${root}/${encodeURI(rel)}`,
+            name: `${root}/${rel}`,
+            mimeType: RESOURCE_TYPES[path.extname(e.name)],
+          });
         }
       }
-      stdoutBuf = lines[lines.length - 1];
-    });
+    };
+    walk("");
+  }
+  return resources;
+}
 
-    proc.on("exit", (code) => {
-      if (!grbPort) reject(new Error("Godot exited (code " + code + ") before GDRB_READY"));
-    });
+function readResource(uri) {
+  const m = String(uri).match(/^grb:\/\/(reports|references)\/(.+)$/);
+  if (!m) throw new Error(`Unknown resource: ${uri}`);
+  const dir = RESOURCE_ROOTS[m[1]];
+  const file = path.resolve(dir, decodeURI(m[2]));
+  const mimeType = RESOURCE_TYPES[path.extname(file)];
+  if (!file.startsWith(dir + path.sep) || !mimeType || !fs.existsSync(file)) {
+    throw new Error(`Resource not found: ${uri}`);
+  }
+  const data = fs.readFileSync(file);
+  return mimeType.startsWith("image/")
+    ? { uri, mimeType, blob: data.toString("base64") }
+    : { uri, mimeType, text: data.toString("utf8") };
+}
+
+// ── Journal ──
+//
+// When on (grb_journal, or GRB_JOURNAL=1 at startup) every tool call is
+// recorded with its session, timing and a one-line result. grb_export_mission
+// turns a session's calls into a mission for run_mission.mjs, so a repro
+// found by hand or by an agent can be kept as a regression test.
+
+const journal = { enabled: process.env.GRB_JOURNAL === "1", startedAt: Date.now(), seq: 0, entries: [] };
+
+// Calls about the journal itself are not recorded
+const UNJOURNALED_TOOLS = new Set(["grb_journal", "grb_export_mission"]);
+
+const JOURNAL_SUMMARY_CHARS = 200;
+const WAIT_FOR_INTERVAL_MS = 250;
+const DEFAULT_MIN_WAIT_MS = 250;
+const DEFAULT_MAX_WAIT_MS = 5000;
+
+function summarizeResult(result) {
+  const text = result.content?.find((c) => c.type === "text")?.text ?? "";
+  const images = result.content?.filter((c) => c.type === "image").length ?? 0;
+  const oneLine = text.replace(/\s+/g, " ").trim();
+  return (oneLine.length > JOURNAL_SUMMARY_CHARS ? oneLine.slice(0, JOURNAL_SUMMARY_CHARS - 1) + "…" : oneLine) +
+    (images > 0 ? ` [${images} image(s)]` : "");
+}
 
-    setTimeout(() => {
-      if (!grbPort) reject(new Error("Timeout waiting for GDRB_READY"));
-    }, LAUNCH_TIMEOUT_MS);
+function recordCall(name, args, startedAt, result) {
+  if (!journal.enabled || UNJOURNALED_TOOLS.has(name)) return;
+  const { session, ...rest } = args;
+  journal.entries.push({
+    seq: ++journal.seq,
+    tool: name,
+    session: session != null && session !== "" ? String(session) : currentSessionId,
+    args: rest,
+    at_ms: startedAt - journal.startedAt,
+    duration_ms: Date.now() - startedAt,
+    ok: !result.isError,
+    summary: summarizeResult(result),
   });
 }
 
+// Target fields of a click / hover call, as mission step fields
+function pointerStep(a) {
+  if (!a.node && !a.find) return { x: a.x, y: a.y };
+  const step = a.node ? { node: a.node } : { find: a.find };
+  for (const k of ["anchor", "offset"]) if (a[k] != null) step[k] = a[k];
+  return step;
+}
+
+// from / waypoints / duration_ms / steps of a hover or drag call
+function pathStep(a) {
+  const step = {};
+  for (const k of ["from", "waypoints", "duration_ms", "steps"]) if (a[k] != null) step[k] = a[k];
+  return step;
+}
+
+// Tool call → mission step; null for calls with no step equivalent
+const STEP_EXPORTERS = {
+  grb_screenshot: (a, n) => ({ action: "screenshot", label: `screen_${n.screenshots++ + 1}` }),
+  grb_click: (a) => ({
+    action: "click", ...pointerStep(a),
+    ...(a.button && a.button !== "left" ? { button: a.button } : {}),
+    ...(a.double ? { double: true } : {}),
+  }),
+  grb_hover: (a) => ({ action: "hover", ...pointerStep(a), ...pathStep(a) }),
+  grb_drag: (a) => ({ action: "drag", from: a.from, to: a.to, ...pathStep(a), ...(a.button && a.button !== "left" ? { button: a.button } : {}) }),
+  grb_key: (a) => {
+    const args = a.action ? { action: a.action } : a.key ? { key: a.key } : { keycode: a.keycode };
+    for (const k of ["modifiers", "pressed", "hold_ms"]) if (a[k] != null && !(k === "modifiers" && a[k].length === 0)) args[k] = a[k];
+    return { action: "key", args };
+  },
+  grb_touch: (a) => ({ action: "touch", ...a }),
+  grb_type_text: (a) => ({ action: "type_text", text: a.text, ...(a.interval_ms ? { interval_ms: a.interval_ms } : {}) }),
+  grb_press_button: (a) => ({ action: "press_button", name: a.name }),
+  grb_get_property: (a) => ({ action: "get_property", node: a.node, property: a.property }),
+  grb_set_property: (a) => ({ action: "set_property", node: a.node, property: a.property, value: a.value }),
+  grb_call_method: (a) => ({ action: "call_method", node: a.node, method: a.method, ...(a.args?.length ? { args: a.args } : {}) }),
+  grb_scene_tree: (a) => ({ action: "scene_tree", ...(a.max_depth != null ? { max_depth: a.max_depth } : {}) }),
+  grb_runtime_info: () => ({ action: "runtime_info" }),
+  grb_performance: () => ({ action: "grb_performance" }),
+  grb_audio_state: () => ({ action: "audio_state" }),
+  grb_get_errors: () => ({ action: "check_errors" }),
+  grb_find_nodes: (a) => {
+    const step = { action: "find_nodes" };
+    for (const k of ["name", "type", "group", "limit"]) if (a[k] != null && a[k] !== "") step[k] = a[k];
+    return step;
+  },
+  // Polls like grb_wait_for did, and raises an issue if the value never arrives
+  grb_wait_for: (a) => {
+    const timeoutMs = a.timeout_ms ?? 5000;
+    return {
+      action: "loop_until",
+      node: a.node,
+      property: a.property,
+      op: "==",
+      expected: a.value,
+      max_attempts: Math.max(1, Math.ceil(timeoutMs / WAIT_FOR_INTERVAL_MS)),
+      interval_ms: WAIT_FOR_INTERVAL_MS,
+      steps: [],
+    };
+  },
+};
+
+// Session management and mission tools are not part of a repro
+const NON_STEP_TOOLS = new Set([
+  "grb_launch", "grb_connect", "grb_list_sessions", "grb_select_session", "grb_ping", "grb_capabilities",
+  "grb_quit", "grb_reset", "grb_list_missions", "grb_run_mission",
+]);
+
+/**
+ * Build a mission from journal entries. Gaps between calls of at least
+ * minWaitMs become wait steps, capped at maxWaitMs so an agent's thinking
+ * time does not end up in the replay. Failed calls are left out.
+ */
+function exportMission(entries, { id, name, goal, minWaitMs = DEFAULT_MIN_WAIT_MS, maxWaitMs = DEFAULT_MAX_WAIT_MS }) {
+  const steps = [];
+  const skipped = [];
+  const counters = { screenshots: 0 };
+  let lastEnd = null;
+  for (const e of entries) {
+    if (NON_STEP_TOOLS.has(e.tool)) continue;
+    const exporter = STEP_EXPORTERS[e.tool];
+    if (!e.ok || !exporter) {
+      skipped.push({ seq: e.seq, tool: e.tool, reason: e.ok ? "no mission step for this tool" : `failed: ${e.summary}` });
+      continue;
+    }
+    if (lastEnd != null) {
+      const gap = e.at_ms - lastEnd;
+      if (gap >= minWaitMs) steps.push({ action: "wait", ms: Math.min(Math.round(gap), maxWaitMs) });
+    }
+    steps.push(exporter(e.args, counters));
+    lastEnd = e.at_ms + e.duration_ms;
+  }
+  const first = entries[0];
+  const mission = {
+    id,
+    name: name || `Recorded session ${id}`,
+    goal: goal || "Replay a recorded MCP session",
+    comment: `Exported by grb_export_mission from ${entries.length} journaled call(s)${first ? ` starting ${new Date(journal.startedAt + first.at_ms).toISOString()}` : ""}`,
+    steps,
+  };
+  return { mission, skipped };
+}
+
+// Missions files keep one step per line (see missions/missions.json)
+function compactJson(value) {
+  if (Array.isArray(value)) return `[${value.map(compactJson).join(", ")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${compactJson(v)}`).join(", ")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function formatMission(mission) {
+  const fields = Object.entries(mission).map(([k, v]) => k === "steps" && Array.isArray(v)
+    ? `    "steps": [\n${v.map((step) => `      ${compactJson(step)}`).join(",\n")}\n    ]`
+    : `    ${JSON.stringify(k)}: ${compactJson(v)}`);
+  return `  {\n${fields.join(",\n")}\n  }`;
+}
+
+/**
+ * Add a mission to a missions file, or replace the one with the same id.
+ * A new mission is appended as text, so the rest of the file keeps its layout.
+ */
+function saveMission(file, mission) {
+  const missions = fs.existsSync(file) ? readMissions(file) : [];
+  const at = missions.findIndex((m) => m.id === mission.id);
+  if (at >= 0) {
+    missions[at] = mission;
+    fs.writeFileSync(file, `[\n${missions.map(formatMission).join(",\n")}\n]\n`, "utf8");
+    return "replaced";
+  }
+  if (missions.length === 0) {
+    fs.writeFileSync(file, `[\n${formatMission(mission)}\n]\n`, "utf8");
+  } else {
+    const text = fs.readFileSync(file, "utf8");
+    const end = text.lastIndexOf("]");
+    fs.writeFileSync(file, `${text.slice(0, end).trimEnd()},\n${formatMission(mission)}\n]\n`, "utf8");
+  }
+  return "added";
+}
+
 // ── Tool definitions ──
 
+// Node targeting for grb_click / grb_hover, and the object form of grb_drag's from/to
+const TARGET_PROPS = {
+  node: { type: "string", description: "NodePath of a Control or CanvasItem (e.g. 'Main/Menu/Start'), instead of x/y" },
+  find: {
+    type: "object",
+    description: "find_nodes query ({name, type, group}) instead of x/y; the first match that is on screen is used",
+  },
+  anchor: {
+    description: `Point in the node's on-screen rect: ${POINTER_ANCHORS.join(", ")} (default center), or [fx, fy] fractions`,
+  },
+  offset: { type: "array", items: { type: "number" }, description: "[dx, dy] pixels added to the anchor point" },
+};
+
+const POINT_SCHEMA = {
+  anyOf: [{ type: "array", items: { type: "number" } }, { type: "object", properties: TARGET_PROPS }, { type: "string" }],
+};
+
+// Interpolated motion for grb_drag / grb_hover
+const PATH_PROPS = {
+  waypoints: { type: "array", items: POINT_SCHEMA, description: "Points to pass through on the way, each like 'to'" },
+  duration_ms: { type: "number", description: "Spread the motion over this long (default: 0, one jump per segment)" },
+  steps: { type: "number", description: "Motion events along the path (default: one per 16ms of duration_ms)" },
+};
+
 const TOOLS = [
   {
     name: "grb_launch",
     description:
-      "Launch a Godot game with the Runtime Bridge enabled. Parses the GDRB_READY line to auto-discover port and token.",
+      "Launch a Godot game with the Runtime Bridge enabled. Parses the GDRB_READY line to auto-discover port and token. Reports progress (override.cfg written, Godot spawned, GDRB_READY received) when given a progressToken; cancelling the call kills a launch that hangs.",
     inputSchema: {
       type: "object",
       properties: {
@@ -177,6 +573,11 @@ const TOOLS = [
           description:
             'Test window size as "WxH" (default: "960x540"). Use "minimized" to hide the window entirely. Viewport resolution is unaffected.',
         },
+        session: {
+          type: "string",
+          description:
+            'Session id for this instance (e.g. "host", "client"). Default: auto-assigned. Reusing an id replaces that instance; other instances keep running.',
+        },
       },
       required: ["project_path"],
     },
@@ -190,10 +591,36 @@ const TOOLS = [
       properties: {
         port: { type: "number", description: "TCP port" },
         token: { type: "string", description: "Auth token" },
+        session: {
+          type: "string",
+          description: "Session id for this connection (default: auto-assigned)",
+        },
+        project_path: {
+          type: "string",
+          description: "Project folder, used to save screenshots (optional)",
+        },
       },
       required: ["port", "token"],
     },
   },
+  {
+    name: "grb_list_sessions",
+    description:
+      "List launched and connected game sessions: id, port, tier, process id, project, and which one is selected.",
+    inputSchema: { type: "object", properties: {} },
+  },
+  {
+    name: "grb_select_session",
+    description:
+      "Select the session that tools address when they are called without a 'session' argument.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        session: { type: "string", description: "Session id (see grb_list_sessions)" },
+      },
+      required: ["session"],
+    },
+  },
   {
     name: "grb_ping",
     description: "Check if the bridge is reachable.",
@@ -216,28 +643,73 @@ const TOOLS = [
   },
   {
     name: "grb_click",
-    description: "Inject a left-click at viewport coordinates.",
+    description:
+      "Inject a click at viewport coordinates, or on a node: pass 'node' (NodePath) or 'find' and the game clicks its on-screen rect (center by default). Fails with not_visible if the node is hidden or off-screen.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        x: { type: "number", description: "Viewport X" },
+        y: { type: "number", description: "Viewport Y" },
+        ...TARGET_PROPS,
+        button: { type: "string", enum: MOUSE_BUTTONS, description: "Mouse button (default: left)" },
+        double: { type: "boolean", description: "Double-click (default: false)" },
+      },
+    },
+  },
+  {
+    name: "grb_hover",
+    description:
+      "Move the pointer (no button held) to viewport coordinates or onto a node ('node' or 'find'), e.g. to show a tooltip or hover state. With duration_ms, steps or waypoints it glides there from 'from' (default: the last pointer position). Fails with not_visible if the node is hidden or off-screen.",
     inputSchema: {
       type: "object",
       properties: {
         x: { type: "number", description: "Viewport X" },
         y: { type: "number", description: "Viewport Y" },
+        ...TARGET_PROPS,
+        from: { ...POINT_SCHEMA, description: "Start of the path: [x, y], a NodePath, or {node | find, anchor, offset}" },
+        ...PATH_PROPS,
       },
-      required: ["x", "y"],
     },
   },
   {
     name: "grb_key",
     description:
-      "Inject a key press. Use 'action' for Godot input actions or 'keycode' for raw keycodes.",
+      "Inject a key press. Use 'action' for Godot input actions, 'key' for a key name or chord (\"Enter\", \"ctrl+shift+s\"), or 'keycode' for raw keycodes. 'pressed' sends only the key-down or key-up; 'hold_ms' holds the key before releasing it. Use grb_type_text to type text.",
     inputSchema: {
       type: "object",
       properties: {
         action: { type: "string", description: "Godot input action name" },
+        key: {
+          type: "string",
+          description: 'Key name or chord: "Escape", "F5", "a", "ctrl+s", "ctrl+shift+z". Modifiers: shift, ctrl, alt, meta (cmd)',
+        },
         keycode: { type: "number", description: "Raw keycode value" },
+        modifiers: {
+          type: "array",
+          items: { type: "string" },
+          description: 'Modifiers held with \'key\' or \'keycode\', e.g. ["ctrl", "shift"]',
+        },
+        pressed: {
+          type: "boolean",
+          description: "true = key-down only, false = key-up only (default: press and release)",
+        },
+        hold_ms: { type: "number", description: "Hold the key this long before releasing (default: 0)" },
       },
     },
   },
+  {
+    name: "grb_type_text",
+    description:
+      "Type a Unicode string into the focused control (LineEdit, TextEdit, ...), one key event per character. \\n sends Enter, \\t sends Tab.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        text: { type: "string", description: "Text to type" },
+        interval_ms: { type: "number", description: "Delay between characters (default: 0)" },
+      },
+      required: ["text"],
+    },
+  },
   {
     name: "grb_press_button",
     description: "Find a BaseButton by name in the scene tree and trigger its pressed signal.",
@@ -251,20 +723,15 @@ const TOOLS = [
   },
   {
     name: "grb_drag",
-    description: "Inject a drag gesture from one point to another.",
+    description:
+      "Inject a drag gesture from one point to another. Each end is [x, y], a NodePath, or {node | find, anchor, offset} to drag to/from a node's on-screen rect. Use duration_ms/steps for drag-and-drop code that needs intermediate motion, and waypoints for a path.",
     inputSchema: {
       type: "object",
       properties: {
-        from: {
-          type: "array",
-          items: { type: "number" },
-          description: "[x, y] start",
-        },
-        to: {
-          type: "array",
-          items: { type: "number" },
-          description: "[x, y] end",
-        },
+        from: { ...POINT_SCHEMA, description: "Start: [x, y], a NodePath, or {node | find, anchor, offset}" },
+        to: { ...POINT_SCHEMA, description: "End: [x, y], a NodePath, or {node | find, anchor, offset}" },
+        ...PATH_PROPS,
+        button: { type: "string", enum: MOUSE_BUTTONS, description: "Mouse button held during the drag (default: left)" },
       },
       required: ["from", "to"],
     },
@@ -345,7 +812,7 @@ const TOOLS = [
   },
   {
     name: "grb_wait_for",
-    description: "Wait until a node property matches a value (or timeout).",
+    description: "Wait until a node property matches a value (or timeout). Reports the property's current value every second when given a progressToken; cancelling the call stops the wait.",
     inputSchema: {
       type: "object",
       properties: {
@@ -373,25 +840,25 @@ const TOOLS = [
   {
     name: "grb_reset",
     description:
-      "Quit the running game and relaunch a fresh instance. Use instead of quit+launch when Godot doesn't exit cleanly. Same args as grb_launch.",
+      "Quit the running game and relaunch a fresh instance in the same session. Use instead of quit+launch when Godot doesn't exit cleanly. Same args as grb_launch; omitted args are reused from the session's original launch, so a session attached with grb_connect needs project_path.",
     inputSchema: {
       type: "object",
       properties: {
         project_path: {
           type: "string",
-          description: "Path to project folder (required)",
+          description: "Path to project folder (default: the session's project)",
         },
         godot_exe: { type: "string" },
         tier: { type: "number" },
         enable_danger: { type: "boolean" },
         window_size: { type: "string" },
       },
-      required: ["project_path"],
     },
   },
   {
     name: "grb_gesture",
-    description: "Inject pinch or swipe gesture. Uses InputEventMagnifyGesture and InputEventPanGesture.",
+    description:
+      "Inject pinch or swipe gesture. Uses InputEventMagnifyGesture and InputEventPanGesture, which only desktop trackpads emit; use grb_touch for mobile builds.",
     inputSchema: {
       type: "object",
       properties: {
@@ -408,6 +875,44 @@ const TOOLS = [
       required: ["type"],
     },
   },
+  {
+    name: "grb_touch",
+    description:
+      "Multi-touch for mobile builds, as InputEventScreenTouch/ScreenDrag with finger indices. type: 'tap' or 'long_press' at 'at'; 'pinch' (fingers from start_distance to end_distance apart) or 'rotate' (by 'degrees') around 'center'; 'paths' for scripted fingers, each with its own points and timing. Points are [x, y], a NodePath, or {node | find, anchor, offset}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        type: { type: "string", enum: TOUCH_TYPES },
+        at: { ...POINT_SCHEMA, description: "tap / long_press: where the finger goes down" },
+        index: { type: "number", description: "tap / long_press: finger index (default 0)" },
+        hold_ms: { type: "number", description: "tap / long_press: time before lifting (default 0 / 800)" },
+        center: { ...POINT_SCHEMA, description: "pinch / rotate: midpoint between the two fingers (indices 0 and 1)" },
+        start_distance: { type: "number", description: "pinch: finger spacing at the start (default 100)" },
+        end_distance: { type: "number", description: "pinch: finger spacing at the end (default: twice start_distance; smaller pinches in)" },
+        distance: { type: "number", description: "rotate: finger spacing (default 100)" },
+        angle: { type: "number", description: "pinch / rotate: starting angle of the line between the fingers, degrees (default 0, horizontal)" },
+        degrees: { type: "number", description: "rotate: clockwise rotation (default 90)" },
+        fingers: {
+          type: "array",
+          description: "paths: one entry per finger; it goes down at the first point, drags through the rest, and lifts",
+          items: {
+            type: "object",
+            properties: {
+              points: { type: "array", items: POINT_SCHEMA },
+              index: { type: "number", description: "Finger index (default: position in the list)" },
+              delay_ms: { type: "number", description: "Touch down this long after the start (default 0)" },
+              duration_ms: { type: "number", description: "Time along the points (default: the tool's duration_ms)" },
+              steps: { type: "number" },
+            },
+            required: ["points"],
+          },
+        },
+        duration_ms: { type: "number", description: "pinch / rotate / paths: how long the fingers move (default 300)" },
+        steps: { type: "number", description: "Drag events per finger (default: one per 16ms of duration_ms)" },
+      },
+      required: ["type"],
+    },
+  },
   {
     name: "grb_audio_state",
     description: "Get audio bus volumes (dB), mute state, and mix rate. Tier 0.",
@@ -479,25 +984,117 @@ const TOOLS = [
       required: ["action"],
     },
   },
+  {
+    name: "grb_list_missions",
+    description:
+      "List the QA missions in missions.json (or another missions file): id, name, goal, tier and estimated time. Run one with grb_run_mission.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        missions_file: {
+          type: "string",
+          description: "Missions file, absolute or relative to missions/ (default: missions/missions.json)",
+        },
+      },
+    },
+  },
+  {
+    name: "grb_run_mission",
+    description:
+      "Run a mission (or 'all' / 'starters') against the connected game with the mission runner, and return its issues and screenshots. Reports are written to missions/reports/ and can be read back as grb://reports/ resources. Reports progress per step when given a progressToken; cancelling the call stops the run. Don't call other tools on the same session while it runs: the game serves one connection at a time.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        mission: { type: "string", description: "Mission id, 'all', or 'starters' (see grb_list_missions)" },
+        missions_file: {
+          type: "string",
+          description: "Missions file, absolute or relative to missions/ (default: missions/missions.json)",
+        },
+        vars: {
+          type: "object",
+          description: "Mission variable overrides, e.g. {\"level\": 3} (like --var key=value)",
+        },
+        reset: {
+          type: "boolean",
+          description: "Reset to the home screen before each mission (default: only for 'all' / 'starters')",
+        },
+        allow_boot_errors: {
+          type: "boolean",
+          description: "Run even if the game has logged engine errors (default: false)",
+        },
+        run_id: { type: "string", description: "Archive the run under this id (default: the start time)" },
+        timeout_sec: { type: "number", description: "Stop the run after this many seconds (default: 600)" },
+      },
+      required: ["mission"],
+    },
+  },
+  {
+    name: "grb_journal",
+    description:
+      "Record tool calls (tool, arguments, session, timing, one-line result) so they can be exported with grb_export_mission. 'start' begins recording, 'stop' pauses it, 'clear' empties the journal, 'show' returns the entries. Also on at startup with GRB_JOURNAL=1.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: { type: "string", description: "'start', 'stop', 'clear' or 'show' (default: 'show')" },
+        since: { type: "number", description: "For 'show': only entries with seq >= since" },
+      },
+    },
+  },
+  {
+    name: "grb_export_mission",
+    description:
+      "Turn a session's journaled calls into a mission for missions.json: screenshots become labeled screenshot steps, pauses between calls become wait steps, grb_wait_for becomes loop_until. Failed calls and tools without a mission step are listed as skipped. Returns the mission JSON, and adds it to missions_file when given.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "Mission id (default: recorded_<time>)" },
+        name: { type: "string", description: "Mission name" },
+        goal: { type: "string", description: "What the mission checks" },
+        since: { type: "number", description: "First journal seq to include (default: the whole journal)" },
+        until: { type: "number", description: "Last journal seq to include" },
+        min_wait_ms: { type: "number", description: "Shortest pause that becomes a wait step (default: 250)" },
+        max_wait_ms: { type: "number", description: "Longest wait step; longer pauses are cut to this (default: 5000)" },
+        missions_file: {
+          type: "string",
+          description: "Add the mission to this missions file (absolute or relative to missions/); a mission with the same id is replaced",
+        },
+      },
+    },
+  },
 ];
 
+// Every tool that talks to a game can target a specific session.
+const SESSION_ARG = {
+  type: "string",
+  description: "Session id to target (default: the selected session)",
+};
+// Tools that never touch a session
+const SESSIONLESS_TOOLS = new Set(["grb_list_sessions", "grb_list_missions", "grb_journal"]);
+for (const tool of TOOLS) {
+  if (SESSIONLESS_TOOLS.has(tool.name)) continue;
+  if (!tool.inputSchema.properties.session) tool.inputSchema.properties.session = SESSION_ARG;
+}
+
 // ── Handlers ──
 
-async function handleTool(name, args) {
+/**
+ * @param {object} [ctx]
+ * @param {AbortSignal} [ctx.signal] - aborted when the caller cancels the request
+ * @param {object} [ctx.progress]    - from createProgress
+ */
+async function handleTool(name, args, ctx = {}) {
+  const send = (cmd, cmdArgs = {}, opts = {}) => sendCommand(args.session, cmd, cmdArgs, opts);
+  const { signal, progress = NO_PROGRESS } = ctx;
+
   switch (name) {
     case "grb_launch": {
-      if (grbProcess) {
-        try { grbProcess.kill(); } catch {}
-        grbProcess = null;
-        grbPort = null;
-        grbToken = null;
+      const sessionId = args.session != null && args.session !== "" ? String(args.session) : null;
+      if (sessionId && sessions.has(sessionId)) {
+        await closeSession(sessions.get(sessionId));
       }
 
       const projectPath = args.project_path;
-      grbProjectPath = projectPath;
-      const godotExe = args.godot_exe || process.env.GODOT_PATH || "godot";
-      const tier = args.tier != null ? String(args.tier) : "1";
-      const token = crypto.randomBytes(24).toString("hex");
+      if (!projectPath) throw new Error("project_path is required");
 
       // Parse window_size: "WxH", "minimized", or default 960x540
       const winSizeArg = args.window_size || "960x540";
@@ -509,89 +1106,70 @@ async function handleTool(name, args) {
       }
 
       const env = {
-        ...process.env,
-        GDRB_TOKEN: token,
-        GDRB_TIER: tier,
-        GDRB_FORCE_WINDOWED: "1",
         GDRB_WINDOW_WIDTH: String(winW),
         GDRB_WINDOW_HEIGHT: String(winH),
       };
       if (args.enable_danger) env.GDRB_ENABLE_DANGER = "1";
 
-      // Write override.cfg to force windowed mode at engine level.
-      // Godot reads this after project.godot and it takes priority.
-      const overridePath = path.join(projectPath, "override.cfg");
-      let prevOverride = null;
-      try {
-        prevOverride = fs.readFileSync(overridePath, "utf8");
-      } catch {}
-      const overrideLines = [
-        "[display]",
-        "",
-        "window/size/mode=0",
-        `window/size/window_width_override=${winW}`,
-        `window/size/window_height_override=${winH}`,
-        "",
-      ];
-      fs.writeFileSync(overridePath, overrideLines.join("\n"), "utf8");
+      const releaseOverride = acquireOverride(projectPath, winW, winH);
+      progress.report("override.cfg written", LAUNCH_TIMEOUT_MS);
 
-      let child;
+      let client;
+      let heartbeat = null;
       try {
-        child = spawn(godotExe, ["--path", projectPath, "--windowed"], {
-          cwd: projectPath,
+        client = await GrbClient.launch({
+          exe: args.godot_exe,
+          project: projectPath,
+          tier: args.tier,
+          args: ["--windowed"],
           env,
-          stdio: ["ignore", "pipe", "pipe"],
+          idPrefix: "mcp",
+          persistent: true,
+          signal,
+          onProgress: (stage, info) => {
+            if (stage === "spawned") {
+              progress.report(`Godot spawned (pid ${info.pid}), waiting for GDRB_READY`, LAUNCH_TIMEOUT_MS);
+              if (progress.enabled) {
+                heartbeat = setInterval(() => progress.report(
+                  `Waiting for GDRB_READY (${seconds(progress.elapsed())})`, LAUNCH_TIMEOUT_MS), PROGRESS_INTERVAL_MS);
+              }
+            } else if (stage === "ready") {
+              progress.report(`GDRB_READY received, bridge on port ${info.port}`, LAUNCH_TIMEOUT_MS);
+            }
+          },
         });
       } catch (e) {
-        // Restore override.cfg on failure
-        if (prevOverride != null) {
-          fs.writeFileSync(overridePath, prevOverride, "utf8");
-        } else {
-          try { fs.unlinkSync(overridePath); } catch {}
-        }
+        releaseOverride();
+        if (!(e instanceof GrbLaunchError)) throw e;
         return errResult({
           ok: false,
-          error_code: "launch_failed",
-          error_msg: `Failed to spawn Godot: ${e.message}`,
+          error_code: e.code,
+          error_msg: e.message,
         });
+      } finally {
+        clearInterval(heartbeat);
       }
 
-      const spawnError = await new Promise((resolve) => {
-        child.on("error", (err) => resolve(err));
-        setTimeout(() => resolve(null), 1000);
+      const session = addSession(sessionId, {
+        client,
+        projectPath,
+        launchArgs: { ...args },
+        startedAt: new Date().toISOString(),
       });
-      if (spawnError) {
-        if (prevOverride != null) {
-          fs.writeFileSync(overridePath, prevOverride, "utf8");
-        } else {
-          try { fs.unlinkSync(overridePath); } catch {}
-        }
-        return errResult({
-          ok: false,
-          error_code: "launch_failed",
-          error_msg: `Godot executable not found: "${godotExe}". Pass godot_exe or set GODOT_PATH env var.`,
-        });
-      }
 
-      grbProcess = child;
-      child.stderr.on("data", () => {});
-
-      // Clean up override.cfg when Godot exits
-      child.on("exit", () => {
-        if (prevOverride != null) {
-          try { fs.writeFileSync(overridePath, prevOverride, "utf8"); } catch {}
-        } else {
-          try { fs.unlinkSync(overridePath); } catch {}
-        }
+      // Clean up override.cfg and forget the session when Godot exits
+      client.process.on("exit", () => {
+        releaseOverride();
+        if (sessions.get(session.id) === session) closeSession(session);
       });
 
-      const ready = await waitForReady(child);
+      const ready = client.ready;
 
       return {
         content: [
           {
             type: "text",
-            text: `Launched Godot. Bridge ready on port ${ready.port}, tier ${ready.tier_default}. ${
+            text: `Launched Godot as session "${session.id}". Bridge ready on port ${ready.port}, tier ${ready.tier_default}. ${
               args.enable_danger ? "DANGER MODE ENABLED." : ""
             }`,
           },
@@ -600,18 +1178,56 @@ async function handleTool(name, args) {
     }
 
     case "grb_connect": {
-      grbPort = args.port;
-      grbToken = args.token;
-      await sendPing();
+      const sessionId = args.session != null && args.session !== "" ? String(args.session) : null;
+      const client = new GrbClient({ port: args.port, token: args.token, idPrefix: "mcp", persistent: true });
+      try {
+        await client.connect();
+      } catch (e) {
+        await client.close();
+        throw e;
+      }
+      if (sessionId && sessions.has(sessionId)) {
+        await closeSession(sessions.get(sessionId));
+      }
+      const session = addSession(sessionId, {
+        client,
+        projectPath: args.project_path || null,
+        launchArgs: null,
+        startedAt: new Date().toISOString(),
+      });
       return {
         content: [
-          { type: "text", text: `Connected to bridge on port ${grbPort}.` },
+          { type: "text", text: `Connected to bridge on port ${args.port} as session "${session.id}".` },
         ],
       };
     }
 
+    case "grb_list_sessions": {
+      const list = [...sessions.values()].map((s) => ({
+        session: s.id,
+        current: s.id === currentSessionId,
+        port: s.client.port,
+        tier: s.client.ready?.tier_default ?? null,
+        launched: s.client.process != null,
+        pid: s.client.process?.pid ?? null,
+        project_path: s.projectPath,
+        started_at: s.startedAt,
+      }));
+      return {
+        content: [{ type: "text", text: JSON.stringify({ sessions: list }, null, 2) }],
+      };
+    }
+
+    case "grb_select_session": {
+      const session = getSession(args.session);
+      currentSessionId = session.id;
+      return {
+        content: [{ type: "text", text: `Selected session "${session.id}" (port ${session.client.port}).` }],
+      };
+    }
+
     case "grb_ping": {
-      const r = await sendCommand("ping");
+      const r = await send("ping");
       return {
         content: [
           { type: "text", text: r.ok && r.pong ? "OK" : JSON.stringify(r) },
@@ -620,10 +1236,11 @@ async function handleTool(name, args) {
     }
 
     case "grb_screenshot": {
-      const r = await sendCommand("screenshot");
+      const r = await send("screenshot");
       if (!r.ok) return errResult(r);
-      if (grbProjectPath) {
-        const dir = path.join(grbProjectPath, "debug", "screenshots");
+      const projectPath = getSession(args.session).projectPath;
+      if (projectPath) {
+        const dir = path.join(projectPath, "debug", "screenshots");
         fs.mkdirSync(dir, { recursive: true });
         const gdignore = path.join(dir, ".gdignore");
         if (!fs.existsSync(gdignore)) fs.writeFileSync(gdignore, "");
@@ -642,7 +1259,7 @@ async function handleTool(name, args) {
     }
 
     case "grb_scene_tree": {
-      const r = await sendCommand("scene_tree", {
+      const r = await send("scene_tree", {
         max_depth: args.max_depth ?? 10,
       });
       if (!r.ok) return errResult(r);
@@ -652,24 +1269,57 @@ async function handleTool(name, args) {
     }
 
     case "grb_click": {
-      const r = await sendCommand("click", { x: args.x, y: args.y });
+      const target = toolTarget(args);
+      if (!target) return { content: [{ type: "text", text: "Error: provide x and y, 'node' or 'find'" }], isError: true };
+      const r = await send("click", {
+        ...target,
+        ...(args.button ? { button: args.button } : {}),
+        ...(args.double ? { double: true } : {}),
+      });
       if (!r.ok) return errResult(r);
+      const button = args.button && args.button !== "left" ? `${args.button[0].toUpperCase()}${args.button.slice(1)}` : "";
+      const verb = args.double ? (button ? `${button} double-clicked` : "Double-clicked") : (button ? `${button}-clicked` : "Clicked");
       return {
-        content: [{ type: "text", text: `Clicked (${args.x}, ${args.y})` }],
+        content: [{ type: "text", text: `${verb} ${landedAt(r, args)}` }],
       };
     }
 
+    case "grb_hover": {
+      const target = toolTarget(args);
+      if (!target) return { content: [{ type: "text", text: "Error: provide x and y, 'node' or 'find'" }], isError: true };
+      const { from, waypoints, duration_ms, steps } = args;
+      const r = await send("hover", { ...target, ...pointerPath({ from, waypoints, duration_ms, steps }) },
+        { timeoutMs: COMMAND_TIMEOUT_MS + (duration_ms ?? 0) });
+      if (!r.ok) return errResult(r);
+      return { content: [{ type: "text", text: `Pointer at ${landedAt(r, args)}` }] };
+    }
+
     case "grb_key": {
-      const r = await sendCommand("key", {
+      const holdMs = args.hold_ms ?? 0;
+      const r = await send("key", {
         action: args.action || "",
         keycode: args.keycode ?? -1,
-      });
+        key: args.key || "",
+        modifiers: args.modifiers ?? [],
+        ...(args.pressed != null ? { pressed: args.pressed } : {}),
+        hold_ms: holdMs,
+      }, { timeoutMs: COMMAND_TIMEOUT_MS + holdMs });
+      if (!r.ok) return errResult(r);
+      const what = args.action || args.key || `keycode ${args.keycode}`;
+      const how = args.pressed === true ? "down" : args.pressed === false ? "up" : holdMs > 0 ? `held ${holdMs}ms` : "sent";
+      return { content: [{ type: "text", text: `Key ${what} ${how}` }] };
+    }
+
+    case "grb_type_text": {
+      const intervalMs = args.interval_ms ?? 0;
+      const r = await send("type_text", { text: args.text ?? "", interval_ms: intervalMs },
+        { timeoutMs: COMMAND_TIMEOUT_MS + [...(args.text ?? "")].length * intervalMs });
       if (!r.ok) return errResult(r);
-      return { content: [{ type: "text", text: "Key sent" }] };
+      return { content: [{ type: "text", text: `Typed ${r.chars} character(s)` }] };
     }
 
     case "grb_press_button": {
-      const r = await sendCommand("press_button", { name: args.name });
+      const r = await send("press_button", { name: args.name });
       if (!r.ok) return errResult(r);
       return {
         content: [
@@ -679,16 +1329,16 @@ async function handleTool(name, args) {
     }
 
     case "grb_drag": {
-      const r = await sendCommand("drag", {
-        from: args.from,
-        to: args.to,
-      });
+      const { from, to, waypoints, duration_ms, steps, button } = args;
+      const r = await send("drag", pointerPath({ from, to, waypoints, duration_ms, steps, button }),
+        { timeoutMs: COMMAND_TIMEOUT_MS + (duration_ms ?? 0) });
       if (!r.ok) return errResult(r);
-      return { content: [{ type: "text", text: "Drag complete" }] };
+      if (!r.from) return { content: [{ type: "text", text: "Drag complete" }] };
+      return { content: [{ type: "text", text: `Dragged from ${landedAt(r.from)} to ${landedAt(r.to)}` }] };
     }
 
     case "grb_scroll": {
-      const r = await sendCommand("scroll", {
+      const r = await send("scroll", {
         x: args.x ?? 0,
         y: args.y ?? 0,
         delta: args.delta ?? -3,
@@ -698,7 +1348,7 @@ async function handleTool(name, args) {
     }
 
     case "grb_gesture": {
-      const r = await sendCommand("gesture", {
+      const r = await send("gesture", {
         type: args.type || "",
         params: args.params || {},
       });
@@ -706,8 +1356,16 @@ async function handleTool(name, args) {
       return { content: [{ type: "text", text: "Gesture sent" }] };
     }
 
+    case "grb_touch": {
+      const { session: _s, ...touch } = args;
+      const cmdArgs = touchArgs(touch);
+      const r = await send("touch", cmdArgs, { timeoutMs: COMMAND_TIMEOUT_MS + touchDurationMs(cmdArgs) });
+      if (!r.ok) return errResult(r);
+      return { content: [{ type: "text", text: `Touch ${args.type}: ${r.fingers} finger(s) over ${r.duration_ms}ms` }] };
+    }
+
     case "grb_audio_state": {
-      const r = await sendCommand("audio_state");
+      const r = await send("audio_state");
       if (!r.ok) return errResult(r);
       const { id: _id, ok: _ok, ...info } = r;
       return {
@@ -716,7 +1374,7 @@ async function handleTool(name, args) {
     }
 
     case "grb_network_state": {
-      const r = await sendCommand("network_state");
+      const r = await send("network_state");
       if (!r.ok) return errResult(r);
       const { id: _id2, ok: _ok2, ...info } = r;
       return {
@@ -725,7 +1383,7 @@ async function handleTool(name, args) {
     }
 
     case "grb_run_custom_command": {
-      const r = await sendCommand("run_custom_command", {
+      const r = await send("run_custom_command", {
         name: args.name || "",
         args: args.args ?? [],
       });
@@ -741,7 +1399,7 @@ async function handleTool(name, args) {
     }
 
     case "grb_performance": {
-      const r = await sendCommand("grb_performance");
+      const r = await send("grb_performance");
       if (!r.ok) return errResult(r);
       const { id: _id3, ok: _ok3, ...info } = r;
       return {
@@ -750,7 +1408,7 @@ async function handleTool(name, args) {
     }
 
     case "grb_get_property": {
-      const r = await sendCommand("get_property", {
+      const r = await send("get_property", {
         node: args.node,
         property: args.property,
       });
@@ -766,7 +1424,7 @@ async function handleTool(name, args) {
     }
 
     case "grb_set_property": {
-      const r = await sendCommand("set_property", {
+      const r = await send("set_property", {
         node: args.node,
         property: args.property,
         value: args.value,
@@ -776,7 +1434,7 @@ async function handleTool(name, args) {
     }
 
     case "grb_call_method": {
-      const r = await sendCommand("call_method", {
+      const r = await send("call_method", {
         node: args.node,
         method: args.method,
         args: args.args ?? [],
@@ -793,7 +1451,7 @@ async function handleTool(name, args) {
     }
 
     case "grb_runtime_info": {
-      const r = await sendCommand("runtime_info");
+      const r = await send("runtime_info");
       if (!r.ok) return errResult(r);
       const { id: _id, ok: _ok, ...info } = r;
       return {
@@ -802,7 +1460,7 @@ async function handleTool(name, args) {
     }
 
     case "grb_get_errors": {
-      const r = await sendCommand("get_errors", {
+      const r = await send("get_errors", {
         since_index: args.since_index ?? 0,
       });
       if (!r.ok) return errResult(r);
@@ -812,12 +1470,34 @@ async function handleTool(name, args) {
     }
 
     case "grb_wait_for": {
-      const r = await sendCommand("wait_for", {
+      const timeoutMs = args.timeout_ms ?? 5000;
+      const wait = send("wait_for", {
         node: args.node,
         property: args.property,
         value: args.value,
-        timeout_ms: args.timeout_ms ?? 5000,
-      });
+        timeout_ms: timeoutMs,
+      }, { timeoutMs: Math.max(COMMAND_TIMEOUT_MS, timeoutMs + 5000), signal });
+
+      // wait_for answers once, at the end; read the property alongside it
+      // so the caller can see how far off it is.
+      const target = `${args.node}.${args.property} == ${JSON.stringify(args.value)}`;
+      let poll = null;
+      if (progress.enabled) {
+        progress.report(`Waiting for ${target}`, timeoutMs);
+        poll = setInterval(async () => {
+          const cur = await send("get_property", { node: args.node, property: args.property }, { signal }).catch(() => null);
+          if (poll == null) return;
+          const value = cur?.ok ? JSON.stringify(cur.value) : "unreadable";
+          progress.report(`Waiting for ${target}: currently ${value} (${seconds(progress.elapsed())} of ${seconds(timeoutMs)})`, timeoutMs);
+        }, PROGRESS_INTERVAL_MS);
+      }
+      let r;
+      try {
+        r = await wait;
+      } finally {
+        clearInterval(poll);
+        poll = null;
+      }
       if (!r.ok) return errResult(r);
       return {
         content: [
@@ -832,7 +1512,7 @@ async function handleTool(name, args) {
     }
 
     case "grb_capabilities": {
-      const r = await sendCommand("capabilities");
+      const r = await send("capabilities");
       if (!r.ok) return errResult(r);
       return {
         content: [
@@ -845,36 +1525,34 @@ async function handleTool(name, args) {
     }
 
     case "grb_quit": {
-      try {
-        await sendCommand("quit");
-      } catch {}
-      if (grbProcess) {
-        try { grbProcess.kill(); } catch {}
-        grbProcess = null;
-      }
-      grbPort = null;
-      grbToken = null;
+      const session = getSession(args.session);
+      await closeSession(session, { quit: true });
       return {
-        content: [{ type: "text", text: "Game quit successfully." }],
+        content: [{ type: "text", text: `Game quit successfully (session "${session.id}").` }],
       };
     }
 
     case "grb_reset": {
-      try {
-        await sendCommand("quit");
-      } catch {}
-      if (grbProcess) {
-        try { grbProcess.kill(); } catch {}
-        grbProcess = null;
+      const selected = currentSessionId;
+      let launchArgs = args;
+      if (sessions.has(String(args.session ?? currentSessionId))) {
+        const session = getSession(args.session);
+        launchArgs = { ...session.launchArgs, ...args, session: session.id };
+        // Check before quitting: a game attached with grb_connect can't be relaunched
+        if (!launchArgs.project_path) {
+          throw new Error(`Session "${session.id}" was attached with grb_connect; cannot reset it without project_path (the game was left running)`);
+        }
+        await closeSession(session, { quit: true });
       }
-      grbPort = null;
-      grbToken = null;
       await new Promise((r) => setTimeout(r, 800));
-      return await handleTool("grb_launch", args);
+      const result = await handleTool("grb_launch", launchArgs, ctx);
+      // Resetting another instance shouldn't steal the selection
+      if (selected && selected !== launchArgs.session && sessions.has(selected)) currentSessionId = selected;
+      return result;
     }
 
     case "grb_find_nodes": {
-      const r = await sendCommand("find_nodes", {
+      const r = await send("find_nodes", {
         name: args.name || "",
         type: args.type || "",
         group: args.group || "",
@@ -887,7 +1565,7 @@ async function handleTool(name, args) {
     }
 
     case "grb_gamepad": {
-      const r = await sendCommand("gamepad", {
+      const r = await send("gamepad", {
         action: args.action || "",
         button: args.button ?? 0,
         pressed: args.pressed ?? true,
@@ -902,8 +1580,120 @@ async function handleTool(name, args) {
       return { content: [{ type: "text", text: "Gamepad input sent" }] };
     }
 
+    case "grb_list_missions": {
+      const list = readMissions(args.missions_file).map((m) => ({
+        id: m.id,
+        name: m.name,
+        goal: m.goal,
+        starter: !!m.starter,
+        tier_required: m.tier_required ?? null,
+        estimated_time_sec: m.estimated_time_sec ?? null,
+        steps: Array.isArray(m.steps) ? m.steps.length : 0,
+      }));
+      return {
+        content: [{ type: "text", text: JSON.stringify({ missions_file: missionsFilePath(args.missions_file), missions: list }, null, 2) }],
+      };
+    }
+
+    case "grb_run_mission": {
+      if (!args.mission) throw new Error("mission is required");
+      const session = getSession(args.session);
+      const runnerArgs = [
+        "--mission", String(args.mission),
+        "--port", String(session.client.port),
+        "--token", session.client.token,
+        "--missions-file", missionsFilePath(args.missions_file),
+        "--format", "json",
+      ];
+      for (const [key, value] of Object.entries(args.vars || {})) {
+        runnerArgs.push("--var", `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`);
+      }
+      if (args.reset === true) runnerArgs.push("--reset");
+      if (args.reset === false) runnerArgs.push("--no-reset");
+      if (args.allow_boot_errors) runnerArgs.push("--allow-boot-errors");
+      if (args.run_id) runnerArgs.push("--run-id", String(args.run_id));
+
+      const resultsPath = path.join(REPORTS_DIR, "results.json");
+      const startedAt = Date.now();
+      const { code, output } = await spawnMissionRunner(runnerArgs, {
+        signal,
+        timeoutMs: args.timeout_sec ? args.timeout_sec * 1000 : MISSION_RUN_TIMEOUT_MS,
+        onLine: (line) => progress.report(line),
+      });
+      mcpServer.sendResourceListChanged().catch(() => {});
+
+      // results.json is only written once every mission has run
+      let results = null;
+      try {
+        if (fs.statSync(resultsPath).mtimeMs >= startedAt) results = JSON.parse(fs.readFileSync(resultsPath, "utf8"));
+      } catch {}
+      if (!results) {
+        return {
+          content: [{ type: "text", text: `Mission runner exited with code ${code} before writing results:\n${tail(output)}` }],
+          isError: true,
+        };
+      }
+      return { content: missionRunContent(results) };
+    }
+
+    case "grb_journal": {
+      const action = args.action || "show";
+      if (action === "start") {
+        if (!journal.enabled) {
+          journal.enabled = true;
+          if (journal.entries.length === 0) journal.startedAt = Date.now();
+        }
+      } else if (action === "stop") {
+        journal.enabled = false;
+      } else if (action === "clear") {
+        journal.entries = [];
+        journal.startedAt = Date.now();
+      } else if (action !== "show") {
+        throw new Error(`Unknown journal action "${action}" (expected: start, stop, clear, show)`);
+      }
+      const entries = action === "show" ? journal.entries.filter((e) => e.seq >= (args.since ?? 0)) : [];
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            recording: journal.enabled,
+            started_at: new Date(journal.startedAt).toISOString(),
+            count: journal.entries.length,
+            ...(action === "show" ? { entries } : {}),
+          }, null, 2),
+        }],
+      };
+    }
+
+    case "grb_export_mission": {
+      const sessionId = args.session != null && args.session !== "" ? String(args.session) : currentSessionId;
+      const entries = journal.entries.filter((e) =>
+        e.session === sessionId && e.seq >= (args.since ?? 0) && e.seq <= (args.until ?? Infinity));
+      if (entries.length === 0) {
+        throw new Error(journal.entries.length === 0
+          ? "The journal is empty. Start recording with grb_journal action 'start' (or GRB_JOURNAL=1) before the calls you want to export."
+          : `No journaled calls for session "${sessionId}" in that range.`);
+      }
+      const id = args.id || `recorded_${new Date().toISOString().replace(/[-:]/g, "").replace("T", "_").slice(0, 15)}`;
+      const { mission, skipped } = exportMission(entries, {
+        id,
+        name: args.name,
+        goal: args.goal,
+        minWaitMs: args.min_wait_ms ?? DEFAULT_MIN_WAIT_MS,
+        maxWaitMs: args.max_wait_ms ?? DEFAULT_MAX_WAIT_MS,
+      });
+      const lines = [`Mission "${id}": ${mission.steps.length} step(s) from ${entries.length} call(s) (seq ${entries[0].seq}-${entries.at(-1).seq})`];
+      if (args.missions_file) {
+        const file = missionsFilePath(args.missions_file);
+        lines.push(`${saveMission(file, mission) === "replaced" ? "Replaced" : "Added"} in ${file}`);
+      }
+      for (const s of skipped) lines.push(`Skipped #${s.seq} ${s.tool}: ${s.reason}`);
+      lines.push("", JSON.stringify(mission, null, 2));
+      return { content: [{ type: "text", text: lines.join("\n") }] };
+    }
+
     case "grb_eval": {
-      const r = await sendCommand("eval", { expr: args.expr });
+      const r = await send("eval", { expr: args.expr });
       if (!r.ok) return errResult(r);
       return {
         content: [{ type: "text", text: String(r.result) }],
@@ -918,6 +1708,19 @@ async function handleTool(name, args) {
   }
 }
 
+// x/y, or the node / find target the game resolves; null when neither is given
+function toolTarget(args) {
+  if (args.node || args.find) return pointerTarget(args.node || args.find, args);
+  if (typeof args.x === "number" && typeof args.y === "number") return { x: args.x, y: args.y };
+  return null;
+}
+
+// "Main/Menu/Start at (412, 230)" from a click / hover / drag result
+function landedAt(r, args = {}) {
+  const at = `(${r.x ?? args.x}, ${r.y ?? args.y})`;
+  return r.node ? `${r.node} at ${at}` : at;
+}
+
 function errResult(r) {
   const msg = r.error
     ? `${r.error.code}: ${r.error.message}`
@@ -929,23 +1732,38 @@ function errResult(r) {
 
 const mcpServer = new Server(
   { name: "godot-runtime-bridge", version: "1.0.1" },
-  { capabilities: { tools: {} } }
+  { capabilities: { tools: {}, resources: { listChanged: true } } }
 );
 
 mcpServer.setRequestHandler(ListToolsRequestSchema, async () => ({
   tools: TOOLS,
 }));
 
-mcpServer.setRequestHandler(CallToolRequestSchema, async (request) => {
+mcpServer.setRequestHandler(ListResourcesRequestSchema, async () => ({
+  resources: listResources(),
+}));
+
+mcpServer.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+  contents: [readResource(request.params.uri)],
+}));
+
+mcpServer.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const { name, arguments: args = {} } = request.params;
+  const startedAt = Date.now();
+  let result;
   try {
-    return await handleTool(name, args);
+    result = await handleTool(name, args, {
+      signal: extra.signal,
+      progress: createProgress(extra, request.params._meta?.progressToken),
+    });
   } catch (err) {
-    return {
+    result = {
       content: [{ type: "text", text: String(err.message || err) }],
       isError: true,
     };
   }
+  recordCall(name, args, startedAt, result);
+  return result;
 });
 
 const transport = new StdioServerTransport();
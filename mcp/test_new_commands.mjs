@@ -10,11 +10,9 @@
  * Exits 0 if all pass, 1 on failure.
  */
 
-import net from "net";
-import crypto from "crypto";
-import { spawn } from "child_process";
 import path from "path";
 import { fileURLToPath } from "url";
+import { GrbClient } from "./grb_client.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -26,70 +24,28 @@ for (let i = 0; i < args.length; i++) {
   else if (args[i] === "--project" && i + 1 < args.length) { project = path.resolve(args[++i]); }
 }
 
-let grbPort = null;
-let grbToken = null;
-let grbProcess = null;
-let reqId = 0;
-
-function nextId() { return `t_${++reqId}`; }
+let client = null;
 
 function sendCommand(cmd, cmdArgs = {}) {
-  return new Promise((resolve, reject) => {
-    const sock = new net.Socket();
-    const req = JSON.stringify({
-      id: nextId(), proto: "grb/1", cmd, args: cmdArgs, token: grbToken
-    }) + "\n";
-    let buf = "";
-    sock.setTimeout(10000);
-    sock.on("timeout", () => { sock.destroy(); reject(new Error("timeout: " + cmd)); });
-    sock.on("error", reject);
-    sock.on("data", (d) => {
-      buf += d.toString();
-      const idx = buf.indexOf("\n");
-      if (idx >= 0) { sock.destroy(); try { resolve(JSON.parse(buf.slice(0, idx))); } catch (e) { reject(e); } }
-    });
-    sock.connect(grbPort, "127.0.0.1", () => sock.write(req));
-  });
+  return client.send(cmd, cmdArgs);
 }
 
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
 async function launchGame() {
-  const token = crypto.randomBytes(16).toString("hex");
-  const child = spawn(exe, ["--path", project, "--windowed", "--resolution", "960x540"], {
-    cwd: project,
-    env: { ...process.env, GDRB_TOKEN: token, GDRB_TIER: "2", GDRB_FORCE_WINDOWED: "1" },
-    stdio: ["ignore", "pipe", "pipe"],
-  });
-  grbProcess = child;
-  child.stderr.on("data", () => {});
-
-  return new Promise((resolve, reject) => {
-    let stdoutBuf = "";
-    const timeout = setTimeout(() => reject(new Error("GDRB_READY timeout")), 25000);
-    child.stdout.on("data", (chunk) => {
-      stdoutBuf += chunk.toString();
-      for (const line of stdoutBuf.split("\n")) {
-        if (line.startsWith("GDRB_READY:")) {
-          clearTimeout(timeout);
-          const data = JSON.parse(line.slice("GDRB_READY:".length));
-          grbPort = data.port;
-          grbToken = data.token;
-          resolve(data);
-          return;
-        }
-      }
-      stdoutBuf = stdoutBuf.split("\n").pop();
-    });
-    child.on("exit", (code) => { clearTimeout(timeout); reject(new Error("Godot exited: " + code)); });
+  client = await GrbClient.launch({
+    exe,
+    project,
+    tier: 2,
+    args: ["--windowed", "--resolution", "960x540"],
+    idPrefix: "t",
   });
+  return client.ready;
 }
 
 function killGame() {
-  try { if (grbProcess) grbProcess.kill("SIGTERM"); } catch (_) {}
-  grbProcess = null;
-  grbPort = null;
-  grbToken = null;
+  if (client) client.close();
+  client = null;
 }
 
 async function main() {
@@ -101,7 +57,7 @@ async function main() {
   console.log("Project:", project);
   console.log("Launching game...");
   await launchGame();
-  console.log(`Connected on port ${grbPort}\n`);
+  console.log(`Connected on port ${client.port}\n`);
   await sleep(1500);
 
   // 1. grb_performance — verify FPS in sane range
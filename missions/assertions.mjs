@@ -0,0 +1,280 @@
+/**
+ * Godot Runtime Bridge — Mission assertion language
+ *
+ * Evaluates `assert` steps against values captured by get_property / call_method.
+ * An assertion is either structured:
+ *
+ *   {"action": "assert", "value": "player.position.x", "op": ">=", "expected": 100}
+ *
+ * or a one-line expression:
+ *
+ *   {"action": "assert", "expr": "player.position.x >= 100"}
+ *   {"action": "assert", "expr": "speed ~= 3.5 ± 0.01"}
+ *   {"action": "assert", "expr": "status_text matches /ready|idle/i"}
+ *
+ * Paths start at a captured label and walk Dictionary keys, Array indices
+ * (`items.0` or `items[0]`) and Vector/Color/Rect2 components. GRB serializes
+ * vectors as strings like "(3, 4)"; those are parsed on the fly so `pos.x`
+ * works. `.length` / `.size` give the length of arrays, strings and dictionaries.
+ */
+
+const DEFAULT_TOLERANCE = 0.001;
+
+const OP_ALIASES = {
+  "==": "==", "eq": "==", "equals": "==",
+  "!=": "!=", "ne": "!=", "not_equals": "!=",
+  "<": "<", "lt": "<",
+  "<=": "<=", "le": "<=", "lte": "<=",
+  ">": ">", "gt": ">",
+  ">=": ">=", "ge": ">=", "gte": ">=",
+  "~=": "approx", "approx": "approx",
+  "contains": "contains",
+  "!contains": "not_contains", "not_contains": "not_contains",
+  "=~": "matches", "matches": "matches",
+  "exists": "exists",
+  "!exists": "not_exists", "not_exists": "not_exists",
+};
+
+const UNARY_OPS = new Set(["exists", "not_exists"]);
+
+// Marks objects produced by parseGodotValue, whose alias components (r/g/b/a)
+// must not count as extra keys when compared.
+const GODOT_STRUCT = Symbol("godotStruct");
+
+// Longest symbols first so "<=" is not read as "<".
+const EXPR_RE = /^\s*(\S+)\s*(==|!=|<=|>=|~=|=~|<|>|!contains\b|not_contains\b|contains\b|matches\b|!exists\b|not_exists\b|exists\b)\s*(.*?)\s*$/;
+
+export class AssertionSyntaxError extends Error {}
+
+// ── Godot value parsing ──
+
+const VECTOR_RE = /^\(\s*(-?[\d.eE+-]+|inf|-inf|nan)(\s*,\s*(-?[\d.eE+-]+|inf|-inf|nan)){1,3}\s*\)$/;
+const RECT_RE = /^\[P:\s*(\([^)]*\)),\s*S:\s*(\([^)]*\))\]$/;
+
+function parseNumber(s) {
+  if (s === "inf") return Infinity;
+  if (s === "-inf") return -Infinity;
+  if (s === "nan") return NaN;
+  return Number(s);
+}
+
+/**
+ * Parse Godot's str() form of Vector2/3/4, Color and Rect2 into objects.
+ * Returns null for anything else.
+ */
+export function parseGodotValue(s) {
+  if (typeof s !== "string") return null;
+  const str = s.trim();
+  if (VECTOR_RE.test(str)) {
+    const n = str.slice(1, -1).split(",").map(p => parseNumber(p.trim()));
+    const v = { x: n[0], y: n[1] };
+    if (n.length >= 3) v.z = n[2];
+    if (n.length === 4) {
+      v.w = n[3];
+      // Vector4 and Color print the same way; expose both component names.
+      Object.assign(v, { r: n[0], g: n[1], b: n[2], a: n[3] });
+    }
+    Object.defineProperty(v, GODOT_STRUCT, { value: true });
+    return v;
+  }
+  const rect = str.match(RECT_RE);
+  if (rect) {
+    const position = parseGodotValue(rect[1]);
+    const size = parseGodotValue(rect[2]);
+    if (!position || !size) return null;
+    return { position, size, end: { x: position.x + size.x, y: position.y + size.y } };
+  }
+  return null;
+}
+
+// ── Paths ──
+
+export function splitPath(p) {
+  if (!p) return [];
+  return String(p).replace(/\[(\d+)\]/g, ".$1").split(".").filter(Boolean);
+}
+
+/**
+ * Walk `segments` from `root`. Returns { found, value } or
+ * { found: false, missing } naming the first segment that did not resolve.
+ */
+export function resolvePath(root, segments) {
+  let cur = root;
+  for (let i = 0; i < segments.length; i++) {
+    const seg = segments[i];
+    if (typeof cur === "string") {
+      const parsed = parseGodotValue(cur);
+      if (parsed) cur = parsed;
+    }
+    if (Array.isArray(cur) || typeof cur === "string") {
+      if (seg === "length" || seg === "size") { cur = cur.length; continue; }
+      if (Array.isArray(cur) && /^\d+$/.test(seg) && Number(seg) < cur.length) { cur = cur[Number(seg)]; continue; }
+    } else if (cur !== null && typeof cur === "object") {
+      if (Object.prototype.hasOwnProperty.call(cur, seg)) { cur = cur[seg]; continue; }
+      if (seg === "length" || seg === "size") { cur = Object.keys(cur).length; continue; }
+    }
+    return { found: false, missing: segments.slice(0, i + 1).join(".") };
+  }
+  return { found: true, value: cur };
+}
+
+// ── Parsing ──
+
+function parseLiteral(text) {
+  if (text === "") return undefined;
+  try { return JSON.parse(text); } catch (_) { /* bare word */ }
+  if (/^'.*'$/.test(text)) return text.slice(1, -1);
+  return text;
+}
+
+/**
+ * Normalize an `assert` step into { path, op, expected, tolerance, flags }.
+ * Throws AssertionSyntaxError when the step cannot be understood.
+ */
+export function parseAssertion(step) {
+  let path, opName, expected, tolerance = step.tolerance, flags = step.flags;
+
+  if (step.expr != null) {
+    const m = String(step.expr).match(EXPR_RE);
+    if (!m) throw new AssertionSyntaxError(`Cannot parse assertion "${step.expr}" — expected "<path> <op> <value>"`);
+    path = m[1];
+    opName = m[2];
+    let rhs = m[3];
+    // "a ~= 3.5 ± 0.01" / "a ~= 3.5 +- 0.01"
+    const tol = rhs.match(/^(.*?)\s*(?:±|\+-|\+\/-)\s*(\S+)$/);
+    if (tol) { rhs = tol[1]; tolerance = Number(tol[2]); }
+    const re = rhs.match(/^\/(.*)\/([a-z]*)$/);
+    if (re) {
+      expected = re[1];
+      flags = flags ?? re[2];
+    } else {
+      expected = parseLiteral(rhs);
+    }
+  } else {
+    path = step.value ?? step.path ?? step.label;
+    opName = step.op ?? "==";
+    expected = step.expected;
+  }
+
+  const op = OP_ALIASES[String(opName).toLowerCase()];
+  if (!op) throw new AssertionSyntaxError(`Unknown assertion operator "${opName}"`);
+  if (!UNARY_OPS.has(op) && expected === undefined) {
+    throw new AssertionSyntaxError(`Assertion "${path} ${opName}" is missing an expected value`);
+  }
+  if (op === "approx") tolerance = tolerance ?? DEFAULT_TOLERANCE;
+  if (op === "matches") {
+    try { new RegExp(expected, flags || ""); }
+    catch (e) { throw new AssertionSyntaxError(`Invalid regex /${expected}/: ${e.message}`); }
+  }
+
+  return { path: path ?? "", op, expected, tolerance, flags };
+}
+
+/** Human-readable form, e.g. `player.position.x >= 100`. */
+export function describeAssertion(assertion, label = assertion.path) {
+  const { op, expected, tolerance, flags } = assertion;
+  let text = `${label || "value"} ${op}`;
+  if (op === "matches") text += ` /${expected}/${flags || ""}`;
+  else if (!UNARY_OPS.has(op)) text += ` ${formatValue(expected)}`;
+  if (op === "approx") text += ` ± ${tolerance}`;
+  return text;
+}
+
+// ── Evaluation ──
+
+export function formatValue(v) {
+  if (v === undefined) return "(missing)";
+  if (typeof v === "number" && !Number.isFinite(v)) return String(v);
+  return JSON.stringify(v);
+}
+
+function toNumber(v) {
+  if (typeof v === "number") return v;
+  if (typeof v === "boolean") return v ? 1 : 0;
+  if (typeof v === "string" && v.trim() !== "" && !isNaN(Number(v))) return Number(v);
+  return null;
+}
+
+// Compare a Godot-serialized string against a structured expectation:
+// "(3, 4)" == {"x": 3, "y": 4} or [3, 4].
+function coerceActual(actual, expected) {
+  if (typeof actual !== "string" || expected === null || typeof expected !== "object") return actual;
+  const parsed = parseGodotValue(actual);
+  if (!parsed) return actual;
+  if (Array.isArray(expected)) {
+    return ["x", "y", "z", "w"].filter(k => k in parsed).map(k => parsed[k]);
+  }
+  return parsed;
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  const na = toNumber(a), nb = toNumber(b);
+  if (typeof a !== "boolean" && typeof b !== "boolean" && na !== null && nb !== null
+      && (typeof a === "number" || typeof b === "number")) {
+    return na === nb;
+  }
+  if (a === null || b === null || typeof a !== "object" || typeof b !== "object") return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  const keys = Object.keys(b);
+  return keys.every(k => deepEqual(a[k], b[k])) && (Object.keys(a).length === keys.length || a[GODOT_STRUCT] === true);
+}
+
+function approxEqual(a, b, tol) {
+  const na = toNumber(a), nb = toNumber(b);
+  if (na !== null && nb !== null) return Math.abs(na - nb) <= tol;
+  if (a !== null && b !== null && typeof a === "object" && typeof b === "object") {
+    const keys = Array.isArray(b) ? b.map((_, i) => i) : Object.keys(b);
+    if (Array.isArray(a) && a.length !== b.length) return false;
+    return keys.every(k => k in a && approxEqual(a[k], b[k], tol));
+  }
+  return false;
+}
+
+/**
+ * Evaluate a parsed assertion against `root` (the captured-properties map,
+ * or a live value when the step names node + property).
+ * Returns { pass, actual, found, reason? }.
+ */
+export function evaluateAssertion(root, assertion) {
+  const { op, expected, tolerance, flags } = assertion;
+  const res = resolvePath(root, splitPath(assertion.path));
+
+  if (op === "exists") return { pass: res.found, actual: res.value, found: res.found, reason: res.found ? undefined : `${res.missing} not found` };
+  if (op === "not_exists") return { pass: !res.found, actual: res.value, found: res.found };
+  if (!res.found) return { pass: false, actual: undefined, found: false, reason: `${res.missing} not found` };
+
+  const actual = coerceActual(res.value, expected);
+  switch (op) {
+    case "==": return { pass: deepEqual(actual, expected), actual, found: true };
+    case "!=": return { pass: !deepEqual(actual, expected), actual, found: true };
+    case "<": case "<=": case ">": case ">=": {
+      const a = toNumber(actual), e = toNumber(expected);
+      if (a === null) return { pass: false, actual, found: true, reason: "actual value is not a number" };
+      if (e === null) return { pass: false, actual, found: true, reason: "expected value is not a number" };
+      const pass = op === "<" ? a < e : op === "<=" ? a <= e : op === ">" ? a > e : a >= e;
+      return { pass, actual, found: true };
+    }
+    case "approx": {
+      const pass = approxEqual(actual, expected, tolerance);
+      const a = toNumber(actual), e = toNumber(expected);
+      const reason = !pass && a !== null && e !== null ? `off by ${+Math.abs(a - e).toPrecision(6)}` : undefined;
+      return { pass, actual, found: true, reason };
+    }
+    case "contains":
+    case "not_contains": {
+      let has;
+      if (typeof actual === "string") has = actual.includes(String(expected));
+      else if (Array.isArray(actual)) has = actual.some(v => deepEqual(v, expected));
+      else if (actual !== null && typeof actual === "object") has = Object.prototype.hasOwnProperty.call(actual, String(expected));
+      else return { pass: false, actual, found: true, reason: "actual value is not a string, array or dictionary" };
+      return { pass: op === "contains" ? has : !has, actual, found: true };
+    }
+    case "matches": {
+      const subject = typeof actual === "string" ? actual : JSON.stringify(actual);
+      return { pass: new RegExp(expected, flags || "").test(subject), actual, found: true };
+    }
+  }
+  return { pass: false, actual, found: true, reason: `unsupported operator ${op}` };
+}
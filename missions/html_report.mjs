@@ -0,0 +1,275 @@
+/**
+ * Godot Runtime Bridge — Self-contained HTML report
+ *
+ * `--format html` writes reports/report.html: one file for the whole run that
+ * can be attached to a CI job or a ticket as-is. Every image is embedded, so
+ * nothing else from reports/ has to travel with it. Per mission:
+ *
+ *   - the step tree as a collapsible timeline (failed steps start expanded)
+ *   - inline thumbnails of captured screenshots; click one for full size
+ *   - a before/after slider for every screenshot_diff and assert_screen,
+ *     with the diff heatmap when the comparison failed
+ *   - engine errors and warnings placed between the steps they happened
+ *     during, using the engine clock offset measured at the start of the run
+ *
+ * Takes the run object described in result_formats.mjs, plus
+ * engineClockOffsetMs (wall time minus the engine's ticks_msec, or null when
+ * the game does not report it).
+ */
+
+import fs from "fs";
+import path from "path";
+
+// ── Helpers ──
+
+function esc(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function offset(ms) {
+  return `+${(ms / 1000).toFixed(2)}s`;
+}
+
+function duration(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+const STATUS_ICON = { ok: "✓", issue: "⚠", failed: "✗" };
+
+// Godot stderr is cumulative across missions; keep each section's copy short, as the markdown report does
+const STDERR_LIMIT = 3000;
+
+// Images are stored once in a JSON block and referenced by index, so a
+// screenshot shown as a thumbnail and again in a slider is embedded once.
+function createImageStore() {
+  const ids = new Map();
+  const uris = [];
+  return {
+    uris,
+    // Returns an <img> for `file`, or a placeholder when it is not on disk.
+    img(file, cls, alt) {
+      if (!file || !fs.existsSync(file)) return `<span class="missing">image not found: ${esc(path.basename(file || "?"))}</span>`;
+      if (!ids.has(file)) {
+        ids.set(file, uris.length);
+        uris.push(`data:image/png;base64,${fs.readFileSync(file).toString("base64")}`);
+      }
+      return `<img class="${cls}" data-img="${ids.get(file)}" alt="${esc(alt)}">`;
+    },
+  };
+}
+
+// ── Engine errors ──
+
+// Errors with an engine timestamp become timeline events in mission time;
+// the rest (older GRB, or no clock offset) are listed after the timeline.
+function engineEvents(result, clockOffsetMs) {
+  const seen = new Set();
+  const placed = [];
+  const unplaced = [];
+  for (const e of result.engineErrors || []) {
+    if (e.index != null) {
+      if (seen.has(e.index)) continue;
+      seen.add(e.index);
+    }
+    if (clockOffsetMs != null && e.timestamp_ms != null) {
+      placed.push({ ...e, at_ms: e.timestamp_ms + clockOffsetMs - result.startedAt });
+    } else {
+      unplaced.push(e);
+    }
+  }
+  placed.sort((a, b) => a.at_ms - b.at_ms);
+  return { queue: { events: placed, next: 0 }, unplaced };
+}
+
+function renderEngineError(e) {
+  const kind = e.type === "warning" ? "warning" : "error";
+  const where = e.file ? `${e.file}${e.line ? `:${e.line}` : ""}` : "";
+  const text = [e.code, e.rationale || e.message].filter(Boolean).join(" — ");
+  const at = e.at_ms != null ? `<span class="at">${offset(e.at_ms)}</span>` : "";
+  return `<div class="engine ${kind}">${at}<span class="badge">${kind}</span> ${esc(text || "unknown")}${where ? ` <code>${esc(where)}</code>` : ""}</div>\n`;
+}
+
+// Emit queued engine events that happened before `untilMs`.
+function flushEvents(queue, untilMs = Infinity) {
+  let html = "";
+  while (queue.next < queue.events.length && queue.events[queue.next].at_ms < untilMs) {
+    html += renderEngineError(queue.events[queue.next++]);
+  }
+  return html;
+}
+
+// ── Timeline ──
+
+function renderCompare(compare, images) {
+  const before = images.img(compare.before, "before", compare.before_label);
+  const after = images.img(compare.after, "after", compare.after_label);
+  let html = `<div class="compare">\n`;
+  html += `<div class="slider">${after}<div class="clip">${before}</div><div class="divider"></div>`;
+  html += `<span class="tag left">${esc(compare.before_label)}</span><span class="tag right">${esc(compare.after_label)}</span>`;
+  html += `<input type="range" min="0" max="100" value="50" aria-label="Before/after"></div>\n`;
+  if (compare.heatmap) html += `<figure>${images.img(compare.heatmap, "thumb", "diff heatmap")}<figcaption>diff heatmap</figcaption></figure>\n`;
+  html += `<p class="detail">${esc(compare.detail)}</p>\n</div>\n`;
+  return html;
+}
+
+function renderSteps(records, queue, images) {
+  let html = "";
+  for (const r of records) {
+    html += flushEvents(queue, r.at_ms);
+    const name = r.action === "iteration" ? `iteration ${esc(r.label)}` : `<b>${esc(r.action)}</b>${r.label ? ` (${esc(r.label)})` : ""}`;
+    const attempts = r.attempts > 1 ? ` · ${r.attempts} attempts` : "";
+    const summary = `<span class="at">${r.at_ms != null ? offset(r.at_ms) : ""}</span>`
+      + `<span class="icon">${STATUS_ICON[r.status] || "·"}</span> ${name}`
+      + `${r.detail ? ` — ${esc(r.detail)}` : ""}<span class="dur">${duration(r.duration_ms)}${attempts}</span>`;
+
+    let body = "";
+    if (r.error) body += `<p class="error">${esc(r.error)}</p>\n`;
+    if (r.screenshot) body += images.img(r.screenshot, "thumb", r.label || "screenshot");
+    if (r.compare) body += renderCompare(r.compare, images);
+    if (r.children?.length) body += `<div class="children">\n${renderSteps(r.children, queue, images)}${flushEvents(queue, r.at_ms + r.duration_ms)}</div>\n`;
+
+    if (body) {
+      const open = r.status !== "ok" || r.screenshot || r.compare ? " open" : "";
+      html += `<details class="step ${r.status}"${open}><summary>${summary}</summary>\n${body}</details>\n`;
+    } else {
+      html += `<div class="step ${r.status}">${summary}</div>\n`;
+    }
+  }
+  return html;
+}
+
+// ── Document ──
+
+function renderMission({ mission, result }, clockOffsetMs, images) {
+  const pass = result.issues.length === 0;
+  const { queue, unplaced } = engineEvents(result, clockOffsetMs);
+  let html = `<section class="mission ${pass ? "pass" : "fail"}" id="mission-${esc(mission.id)}">\n`;
+  html += `<h2>${pass ? "✓" : "✗"} ${esc(mission.name || mission.id)} <code>${esc(mission.id)}</code></h2>\n`;
+  html += `<p class="meta">${duration(result.durationMs)} · ${result.issues.length} issue(s)`;
+  if (result.runtimeInfo?.engine_version) html += ` · Godot ${esc(result.runtimeInfo.engine_version)}`;
+  if (result.resetResult) html += ` · reset: ${esc(result.resetResult.method)}`;
+  html += `</p>\n`;
+  if (mission.goal) html += `<p>${esc(mission.goal)}</p>\n`;
+
+  if (result.issues.length > 0) {
+    html += `<ul class="issues">\n`;
+    for (const iss of result.issues) {
+      html += `<li><span class="badge ${esc(String(iss.severity).toLowerCase())}">${esc(iss.severity)}</span> <b>${esc(iss.title)}</b><br>${esc(iss.detail)}</li>\n`;
+    }
+    html += `</ul>\n`;
+  }
+
+  html += `<h3>Timeline</h3>\n<div class="timeline">\n`;
+  html += renderSteps(result.steps || [], queue, images);
+  html += flushEvents(queue);
+  html += `</div>\n`;
+
+  if (unplaced.length > 0) {
+    html += `<h3>Engine errors</h3>\n<p class="meta">The game did not report its clock, so these are not placed on the timeline.</p>\n`;
+    html += unplaced.map(renderEngineError).join("");
+  }
+  const stderr = (result.stderr || "").trim();
+  if (stderr) {
+    const more = stderr.length > STDERR_LIMIT ? `<p class="meta">(truncated, ${stderr.length} chars total)</p>` : "";
+    html += `<details><summary>Godot stderr</summary><pre>${esc(stderr.slice(0, STDERR_LIMIT))}</pre>${more}</details>\n`;
+  }
+  html += `</section>\n`;
+  return html;
+}
+
+const STYLE = `
+body { font: 14px/1.45 system-ui, sans-serif; margin: 0 auto; max-width: 1100px; padding: 16px 24px; color: #1d1f23; }
+h1 { margin-bottom: 4px; } h2 { margin-top: 32px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+code { font-size: 12px; color: #555; }
+table { border-collapse: collapse; } td, th { padding: 3px 10px; border-bottom: 1px solid #eee; text-align: left; }
+.pass > h2, td.pass { color: #1a7f37; } .fail > h2, td.fail { color: #c62828; }
+.meta { color: #666; margin-top: 0; }
+.issues li { margin-bottom: 6px; }
+.badge { display: inline-block; font-size: 11px; padding: 0 6px; border-radius: 3px; background: #eee; text-transform: uppercase; }
+.badge.critical, .badge.error, .engine.error .badge { background: #c62828; color: #fff; }
+.badge.major { background: #ef6c00; color: #fff; } .badge.minor, .engine.warning .badge { background: #f9a825; }
+.timeline { border-left: 2px solid #ddd; padding-left: 10px; }
+.step, .engine { margin: 2px 0; }
+details.step > summary, div.step { cursor: default; list-style-position: outside; }
+details.step > summary { cursor: pointer; }
+.step.issue > summary, div.step.issue { color: #ef6c00; } .step.failed > summary, div.step.failed { color: #c62828; }
+.at { display: inline-block; width: 64px; color: #888; font-variant-numeric: tabular-nums; }
+.icon { display: inline-block; width: 14px; }
+.dur { color: #888; margin-left: 8px; font-size: 12px; }
+.children { margin-left: 20px; border-left: 1px dashed #ccc; padding-left: 8px; }
+.engine { font-size: 13px; padding: 2px 6px; border-radius: 3px; }
+.engine.error { background: #fdecea; } .engine.warning { background: #fff8e1; }
+.error { color: #c62828; } .missing { color: #888; font-style: italic; }
+img.thumb { max-width: 240px; border: 1px solid #ccc; margin: 4px 8px 4px 74px; cursor: zoom-in; vertical-align: top; }
+img.thumb.full { max-width: 100%; cursor: zoom-out; }
+.compare { margin: 4px 0 8px 74px; }
+.compare figure { display: inline-block; margin: 0 0 0 12px; vertical-align: top; }
+.compare figure img.thumb { margin: 0; }
+.compare figcaption, .detail { font-size: 12px; color: #666; }
+.slider { position: relative; display: inline-block; width: 480px; max-width: 100%; border: 1px solid #ccc; user-select: none; }
+.slider img { display: block; width: 100%; }
+.slider .clip { position: absolute; inset: 0; clip-path: inset(0 50% 0 0); }
+.slider .clip img { height: 100%; object-fit: fill; }
+.slider .divider { position: absolute; top: 0; bottom: 0; left: 50%; width: 2px; background: #fff; box-shadow: 0 0 3px #000; pointer-events: none; }
+.slider .tag { position: absolute; top: 4px; font-size: 11px; background: rgba(0,0,0,.6); color: #fff; padding: 1px 5px; pointer-events: none; }
+.slider .tag.left { left: 4px; } .slider .tag.right { right: 4px; }
+.slider input { position: absolute; inset: 0; width: 100%; height: 100%; margin: 0; opacity: 0; cursor: ew-resize; }
+.toolbar button { margin-right: 6px; }
+pre { white-space: pre-wrap; font-size: 12px; background: #f6f8fa; padding: 8px; }
+`;
+
+const SCRIPT = `
+const images = JSON.parse(document.getElementById("grb-images").textContent);
+for (const img of document.querySelectorAll("img[data-img]")) img.src = images[img.dataset.img];
+for (const slider of document.querySelectorAll(".slider")) {
+  const input = slider.querySelector("input");
+  input.addEventListener("input", () => {
+    slider.querySelector(".clip").style.clipPath = "inset(0 " + (100 - input.value) + "% 0 0)";
+    slider.querySelector(".divider").style.left = input.value + "%";
+  });
+}
+document.addEventListener("click", (e) => {
+  if (e.target.matches("img.thumb")) e.target.classList.toggle("full");
+  if (e.target.dataset.expand != null) {
+    for (const d of document.querySelectorAll("details.step")) d.open = e.target.dataset.expand === "1";
+  }
+});
+`;
+
+export function toHtmlReport(run) {
+  const images = createImageStore();
+  const totalIssues = run.missions.reduce((n, m) => n + m.result.issues.length, 0);
+  const target = run.target.port != null ? `attached on port ${run.target.port}` : run.target.project;
+  const sections = run.missions.map(m => renderMission(m, run.engineClockOffsetMs ?? null, images)).join("\n");
+
+  let summary = `<table>\n<tr><th>Status</th><th>Mission</th><th>Issues</th><th>Time</th></tr>\n`;
+  for (const { mission, result } of run.missions) {
+    const pass = result.issues.length === 0;
+    summary += `<tr><td class="${pass ? "pass" : "fail"}">${pass ? "PASS" : "FAIL"}</td>`
+      + `<td><a href="#mission-${esc(mission.id)}">${esc(mission.id)}</a></td><td>${result.issues.length}</td><td>${duration(result.durationMs)}</td></tr>\n`;
+  }
+  summary += `</table>\n`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>GRB Mission Run — ${totalIssues === 0 ? "PASS" : "FAIL"}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>GRB Mission Run — ${totalIssues === 0 ? "PASS" : `FAIL (${totalIssues} issues)`}</h1>
+<p class="meta">${esc(new Date(run.startedAt).toISOString())} · ${duration(run.finishedAt - run.startedAt)} · ${esc(target)}</p>
+${summary}
+<p class="toolbar"><button data-expand="1">Expand all</button><button data-expand="0">Collapse all</button></p>
+${sections}
+<script type="application/json" id="grb-images">${JSON.stringify(images.uris)}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
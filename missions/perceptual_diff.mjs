@@ -1,14 +1,45 @@
 /**
  * Perceptual screenshot comparison — pure JS, zero dependencies.
  *
- * Decodes PNG to raw pixels (handles all standard filter types),
- * then compares 16x16 blocks. Returns a change ratio that's
- * robust against CRT flicker, cursor blink, and compression jitter.
+ * Decodes any PNG to RGBA (every color type and bit depth, palette
+ * transparency, Adam7 interlacing), then compares 16x16 blocks. Returns a change ratio that's
+ * robust against CRT flicker, cursor blink, and compression jitter. Blocks are
+ * scored by mean channel difference, or by SSIM, CIEDE2000 delta-E or edge
+ * maps (`algorithm` option).
+ *
+ * With `rescale: true`, images of different sizes are compared after
+ * area-averaging the larger one down to the smaller one's size.
+ *
+ * `ignore` rectangles (clocks, FPS counters, particles) are left out of the
+ * score, and `include` rectangles restrict it to part of the screen.
+ *
+ * With `heatmap: true` the comparison also renders PNGs of what changed:
+ * the live image with changed blocks tinted by how much they differ, and a
+ * reference | live | heatmap composite.
  */
 
 import zlib from "zlib";
 import fs from "fs";
 
+// ── PNG decoding ──
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// Samples per pixel and allowed bit depths for each color type (PNG spec 11.2.2).
+const COLOR_TYPES = {
+  0: { channels: 1, depths: [1, 2, 4, 8, 16] },  // grayscale
+  2: { channels: 3, depths: [8, 16] },           // RGB
+  3: { channels: 1, depths: [1, 2, 4, 8] },      // palette
+  4: { channels: 2, depths: [8, 16] },           // grayscale + alpha
+  6: { channels: 4, depths: [8, 16] },           // RGBA
+};
+
+// Adam7 passes: [xStart, yStart, xStep, yStep]
+const ADAM7 = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+  [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2],
+];
+
 function paethPredictor(a, b, c) {
   const p = a + b - c;
   const pa = Math.abs(p - a);
@@ -19,13 +50,64 @@ function paethPredictor(a, b, c) {
   return c;
 }
 
-function decodePng(b64) {
-  const buf = Buffer.from(b64, "base64");
-  let offset = 8; // skip PNG signature
-  let width, height, colorType;
+// Reverse the per-scanline filters of one (sub)image.
+// `filterBpp` is bytes per complete pixel, rounded up to 1 (spec 9.2).
+function unfilter(raw, offset, rowBytes, rows, filterBpp) {
+  const out = Buffer.alloc(rowBytes * rows);
+  const stride = rowBytes + 1;
+  for (let y = 0; y < rows; y++) {
+    const filter = raw[offset + y * stride];
+    const srcOff = offset + y * stride + 1;
+    const dstOff = y * rowBytes;
+
+    for (let x = 0; x < rowBytes; x++) {
+      const filt = raw[srcOff + x];
+      const a = x >= filterBpp ? out[dstOff + x - filterBpp] : 0;
+      const b = y > 0 ? out[dstOff - rowBytes + x] : 0;
+      const c = (x >= filterBpp && y > 0) ? out[dstOff - rowBytes + x - filterBpp] : 0;
+
+      let val;
+      switch (filter) {
+        case 0: val = filt; break;
+        case 1: val = (filt + a) & 0xFF; break;
+        case 2: val = (filt + b) & 0xFF; break;
+        case 3: val = (filt + ((a + b) >> 1)) & 0xFF; break;
+        case 4: val = (filt + paethPredictor(a, b, c)) & 0xFF; break;
+        default: throw new Error(`Invalid PNG: unknown filter type ${filter} on row ${y}`);
+      }
+      out[dstOff + x] = val;
+    }
+  }
+  return out;
+}
+
+// Read sample `i` of a scanline at any bit depth. Sub-byte samples are packed MSB first.
+function readSample(row, i, depth) {
+  if (depth === 8) return row[i];
+  if (depth === 16) return (row[i * 2] << 8) | row[i * 2 + 1];
+  const bitOff = i * depth;
+  return (row[bitOff >> 3] >> (8 - depth - (bitOff & 7))) & ((1 << depth) - 1);
+}
+
+/**
+ * Decode any PNG (all color types and bit depths, palette + tRNS, Adam7)
+ * to 8-bit RGBA. 16-bit samples keep their high byte; low-depth grayscale
+ * is scaled to 0-255. Gamma and color-profile chunks are ignored, as
+ * browsers and Godot do for screenshots.
+ *
+ * @param {string|Buffer} png - base64 string or raw file contents
+ * @returns {{ pixels: Buffer, width: number, height: number, bpp: 4 }}
+ */
+export function decodePng(png) {
+  const buf = Buffer.isBuffer(png) ? png : Buffer.from(png, "base64");
+  if (buf.length < 8 || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error("Invalid PNG: bad signature");
+
+  let offset = 8;
+  let width, height, depth, colorType, interlace;
+  let palette = null, trns = null;
   const idatChunks = [];
 
-  while (offset < buf.length) {
+  while (offset + 8 <= buf.length) {
     const chunkLen = buf.readUInt32BE(offset);
     const chunkType = buf.toString("ascii", offset + 4, offset + 8);
     const chunkData = buf.subarray(offset + 8, offset + 8 + chunkLen);
@@ -33,7 +115,13 @@ function decodePng(b64) {
     if (chunkType === "IHDR") {
       width = chunkData.readUInt32BE(0);
       height = chunkData.readUInt32BE(4);
+      depth = chunkData[8];
       colorType = chunkData[9];
+      interlace = chunkData[12];
+    } else if (chunkType === "PLTE") {
+      palette = chunkData;
+    } else if (chunkType === "tRNS") {
+      trns = chunkData;
     } else if (chunkType === "IDAT") {
       idatChunks.push(chunkData);
     } else if (chunkType === "IEND") {
@@ -43,109 +131,703 @@ function decodePng(b64) {
   }
 
   if (!width || !height) throw new Error("Invalid PNG: missing IHDR");
+  const spec = COLOR_TYPES[colorType];
+  if (!spec) throw new Error(`Invalid PNG: unknown color type ${colorType}`);
+  if (!spec.depths.includes(depth)) throw new Error(`Invalid PNG: bit depth ${depth} not allowed for color type ${colorType}`);
+  if (colorType === 3 && !palette) throw new Error("Invalid PNG: palette image without PLTE");
+  if (interlace > 1) throw new Error(`Invalid PNG: unknown interlace method ${interlace}`);
+  if (idatChunks.length === 0) throw new Error("Invalid PNG: no image data");
 
-  const bpp = colorType === 6 ? 4 : colorType === 2 ? 3 : colorType === 4 ? 2 : 1;
   const raw = zlib.inflateSync(Buffer.concat(idatChunks));
-  const rowBytes = width * bpp;
-  const stride = 1 + rowBytes;
-  const pixels = Buffer.alloc(width * height * bpp);
+  const pixels = Buffer.alloc(width * height * 4);
+  const { channels } = spec;
+  const bitsPerPixel = channels * depth;
+  const filterBpp = Math.max(1, bitsPerPixel >> 3);
+  const maxSample = (1 << depth) - 1;
 
-  for (let y = 0; y < height; y++) {
-    const filter = raw[y * stride];
-    const srcOff = y * stride + 1;
-    const dstOff = y * rowBytes;
+  // Color key from tRNS for gray / RGB images, compared at full sample precision
+  const grayKey = colorType === 0 && trns?.length >= 2 ? trns.readUInt16BE(0) : null;
+  const rgbKey = colorType === 2 && trns?.length >= 6
+    ? [trns.readUInt16BE(0), trns.readUInt16BE(2), trns.readUInt16BE(4)]
+    : null;
 
-    for (let x = 0; x < rowBytes; x++) {
-      const filt = raw[srcOff + x];
-      const a = x >= bpp ? pixels[dstOff + x - bpp] : 0;
-      const b = y > 0 ? pixels[dstOff - rowBytes + x] : 0;
-      const c = (x >= bpp && y > 0) ? pixels[dstOff - rowBytes + x - bpp] : 0;
+  const to8 = depth === 16 ? (v) => v >> 8
+    : depth === 8 ? (v) => v
+    : (v) => Math.round(v * 255 / maxSample);
 
-      let val;
-      switch (filter) {
-        case 0: val = filt; break;
-        case 1: val = (filt + a) & 0xFF; break;
-        case 2: val = (filt + b) & 0xFF; break;
-        case 3: val = (filt + ((a + b) >> 1)) & 0xFF; break;
-        case 4: val = (filt + paethPredictor(a, b, c)) & 0xFF; break;
-        default: val = filt;
+  // Write one decoded (sub)image row into the RGBA output
+  function emitRow(row, count, y, xStart, xStep) {
+    for (let i = 0; i < count; i++) {
+      const o = (y * width + xStart + i * xStep) * 4;
+      const s = i * channels;
+      switch (colorType) {
+        case 0: {
+          const v = readSample(row, s, depth);
+          pixels[o] = pixels[o + 1] = pixels[o + 2] = to8(v);
+          pixels[o + 3] = v === grayKey ? 0 : 255;
+          break;
+        }
+        case 2: {
+          const r = readSample(row, s, depth), g = readSample(row, s + 1, depth), b = readSample(row, s + 2, depth);
+          pixels[o] = to8(r); pixels[o + 1] = to8(g); pixels[o + 2] = to8(b);
+          pixels[o + 3] = rgbKey && r === rgbKey[0] && g === rgbKey[1] && b === rgbKey[2] ? 0 : 255;
+          break;
+        }
+        case 3: {
+          const idx = readSample(row, s, depth);
+          if (idx * 3 + 2 >= palette.length) throw new Error(`Invalid PNG: palette index ${idx} out of range`);
+          pixels[o] = palette[idx * 3]; pixels[o + 1] = palette[idx * 3 + 1]; pixels[o + 2] = palette[idx * 3 + 2];
+          pixels[o + 3] = trns && idx < trns.length ? trns[idx] : 255;
+          break;
+        }
+        case 4: {
+          pixels[o] = pixels[o + 1] = pixels[o + 2] = to8(readSample(row, s, depth));
+          pixels[o + 3] = to8(readSample(row, s + 1, depth));
+          break;
+        }
+        case 6: {
+          pixels[o] = to8(readSample(row, s, depth)); pixels[o + 1] = to8(readSample(row, s + 1, depth));
+          pixels[o + 2] = to8(readSample(row, s + 2, depth)); pixels[o + 3] = to8(readSample(row, s + 3, depth));
+          break;
+        }
       }
-      pixels[dstOff + x] = val;
     }
   }
 
-  return { pixels, width, height, bpp };
+  const passes = interlace === 1 ? ADAM7 : [[0, 0, 1, 1]];
+  let rawOff = 0;
+  for (const [xStart, yStart, xStep, yStep] of passes) {
+    const passW = Math.ceil((width - xStart) / xStep);
+    const passH = Math.ceil((height - yStart) / yStep);
+    if (passW <= 0 || passH <= 0) continue; // empty passes have no scanlines at all
+    const rowBytes = Math.ceil(passW * bitsPerPixel / 8);
+    if (rawOff + passH * (rowBytes + 1) > raw.length) throw new Error("Invalid PNG: image data truncated");
+    const data = unfilter(raw, rawOff, rowBytes, passH, filterBpp);
+    for (let py = 0; py < passH; py++) {
+      emitRow(data.subarray(py * rowBytes, (py + 1) * rowBytes), passW, yStart + py * yStep, xStart, xStep);
+    }
+    rawOff += passH * (rowBytes + 1);
+  }
+
+  return { pixels, width, height, bpp: 4 };
+}
+
+// ── PNG encoding ──
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(buf) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([len, typeAndData, crc]);
 }
 
 /**
- * Compare two PNG screenshots using block-based perceptual analysis.
+ * Encode 8-bit RGBA pixels as a PNG file.
  *
- * @param {string} b64a - base64-encoded PNG
- * @param {string} b64b - base64-encoded PNG
- * @param {object} opts
- * @param {number} opts.blockSize    - pixel block size (default 16)
- * @param {number} opts.blockThresh  - per-block avg channel diff to count as "changed" (default 8)
- * @param {number} opts.changeThresh - fraction of blocks that must differ to call "changed" (default 0.03)
- * @returns {{ changed: boolean, ratio: number, changedBlocks: number, totalBlocks: number, detail: string }}
+ * @param {Buffer|Uint8Array} rgba - width * height * 4 bytes
+ * @param {number} width
+ * @param {number} height
+ * @returns {Buffer} PNG file contents
  */
-export function compareScreenshots(b64a, b64b, opts = {}) {
-  const blockSize = opts.blockSize || 16;
-  const blockThresh = opts.blockThresh ?? 3;
-  const changeThresh = opts.changeThresh ?? 0.01;
+export function encodePng(rgba, width, height) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;   // bit depth
+  ihdr[9] = 6;   // color type: RGBA
+  ihdr[10] = 0;  // compression
+  ihdr[11] = 0;  // filter
+  ihdr[12] = 0;  // no interlace
 
-  if (!b64a || !b64b) return { changed: true, ratio: 1.0, changedBlocks: 0, totalBlocks: 0, detail: "missing screenshot" };
+  // Sub filter on every row: cheap, and compresses flat UI areas well
+  const rowBytes = width * 4;
+  const raw = Buffer.alloc(height * (rowBytes + 1));
+  for (let y = 0; y < height; y++) {
+    const src = y * rowBytes;
+    const dst = y * (rowBytes + 1);
+    raw[dst] = 1;
+    for (let x = 0; x < rowBytes; x++) {
+      const left = x >= 4 ? rgba[src + x - 4] : 0;
+      raw[dst + 1 + x] = (rgba[src + x] - left) & 0xFF;
+    }
+  }
 
-  let imgA, imgB;
-  try {
-    imgA = decodePng(b64a);
-    imgB = decodePng(b64b);
-  } catch (e) {
-    return { changed: true, ratio: 1.0, changedBlocks: 0, totalBlocks: 0, detail: "decode error: " + e.message };
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// ── Rescaling ──
+
+// For each destination index along one axis: the source indices it covers
+// and how much of the destination pixel each one fills (weights sum to 1).
+function axisTaps(srcLen, dstLen) {
+  const scale = srcLen / dstLen;
+  const taps = [];
+  for (let d = 0; d < dstLen; d++) {
+    const start = d * scale, end = start + scale;
+    const list = [];
+    for (let s = Math.floor(start); s < Math.min(Math.ceil(end), srcLen); s++) {
+      const w = Math.min(end, s + 1) - Math.max(start, s);
+      if (w > 0) list.push(s, w / scale);
+    }
+    taps.push(list);
   }
+  return taps;
+}
 
-  if (imgA.width !== imgB.width || imgA.height !== imgB.height) {
-    return { changed: true, ratio: 1.0, changedBlocks: 0, totalBlocks: 0, detail: "dimension mismatch" };
+/**
+ * Resample RGBA pixels to width x height by area averaging: every output
+ * pixel is the coverage-weighted mean of the source pixels under it.
+ *
+ * @param {{ pixels: Buffer, width: number, height: number }} img
+ * @returns {{ pixels: Buffer, width: number, height: number, bpp: 4 }}
+ */
+export function rescaleImage(img, width, height) {
+  if (img.width === width && img.height === height) return img;
+  const xTaps = axisTaps(img.width, width);
+  const yTaps = axisTaps(img.height, height);
+
+  // Horizontal pass into floats, then vertical pass into bytes
+  const tmp = new Float32Array(img.height * width * 4);
+  for (let y = 0; y < img.height; y++) {
+    for (let x = 0; x < width; x++) {
+      const taps = xTaps[x];
+      const o = (y * width + x) * 4;
+      for (let t = 0; t < taps.length; t += 2) {
+        const src = (y * img.width + taps[t]) * 4;
+        const w = taps[t + 1];
+        for (let c = 0; c < 4; c++) tmp[o + c] += img.pixels[src + c] * w;
+      }
+    }
+  }
+
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const taps = yTaps[y];
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        let v = 0;
+        for (let t = 0; t < taps.length; t += 2) v += tmp[(taps[t] * width + x) * 4 + c] * taps[t + 1];
+        pixels[o + c] = Math.round(v);
+      }
+    }
+  }
+  return { pixels, width, height, bpp: 4 };
+}
+
+/**
+ * Bring two images to one size by shrinking the larger (by area) to the
+ * smaller. Regions are given in `first`'s pixels and are scaled with it.
+ */
+function alignSizes(first, second, regions, names) {
+  const [nameFirst, nameSecond] = names;
+  if (first.width * first.height >= second.width * second.height) {
+    const sx = second.width / first.width, sy = second.height / first.height;
+    const scaleRect = (r) => ({ x: r.x * sx, y: r.y * sy, w: r.w * sx, h: r.h * sy });
+    return {
+      a: rescaleImage(first, second.width, second.height),
+      b: second,
+      include: (regions.include || []).map(scaleRect),
+      ignore: (regions.ignore || []).map(scaleRect),
+      note: `${nameFirst} ${first.width}x${first.height} rescaled to ${second.width}x${second.height}`,
+    };
+  }
+  return {
+    a: first,
+    b: rescaleImage(second, first.width, first.height),
+    include: regions.include,
+    ignore: regions.ignore,
+    note: `${nameSecond} ${second.width}x${second.height} rescaled to ${first.width}x${first.height}`,
+  };
+}
+
+// ── Regions ──
+
+// Clip an {x, y, w, h} rectangle (fractional coordinates allowed) to the image.
+function clipRect(r, width, height) {
+  const x0 = Math.max(0, Math.floor(r.x));
+  const y0 = Math.max(0, Math.floor(r.y));
+  const x1 = Math.min(width, Math.ceil(r.x + r.w));
+  const y1 = Math.min(height, Math.ceil(r.y + r.h));
+  return x1 > x0 && y1 > y0 ? { x0, y0, x1, y1 } : null;
+}
+
+/**
+ * Per-pixel map of what gets scored: inside any `include` rectangle (or
+ * everywhere when there are none) and outside every `ignore` rectangle.
+ * Returns null when nothing is excluded.
+ */
+function buildSelection(width, height, include = [], ignore = []) {
+  if (include.length === 0 && ignore.length === 0) return null;
+  const mask = new Uint8Array(width * height);
+  const fill = (rect, value) => {
+    const c = clipRect(rect, width, height);
+    if (!c) return;
+    for (let y = c.y0; y < c.y1; y++) mask.fill(value, y * width + c.x0, y * width + c.x1);
+  };
+  if (include.length === 0) mask.fill(1);
+  for (const r of include) fill(r, 1);
+  for (const r of ignore) fill(r, 0);
+
+  let excluded = 0;
+  for (let i = 0; i < mask.length; i++) if (!mask[i]) excluded++;
+  return { mask, excluded };
+}
+
+function describeDiff(diff, total, note = null) {
+  const pct = (diff.changedBlocks / diff.totalBlocks * 100).toFixed(1);
+  let detail = `${diff.changedBlocks}/${diff.totalBlocks} blocks differ (${pct}%)`;
+  if (note) detail = `${note}; ${detail}`;
+  if (diff.selection) detail += `, ${(diff.selection.excluded / total * 100).toFixed(1)}% of pixels masked out`;
+  if (diff.metric) detail += `; ${diff.metric.text}`;
+  return detail;
+}
+
+// ── Algorithms ──
+//
+// Every algorithm scores one block of selected pixels; a block counts as
+// changed when its score exceeds the threshold. Scores grow with difference:
+//   block    mean per-channel difference, 0-255 (the original metric)
+//   ssim     1 - SSIM of the block's luminance; catches structure changes a
+//            same-average-color block hides
+//   delta_e  mean CIEDE2000 color difference; ~2.3 is just noticeable
+//   edges    fraction of Sobel edge pixels with no edge within 1px in the
+//            other image; ignores antialiasing shifts and color tweaks
+
+const EDGE_THRESH = 128; // Sobel magnitude (on 0-255 luminance) that counts as an edge
+
+function luminance(pixels, count) {
+  const y = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    const o = i * 4;
+    y[i] = 0.299 * pixels[o] + 0.587 * pixels[o + 1] + 0.114 * pixels[o + 2];
   }
+  return y;
+}
 
-  const { width, height, bpp } = imgA;
-  const channels = Math.min(bpp, 3); // compare RGB only, skip alpha
+// sRGB → CIE L*a*b* (D65), three floats per pixel
+const SRGB_TO_LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+  const c = i / 255;
+  SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+function labF(t) {
+  return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+function toLab(pixels, count) {
+  const lab = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const o = i * 4;
+    const r = SRGB_TO_LINEAR[pixels[o]], g = SRGB_TO_LINEAR[pixels[o + 1]], b = SRGB_TO_LINEAR[pixels[o + 2]];
+    const fx = labF((0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047);
+    const fy = labF(0.2126 * r + 0.7152 * g + 0.0722 * b);
+    const fz = labF((0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883);
+    lab[i * 3] = 116 * fy - 16;
+    lab[i * 3 + 1] = 500 * (fx - fy);
+    lab[i * 3 + 2] = 200 * (fy - fz);
+  }
+  return lab;
+}
+
+const DEG = Math.PI / 180;
+const POW25_7 = 25 ** 7;
+
+function hueDeg(b, a) {
+  if (a === 0 && b === 0) return 0;
+  const h = Math.atan2(b, a) / DEG;
+  return h < 0 ? h + 360 : h;
+}
+
+/** CIEDE2000 color difference between two L*a*b* colors. */
+export function deltaE2000(L1, a1, b1, L2, a2, b2) {
+  const Cbar7 = ((Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2) ** 7;
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + POW25_7)));
+  const a1p = a1 * (1 + G), a2p = a2 * (1 + G);
+  const C1p = Math.hypot(a1p, b1), C2p = Math.hypot(a2p, b2);
+  const h1p = hueDeg(b1, a1p), h2p = hueDeg(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp / 2 * DEG);
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) hbarp += hbarp < 360 ? 360 : -360;
+    hbarp /= 2;
+  }
+
+  const T = 1 - 0.17 * Math.cos((hbarp - 30) * DEG) + 0.24 * Math.cos(2 * hbarp * DEG)
+    + 0.32 * Math.cos((3 * hbarp + 6) * DEG) - 0.20 * Math.cos((4 * hbarp - 63) * DEG);
+  const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+  const Cbarp7 = Cbarp ** 7;
+  const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + POW25_7));
+  const Lm = (Lbarp - 50) ** 2;
+  const Sl = 1 + 0.015 * Lm / Math.sqrt(20 + Lm);
+  const Sc = 1 + 0.045 * Cbarp;
+  const Sh = 1 + 0.015 * Cbarp * T;
+  const Rt = -Math.sin(2 * dTheta * DEG) * Rc;
+
+  const l = dLp / Sl, c = dCp / Sc, h = dHp / Sh;
+  return Math.sqrt(l * l + c * c + h * h + Rt * c * h);
+}
+
+// Sobel edge map of a luminance plane, plus the map dilated by one pixel.
+function edgeMaps(lum, width, height) {
+  const edges = new Uint8Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const tl = lum[i - width - 1], t = lum[i - width], tr = lum[i - width + 1];
+      const l = lum[i - 1], r = lum[i + 1];
+      const bl = lum[i + width - 1], b = lum[i + width], br = lum[i + width + 1];
+      const gx = tr + 2 * r + br - tl - 2 * l - bl;
+      const gy = bl + 2 * b + br - tl - 2 * t - tr;
+      if (gx * gx + gy * gy > EDGE_THRESH * EDGE_THRESH) edges[i] = 1;
+    }
+  }
+  const dilated = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!edges[y * width + x]) continue;
+      for (let yy = Math.max(0, y - 1); yy <= Math.min(height - 1, y + 1); yy++) {
+        dilated.fill(1, yy * width + Math.max(0, x - 1), yy * width + Math.min(width, x + 2));
+      }
+    }
+  }
+  return { edges, dilated };
+}
+
+const ALGORITHMS = {
+  block: {
+    maxScore: 255,
+    prepare: (a, b) => ({ a: a.pixels, b: b.pixels }),
+    scoreBlock(ctx, idx, n) {
+      const { a, b } = ctx;
+      let total = 0;
+      for (let k = 0; k < n; k++) {
+        const o = idx[k] * 4;
+        // compare RGB only, skip alpha
+        total += Math.abs(a[o] - b[o]) + Math.abs(a[o + 1] - b[o + 1]) + Math.abs(a[o + 2] - b[o + 2]);
+      }
+      return total / (n * 3);
+    },
+    summarize: () => null,
+  },
+
+  ssim: {
+    threshold: 0.05,
+    maxScore: 1,
+    prepare(a, b) {
+      const count = a.width * a.height;
+      return { ya: luminance(a.pixels, count), yb: luminance(b.pixels, count), sum: 0, weight: 0 };
+    },
+    scoreBlock(ctx, idx, n) {
+      const { ya, yb } = ctx;
+      let ma = 0, mb = 0;
+      for (let k = 0; k < n; k++) { ma += ya[idx[k]]; mb += yb[idx[k]]; }
+      ma /= n; mb /= n;
+      let va = 0, vb = 0, cov = 0;
+      for (let k = 0; k < n; k++) {
+        const da = ya[idx[k]] - ma, db = yb[idx[k]] - mb;
+        va += da * da; vb += db * db; cov += da * db;
+      }
+      va /= n; vb /= n; cov /= n;
+      const C1 = (0.01 * 255) ** 2, C2 = (0.03 * 255) ** 2;
+      const ssim = ((2 * ma * mb + C1) * (2 * cov + C2)) / ((ma * ma + mb * mb + C1) * (va + vb + C2));
+      ctx.sum += ssim * n;
+      ctx.weight += n;
+      return 1 - ssim;
+    },
+    summarize(ctx) {
+      const value = ctx.sum / ctx.weight;
+      return { value, text: `SSIM ${value.toFixed(4)}` };
+    },
+  },
+
+  delta_e: {
+    threshold: 2.3,
+    maxScore: 100,
+    prepare(a, b) {
+      const count = a.width * a.height;
+      return { a: a.pixels, b: b.pixels, la: toLab(a.pixels, count), lb: toLab(b.pixels, count), sum: 0, weight: 0, max: 0 };
+    },
+    scoreBlock(ctx, idx, n) {
+      const { a, b, la, lb } = ctx;
+      let total = 0;
+      for (let k = 0; k < n; k++) {
+        const i = idx[k], o = i * 4;
+        if (a[o] === b[o] && a[o + 1] === b[o + 1] && a[o + 2] === b[o + 2]) continue;
+        const de = deltaE2000(la[i * 3], la[i * 3 + 1], la[i * 3 + 2], lb[i * 3], lb[i * 3 + 1], lb[i * 3 + 2]);
+        total += de;
+        if (de > ctx.max) ctx.max = de;
+      }
+      ctx.sum += total;
+      ctx.weight += n;
+      return total / n;
+    },
+    summarize(ctx) {
+      const value = ctx.sum / ctx.weight;
+      return { value, text: `mean ΔE00 ${value.toFixed(2)}, max ${ctx.max.toFixed(2)}` };
+    },
+  },
+
+  edges: {
+    threshold: 0.25,
+    maxScore: 1,
+    prepare(a, b) {
+      const count = a.width * a.height;
+      const ea = edgeMaps(luminance(a.pixels, count), a.width, a.height);
+      const eb = edgeMaps(luminance(b.pixels, count), b.width, b.height);
+      return { ea, eb, edgeCount: 0, unmatched: 0 };
+    },
+    scoreBlock(ctx, idx, n) {
+      const { ea, eb } = ctx;
+      let total = 0, unmatched = 0;
+      for (let k = 0; k < n; k++) {
+        const i = idx[k];
+        if (ea.edges[i]) { total++; if (!eb.dilated[i]) unmatched++; }
+        if (eb.edges[i]) { total++; if (!ea.dilated[i]) unmatched++; }
+      }
+      ctx.edgeCount += total;
+      ctx.unmatched += unmatched;
+      return total > 0 ? unmatched / total : 0;
+    },
+    summarize(ctx) {
+      const value = ctx.edgeCount > 0 ? 1 - ctx.unmatched / ctx.edgeCount : 1;
+      return { value, text: `edges ${(value * 100).toFixed(1)}% matched` };
+    },
+  },
+};
+
+/** Names accepted by the `algorithm` option. */
+export const DIFF_ALGORITHMS = Object.keys(ALGORITHMS);
+
+// `block` keeps each caller's historical default; the others have one threshold.
+function defaultThreshold(algorithm, blockDefault) {
+  return algorithm === "block" ? blockDefault : ALGORITHMS[algorithm].threshold;
+}
+
+// ── Block diff ──
+
+/**
+ * Score every block with `algorithm`. Only selected pixels count; blocks
+ * with none selected are skipped and left out of totalBlocks. Returns the
+ * per-block scores, which blocks exceed blockThresh, and the algorithm's
+ * whole-image metric.
+ */
+function blockDiff(imgA, imgB, algorithm, blockSize, blockThresh, selection = null) {
+  const { width, height } = imgA;
+  const algo = ALGORITHMS[algorithm];
+  const ctx = algo.prepare(imgA, imgB);
   const blocksX = Math.ceil(width / blockSize);
   const blocksY = Math.ceil(height / blockSize);
-  const totalBlocks = blocksX * blocksY;
+  const scores = new Float32Array(blocksX * blocksY);
+  const changed = new Uint8Array(blocksX * blocksY);
+  const idx = new Int32Array(blockSize * blockSize);
+  const mask = selection?.mask;
+  let totalBlocks = 0;
   let changedBlocks = 0;
 
   for (let by = 0; by < blocksY; by++) {
     for (let bx = 0; bx < blocksX; bx++) {
-      let totalDiff = 0;
-      let pixelCount = 0;
-
       const yStart = by * blockSize;
       const yEnd = Math.min(yStart + blockSize, height);
       const xStart = bx * blockSize;
       const xEnd = Math.min(xStart + blockSize, width);
 
+      let n = 0;
       for (let y = yStart; y < yEnd; y++) {
         for (let x = xStart; x < xEnd; x++) {
-          const off = (y * width + x) * bpp;
-          for (let c = 0; c < channels; c++) {
-            totalDiff += Math.abs(imgA.pixels[off + c] - imgB.pixels[off + c]);
-          }
-          pixelCount++;
+          const p = y * width + x;
+          if (!mask || mask[p]) idx[n++] = p;
         }
       }
 
-      if (pixelCount > 0 && (totalDiff / (pixelCount * channels)) > blockThresh) {
+      if (n === 0) continue;
+      totalBlocks++;
+      const i = by * blocksX + bx;
+      scores[i] = algo.scoreBlock(ctx, idx, n);
+      if (scores[i] > blockThresh) {
+        changed[i] = 1;
         changedBlocks++;
       }
     }
   }
 
+  const metric = totalBlocks > 0 ? algo.summarize(ctx) : null;
+  return {
+    scores, changed, blocksX, blocksY, totalBlocks, changedBlocks,
+    blockSize, blockThresh, maxScore: algo.maxScore, selection, metric,
+  };
+}
+
+// ── Heatmaps ──
+
+const HEAT_COLD = [255, 220, 0];   // just over the threshold
+const HEAT_HOT = [255, 0, 0];      // blocks that differ a lot
+const COMPOSITE_GAP = 8;
+
+// 0..1 heat for a block score; saturates at 8x the threshold (or the
+// algorithm's largest score, whichever is lower).
+function heatOf(score, blockThresh, maxScore) {
+  const span = Math.max(Math.min(blockThresh * 8, maxScore) - blockThresh, 1e-6);
+  return Math.max(0, Math.min(1, (score - blockThresh) / span));
+}
+
+/**
+ * Render the live image with unchanged areas dimmed to gray, masked-out
+ * areas hatched, changed blocks tinted yellow→red by how much they differ
+ * and outlined, and a composite of reference | live | heatmap.
+ */
+function renderHeatmap(refImg, liveImg, diff) {
+  const { width, height } = liveImg;
+  const ref = refImg.pixels;
+  const live = liveImg.pixels;
+  const { blocksX, blockSize, blockThresh, scores, changed } = diff;
+  const mask = diff.selection?.mask;
+  const out = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const by = Math.floor(y / blockSize);
+    for (let x = 0; x < width; x++) {
+      const bx = Math.floor(x / blockSize);
+      const b = by * blocksX + bx;
+      const o = (y * width + x) * 4;
+      const r = live[o], g = live[o + 1], bl = live[o + 2];
+      if (mask && !mask[y * width + x]) {
+        out[o] = out[o + 1] = out[o + 2] = (x + y) % 8 < 2 ? 72 : 16;
+      } else if (!changed[b]) {
+        const gray = Math.round((0.299 * r + 0.587 * g + 0.114 * bl) * 0.5);
+        out[o] = out[o + 1] = out[o + 2] = gray;
+      } else {
+        const heat = heatOf(scores[b], blockThresh, diff.maxScore);
+        const color = HEAT_COLD.map((c, k) => Math.round(c + (HEAT_HOT[k] - c) * heat));
+        const edge = x % blockSize === 0 || y % blockSize === 0
+          || x === Math.min((bx + 1) * blockSize, width) - 1 || y === Math.min((by + 1) * blockSize, height) - 1;
+        const mix = edge ? 1 : 0.45;
+        out[o] = Math.round(r + (color[0] - r) * mix);
+        out[o + 1] = Math.round(g + (color[1] - g) * mix);
+        out[o + 2] = Math.round(bl + (color[2] - bl) * mix);
+      }
+      out[o + 3] = 255;
+    }
+  }
+
+  const cw = width * 3 + COMPOSITE_GAP * 2;
+  const composite = Buffer.alloc(cw * height * 4);
+  for (let i = 0; i < cw * height; i++) {
+    composite[i * 4] = composite[i * 4 + 1] = composite[i * 4 + 2] = 32;
+    composite[i * 4 + 3] = 255;
+  }
+  [ref, live, out].forEach((panel, p) => {
+    const xOff = p * (width + COMPOSITE_GAP);
+    for (let y = 0; y < height; y++) {
+      panel.copy(composite, (y * cw + xOff) * 4, y * width * 4, (y + 1) * width * 4);
+    }
+    // Panels come from decoded images; force them opaque so transparent references stay visible
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) composite[(y * cw + xOff + x) * 4 + 3] = 255;
+    }
+  });
+
+  return {
+    annotated: encodePng(out, width, height),
+    composite: encodePng(composite, cw, height),
+  };
+}
+
+// ── Comparison ──
+
+/**
+ * Compare two PNG screenshots using block-based perceptual analysis.
+ * `detail` carries the chosen algorithm's whole-image score (SSIM, mean ΔE,
+ * edge match) and `score` its value; the default `block` algorithm has none.
+ *
+ * @param {string} b64a - base64-encoded PNG
+ * @param {string} b64b - base64-encoded PNG
+ * @param {object} opts
+ * @param {number} opts.blockSize    - pixel block size (default 16)
+ * @param {string} opts.algorithm    - block | ssim | delta_e | edges (default block)
+ * @param {number} opts.blockThresh  - per-block score to count as "changed" (default 3 for block, else per algorithm)
+ * @param {number} opts.changeThresh - fraction of blocks that must differ to call "changed" (default 0.03)
+ * @param {Array<{x:number,y:number,w:number,h:number}>} opts.ignore  - rectangles left out of the score (in a's pixels)
+ * @param {Array<{x:number,y:number,w:number,h:number}>} opts.include - only score these rectangles (in a's pixels)
+ * @param {boolean} opts.rescale     - compare different sizes by shrinking the larger image
+ * @param {boolean} opts.heatmap     - also render diff PNGs when any block differs
+ * @returns {{ changed: boolean, ratio: number, changedBlocks: number, totalBlocks: number, detail: string,
+ *             algorithm: string, score?: number, heatmap?: { annotated: Buffer, composite: Buffer } }}
+ */
+export function compareScreenshots(b64a, b64b, opts = {}) {
+  const algorithm = opts.algorithm || "block";
+  if (!ALGORITHMS[algorithm]) {
+    return { changed: true, ratio: 1.0, changedBlocks: 0, totalBlocks: 0, detail: `unknown algorithm "${algorithm}" (use ${DIFF_ALGORITHMS.join(", ")})` };
+  }
+  const blockSize = opts.blockSize || 16;
+  const blockThresh = opts.blockThresh ?? defaultThreshold(algorithm, 3);
+  const changeThresh = opts.changeThresh ?? 0.01;
+
+  if (!b64a || !b64b) return { changed: true, ratio: 1.0, changedBlocks: 0, totalBlocks: 0, detail: "missing screenshot" };
+
+  let imgA, imgB;
+  try {
+    imgA = decodePng(b64a);
+    imgB = decodePng(b64b);
+  } catch (e) {
+    return { changed: true, ratio: 1.0, changedBlocks: 0, totalBlocks: 0, detail: "decode error: " + e.message };
+  }
+
+  let regions = { include: opts.include, ignore: opts.ignore }, note = null;
+  if (imgA.width !== imgB.width || imgA.height !== imgB.height) {
+    if (!opts.rescale) {
+      return { changed: true, ratio: 1.0, changedBlocks: 0, totalBlocks: 0, detail: `dimension mismatch: ${imgA.width}x${imgA.height} vs ${imgB.width}x${imgB.height}` };
+    }
+    const aligned = alignSizes(imgA, imgB, regions, ["a", "b"]);
+    ({ a: imgA, b: imgB, note } = aligned);
+    regions = aligned;
+  }
+
+  const selection = buildSelection(imgA.width, imgA.height, regions.include, regions.ignore);
+  const diff = blockDiff(imgA, imgB, algorithm, blockSize, blockThresh, selection);
+  const { changedBlocks, totalBlocks } = diff;
+  if (totalBlocks === 0) return { changed: true, ratio: 1.0, changedBlocks: 0, totalBlocks: 0, detail: "regions leave nothing to compare" };
+
   const ratio = changedBlocks / totalBlocks;
   const changed = ratio > changeThresh;
-  const pct = (ratio * 100).toFixed(1);
-  const detail = `${changedBlocks}/${totalBlocks} blocks differ (${pct}%)`;
+  const detail = describeDiff(diff, imgA.width * imgA.height, note);
 
-  return { changed, ratio, changedBlocks, totalBlocks, detail };
+  const result = { changed, ratio, changedBlocks, totalBlocks, detail, algorithm, score: diff.metric?.value };
+  if (opts.heatmap && changedBlocks > 0) result.heatmap = renderHeatmap(imgA, imgB, diff);
+  return result;
 }
 
 /**
@@ -158,67 +840,58 @@ export function compareScreenshots(b64a, b64b, opts = {}) {
  * @param {string} refPath - absolute path to reference PNG file
  * @param {object} opts
  * @param {number} opts.blockSize    - pixel block size (default 16)
- * @param {number} opts.blockThresh  - per-block avg channel diff to count as "changed" (default 6)
+ * @param {string} opts.algorithm    - block | ssim | delta_e | edges (default block)
+ * @param {number} opts.blockThresh  - per-block score to count as "changed" (default 6 for block, else per algorithm)
  * @param {number} opts.matchThresh  - max fraction of changed blocks to still count as matching (default 0.25)
- * @returns {{ matches: boolean, ratio: number, detail: string }}
+ * @param {Array<{x:number,y:number,w:number,h:number}>} opts.ignore  - rectangles left out of the score (in live pixels)
+ * @param {Array<{x:number,y:number,w:number,h:number}>} opts.include - only score these rectangles (in live pixels)
+ * @param {boolean} opts.rescale     - compare different sizes by shrinking the larger image
+ * @param {boolean} opts.heatmap     - also render diff PNGs when any block differs
+ * @returns {{ matches: boolean, ratio: number, detail: string, algorithm: string, score?: number,
+ *             heatmap?: { annotated: Buffer, composite: Buffer } }}
  */
 export function compareToReference(liveB64, refPath, opts = {}) {
+  const algorithm = opts.algorithm || "block";
+  if (!ALGORITHMS[algorithm]) {
+    return { matches: false, ratio: 1.0, detail: `unknown algorithm "${algorithm}" (use ${DIFF_ALGORITHMS.join(", ")})` };
+  }
   const blockSize = opts.blockSize || 16;
-  const blockThresh = opts.blockThresh ?? 6;
+  const blockThresh = opts.blockThresh ?? defaultThreshold(algorithm, 6);
   const matchThresh = opts.matchThresh ?? 0.25;
 
   if (!liveB64) return { matches: false, ratio: 1.0, detail: "missing live screenshot" };
   if (!fs.existsSync(refPath)) return { matches: false, ratio: 1.0, detail: `reference not found: ${refPath}` };
 
   const refBuf = fs.readFileSync(refPath);
-  const refB64 = refBuf.toString("base64");
 
   let imgLive, imgRef;
   try {
     imgLive = decodePng(liveB64);
-    imgRef = decodePng(refB64);
+    imgRef = decodePng(refBuf);
   } catch (e) {
     return { matches: false, ratio: 1.0, detail: "decode error: " + e.message };
   }
 
+  let regions = { include: opts.include, ignore: opts.ignore }, note = null;
   if (imgLive.width !== imgRef.width || imgLive.height !== imgRef.height) {
-    return { matches: false, ratio: 1.0, detail: `dimension mismatch: live ${imgLive.width}x${imgLive.height} vs ref ${imgRef.width}x${imgRef.height}` };
-  }
-
-  const { width, height, bpp } = imgLive;
-  const channels = Math.min(bpp, 3);
-  const blocksX = Math.ceil(width / blockSize);
-  const blocksY = Math.ceil(height / blockSize);
-  const totalBlocks = blocksX * blocksY;
-  let changedBlocks = 0;
-
-  for (let by = 0; by < blocksY; by++) {
-    for (let bx = 0; bx < blocksX; bx++) {
-      let totalDiff = 0;
-      let pixelCount = 0;
-      const yStart = by * blockSize;
-      const yEnd = Math.min(yStart + blockSize, height);
-      const xStart = bx * blockSize;
-      const xEnd = Math.min(xStart + blockSize, width);
-
-      for (let y = yStart; y < yEnd; y++) {
-        for (let x = xStart; x < xEnd; x++) {
-          const off = (y * width + x) * bpp;
-          for (let c = 0; c < channels; c++) {
-            totalDiff += Math.abs(imgLive.pixels[off + c] - imgRef.pixels[off + c]);
-          }
-          pixelCount++;
-        }
-      }
-      if (pixelCount > 0 && (totalDiff / (pixelCount * channels)) > blockThresh) {
-        changedBlocks++;
-      }
+    if (!opts.rescale) {
+      return { matches: false, ratio: 1.0, detail: `dimension mismatch: live ${imgLive.width}x${imgLive.height} vs ref ${imgRef.width}x${imgRef.height}` };
     }
+    const aligned = alignSizes(imgLive, imgRef, regions, ["live", "ref"]);
+    ({ a: imgLive, b: imgRef, note } = aligned);
+    regions = aligned;
   }
 
+  const selection = buildSelection(imgLive.width, imgLive.height, regions.include, regions.ignore);
+  const diff = blockDiff(imgLive, imgRef, algorithm, blockSize, blockThresh, selection);
+  const { changedBlocks, totalBlocks } = diff;
+  if (totalBlocks === 0) return { matches: false, ratio: 1.0, detail: "regions leave nothing to compare" };
+
   const ratio = changedBlocks / totalBlocks;
   const matches = ratio <= matchThresh;
-  const pct = (ratio * 100).toFixed(1);
-  const detail = `${changedBlocks}/${totalBlocks} blocks differ (${pct}%)`;
-  return { matches, ratio, detail };
+  const detail = describeDiff(diff, imgLive.width * imgLive.height, note);
+
+  const result = { matches, ratio, detail, algorithm, score: diff.metric?.value };
+  if (opts.heatmap && changedBlocks > 0) result.heatmap = renderHeatmap(imgRef, imgLive, diff);
+  return result;
 }
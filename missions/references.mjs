@@ -0,0 +1,276 @@
+/**
+ * Godot Runtime Bridge — Reference screenshot sets
+ *
+ * A reference name can have one PNG per resolution in missions/references/:
+ *
+ *   main_menu@1280x720.png
+ *   main_menu@2560x1440.png
+ *   main_menu.png            (older, unkeyed; its size is read from the PNG)
+ *
+ * save_reference writes the keyed form for the current screen size, and
+ * assert_screen picks the reference closest to the live screenshot. Each PNG
+ * has a JSON sidecar recording the engine version, resolution and project
+ * commit it was captured with. `run_mission.mjs refs` lists references and
+ * the missions using them, and accepts failed screenshots from the last run
+ * as new baselines.
+ */
+
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+
+const REF_FILE_RE = /^(.+?)(?:@(\d+)x(\d+))?\.png$/;
+
+/** Width and height from a PNG's IHDR, without decoding the image. */
+export function readPngSize(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const header = Buffer.alloc(24);
+    fs.readSync(fd, header, 0, 24, 0);
+    if (header.toString("ascii", 12, 16) !== "IHDR") return null;
+    return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/** Path of the reference for `name` at a given screen size. */
+export function referencePath(refsDir, name, width, height) {
+  return path.join(refsDir, `${name}@${width}x${height}.png`);
+}
+
+/**
+ * Every reference on disk, grouped by name:
+ * Map<name, [{ file, path, width, height, keyed }]>, largest first.
+ */
+export function listReferences(refsDir) {
+  const sets = new Map();
+  if (!refsDir || !fs.existsSync(refsDir)) return sets;
+  for (const file of fs.readdirSync(refsDir).sort()) {
+    const m = file.match(REF_FILE_RE);
+    if (!m) continue;
+    const full = path.join(refsDir, file);
+    const keyed = m[2] != null;
+    const size = keyed ? { width: Number(m[2]), height: Number(m[3]) } : readPngSize(full);
+    if (!size) continue;
+    if (!sets.has(m[1])) sets.set(m[1], []);
+    sets.get(m[1]).push({ file, path: full, ...size, keyed });
+  }
+  for (const list of sets.values()) list.sort((a, b) => b.width * b.height - a.width * a.height);
+  return sets;
+}
+
+// Distance between two sizes: aspect-ratio change weighs more than scale,
+// so a 16:9 reference beats a 4:3 one that happens to be closer in area.
+function sizeDistance(a, b) {
+  const scale = Math.abs(Math.log((a.width * a.height) / (b.width * b.height)));
+  const aspect = Math.abs(Math.log((a.width / a.height) / (b.width / b.height)));
+  return aspect * 4 + scale;
+}
+
+/**
+ * Pick the reference for `name` closest to width x height. An exact size wins
+ * (keyed before unkeyed); otherwise the nearest by aspect ratio, then scale.
+ * Returns { ...candidate, exact, candidates } or null when none exist.
+ */
+export function selectReference(refsDir, name, width, height) {
+  const candidates = listReferences(refsDir).get(name) || [];
+  if (candidates.length === 0) return null;
+  const want = { width, height };
+  const ranked = [...candidates].sort((a, b) =>
+    sizeDistance(a, want) - sizeDistance(b, want) || Number(b.keyed) - Number(a.keyed));
+  const best = ranked[0];
+  return { ...best, exact: best.width === width && best.height === height, candidates };
+}
+
+// ── Metadata ──
+
+// Each reference PNG can have a sidecar with how it was captured:
+// main_menu@1280x720.json next to main_menu@1280x720.png.
+function metaPath(refPath) {
+  return refPath.replace(/\.png$/, ".json");
+}
+
+export function readReferenceMeta(refPath) {
+  try {
+    return JSON.parse(fs.readFileSync(metaPath(refPath), "utf-8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Write a reference PNG and its metadata.
+ * @param {object} meta - { ref, width, height, engine_version, commit, mission, source }
+ */
+export function writeReference(refsDir, png, meta) {
+  fs.mkdirSync(refsDir, { recursive: true });
+  const refPath = referencePath(refsDir, meta.ref, meta.width, meta.height);
+  fs.writeFileSync(refPath, png);
+  const full = { ...meta, captured_at: meta.captured_at || new Date().toISOString() };
+  fs.writeFileSync(metaPath(refPath), JSON.stringify(full, null, 2) + "\n");
+  return refPath;
+}
+
+/** Short commit of the git checkout at `dir`, or null outside git. */
+export function gitCommit(dir) {
+  if (!dir) return null;
+  try {
+    return execFileSync("git", ["-C", dir, "rev-parse", "--short", "HEAD"], { stdio: ["ignore", "pipe", "ignore"], timeout: 5000 })
+      .toString().trim() || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// ── Usage ──
+
+const NESTED_STEP_KEYS = ["steps", "then", "else"];
+
+/** Map<ref, Set<missionId>> of every assert_screen / save_reference in the missions file. */
+export function referenceUsage(missions) {
+  const usage = new Map();
+  const walk = (steps, missionId) => {
+    for (const step of Array.isArray(steps) ? steps : []) {
+      if (!step || typeof step !== "object") continue;
+      if ((step.action === "assert_screen" || step.action === "save_reference") && typeof step.ref === "string" && !step.ref.includes("${")) {
+        if (!usage.has(step.ref)) usage.set(step.ref, new Set());
+        usage.get(step.ref).add(missionId);
+      }
+      for (const key of NESTED_STEP_KEYS) walk(step[key], missionId);
+    }
+  };
+  for (const m of Array.isArray(missions) ? missions : []) walk(m.steps, m.id);
+  return usage;
+}
+
+// ── Candidates ──
+//
+// A failed assert_screen keeps the live screenshot as a candidate baseline in
+// reports/ref_candidates/. Each run rewrites reports/ref_candidates.json, so
+// `refs accept` works on the last run, like updating Jest snapshots.
+
+export const CANDIDATES_FILE = "ref_candidates.json";
+const CANDIDATES_DIR = "ref_candidates";
+
+/** Save a candidate image; returns the entry to pass to writeCandidates. */
+export function saveCandidate(reportsDir, png, meta) {
+  const dir = path.join(reportsDir, CANDIDATES_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.basename(referencePath(dir, meta.ref, meta.width, meta.height));
+  fs.writeFileSync(path.join(dir, file), png);
+  return { ...meta, file: `${CANDIDATES_DIR}/${file}`, captured_at: new Date().toISOString() };
+}
+
+/** Delete a candidate saved by saveCandidate, e.g. from an attempt that is retried. */
+export function dropCandidate(reportsDir, candidate) {
+  fs.rmSync(path.join(reportsDir, candidate.file), { force: true });
+}
+
+/** Replace the candidate list with this run's; removes it when there are none. */
+export function writeCandidates(reportsDir, candidates) {
+  const file = path.join(reportsDir, CANDIDATES_FILE);
+  if (candidates.length === 0) {
+    fs.rmSync(file, { force: true });
+    fs.rmSync(path.join(reportsDir, CANDIDATES_DIR), { recursive: true, force: true });
+    return null;
+  }
+  fs.writeFileSync(file, JSON.stringify({ written_at: new Date().toISOString(), candidates }, null, 2) + "\n");
+  return file;
+}
+
+export function readCandidates(reportsDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(reportsDir, CANDIDATES_FILE), "utf-8")).candidates || [];
+  } catch (_) {
+    return [];
+  }
+}
+
+// ── CLI ──
+
+function sizeLabel(c) {
+  return `@${c.width}x${c.height}`;
+}
+
+function describeMeta(meta) {
+  if (!meta) return "(no metadata)";
+  return [
+    meta.captured_at?.slice(0, 10),
+    meta.engine_version ? `Godot ${meta.engine_version}` : null,
+    meta.commit ? `commit ${meta.commit}` : null,
+    meta.mission ? `from ${meta.mission}` : null,
+  ].filter(Boolean).join("  ");
+}
+
+function listCommand(names, { missions, refsDir }) {
+  const sets = listReferences(refsDir);
+  const usage = referenceUsage(missions);
+  const all = [...new Set([...sets.keys(), ...usage.keys()])].sort();
+  const shown = names.length > 0 ? all.filter(n => names.includes(n)) : all;
+  if (shown.length === 0) {
+    console.log(names.length > 0 ? `\nNo reference named ${names.join(", ")}\n` : `\nNo references in ${refsDir}\n`);
+    return names.length > 0 ? 1 : 0;
+  }
+  console.log(`\nReferences in ${refsDir}:\n`);
+  for (const name of shown) {
+    const users = [...(usage.get(name) || [])];
+    const files = sets.get(name) || [];
+    const status = files.length === 0 ? "MISSING" : users.length === 0 ? "unused" : `used by ${users.join(", ")}`;
+    console.log(`  ${name.padEnd(35)} ${status}${files.length === 0 && users.length ? ` (used by ${users.join(", ")})` : ""}`);
+    for (const f of files) {
+      console.log(`    ${sizeLabel(f).padEnd(12)} ${f.keyed ? "" : `${f.file}  `}${describeMeta(readReferenceMeta(f.path))}`);
+    }
+  }
+  console.log("");
+  return 0;
+}
+
+function pendingCommand({ reportsDir }) {
+  const candidates = readCandidates(reportsDir);
+  if (candidates.length === 0) {
+    console.log("\nNo pending baselines — the last run had no failed assert_screen steps.\n");
+    return 0;
+  }
+  console.log(`\nPending baselines from the last run (${candidates.length}):\n`);
+  for (const c of candidates) {
+    console.log(`  ${c.ref.padEnd(35)} ${sizeLabel(c).padEnd(12)} ${c.mission}`);
+    console.log(`    ${c.detail}`);
+  }
+  console.log(`\nAccept with: node run_mission.mjs refs accept [name ...]\n`);
+  return 0;
+}
+
+function acceptCommand(names, { refsDir, reportsDir, mission }) {
+  const candidates = readCandidates(reportsDir);
+  const chosen = candidates.filter(c => (names.length === 0 || names.includes(c.ref)) && (!mission || c.mission === mission));
+  if (chosen.length === 0) {
+    console.log(`\nNothing to accept${names.length ? ` for ${names.join(", ")}` : ""} — see \`refs pending\`.\n`);
+    return 1;
+  }
+  console.log("");
+  for (const c of chosen) {
+    const { file, detail, ...meta } = c;
+    const png = fs.readFileSync(path.join(reportsDir, file));
+    const refPath = writeReference(refsDir, png, { ...meta, source: "accepted" });
+    console.log(`  ✓ ${path.basename(refPath)}  (${c.mission}: ${detail})`);
+  }
+  writeCandidates(reportsDir, candidates.filter(c => !chosen.includes(c)));
+  console.log(`\nAccepted ${chosen.length} baseline(s) into ${refsDir}\n`);
+  return 0;
+}
+
+/**
+ * `node run_mission.mjs refs <list|pending|accept> [name ...] [--mission id]`.
+ * Returns the process exit code.
+ */
+export function refsCommand(argv, { missions, refsDir, reportsDir, mission = null }) {
+  const [sub = "list", ...names] = argv;
+  switch (sub) {
+    case "list": return listCommand(names, { missions, refsDir });
+    case "pending": return pendingCommand({ reportsDir });
+    case "accept": return acceptCommand(names, { refsDir, reportsDir, mission });
+  }
+  console.error(`Unknown refs command "${sub}" (expected: list, pending, accept)`);
+  return 1;
+}
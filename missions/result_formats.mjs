@@ -0,0 +1,130 @@
+/**
+ * Godot Runtime Bridge — Machine-readable mission results
+ *
+ * Serializes a mission run for CI dashboards:
+ *   junit  One <testcase> per mission, one <failure> per issue (JUnit XML)
+ *   json   Full per-mission context: actions, issues, properties, engine errors, timings
+ *   html   Self-contained report with timeline, screenshots and diffs (html_report.mjs)
+ *
+ * All take the same run object built by run_mission.mjs:
+ *   { id, startedAt, finishedAt, target: { project } | { port }, engineClockOffsetMs,
+ *     missions: [{ mission, result }] }
+ */
+
+import { toHtmlReport } from "./html_report.mjs";
+
+export const RESULT_FORMATS = {
+  junit: { file: "junit.xml", render: toJUnitXml },
+  json: { file: "results.json", render: toResultJson },
+  html: { file: "report.html", render: toHtmlReport },
+};
+
+// ── JUnit XML ──
+
+// XML 1.0 forbids most control characters even when escaped; engine error
+// messages and stderr can contain them.
+function xmlEscape(value) {
+  return String(value ?? "")
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function seconds(ms) {
+  return (ms / 1000).toFixed(3);
+}
+
+export function toJUnitXml(run) {
+  const totalMs = run.finishedAt - run.startedAt;
+  const tests = run.missions.length;
+  const failures = run.missions.filter(m => m.result.issues.length > 0).length;
+  const timestamp = new Date(run.startedAt).toISOString().slice(0, 19);
+
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="GRB Missions" tests="${tests}" failures="${failures}" errors="0" time="${seconds(totalMs)}">`,
+    `  <testsuite name="grb-missions" tests="${tests}" failures="${failures}" errors="0" skipped="0" time="${seconds(totalMs)}" timestamp="${timestamp}">`,
+  ];
+
+  const engine = run.missions.find(m => m.result.runtimeInfo)?.result.runtimeInfo;
+  lines.push("    <properties>");
+  if (run.target.port != null) lines.push(`      <property name="port" value="${xmlEscape(run.target.port)}"/>`);
+  if (run.target.project) lines.push(`      <property name="project" value="${xmlEscape(run.target.project)}"/>`);
+  if (engine?.engine_version) lines.push(`      <property name="engine_version" value="${xmlEscape(engine.engine_version)}"/>`);
+  lines.push("    </properties>");
+
+  for (const { mission, result } of run.missions) {
+    lines.push(`    <testcase classname="missions.${xmlEscape(mission.id)}" name="${xmlEscape(mission.name || mission.id)}" time="${seconds(result.durationMs)}">`);
+    for (const iss of result.issues) {
+      lines.push(`      <failure type="${xmlEscape(iss.severity)}" message="${xmlEscape(iss.title)}">${xmlEscape(`[${iss.severity}] ${iss.title}\n${iss.detail ?? ""}`)}</failure>`);
+    }
+    if (result.actions.length > 0) {
+      lines.push(`      <system-out>${xmlEscape(result.actions.join("\n"))}</system-out>`);
+    }
+    const engineErrors = (result.engineErrors || []).filter(e => e.type !== "warning");
+    if (engineErrors.length > 0 || result.stderr) {
+      const errLines = engineErrors.map(e => `${e.file || ""}:${e.line || ""} ${e.code || ""} — ${e.rationale || e.message || ""}`);
+      if (result.stderr) errLines.push(result.stderr);
+      lines.push(`      <system-err>${xmlEscape(errLines.join("\n"))}</system-err>`);
+    }
+    lines.push("    </testcase>");
+  }
+
+  lines.push("  </testsuite>", "</testsuites>", "");
+  return lines.join("\n");
+}
+
+// ── JSON ──
+
+// Screenshots keep their file name and size; the base64 payload is already on disk.
+function screenshotEntries(screenshots) {
+  const out = {};
+  for (const [label, s] of Object.entries(screenshots || {})) {
+    out[label] = { file: s.file, width: s.w, height: s.h };
+  }
+  return out;
+}
+
+export function toResultJson(run) {
+  const totalIssues = run.missions.reduce((n, m) => n + m.result.issues.length, 0);
+  const doc = {
+    runner: "grb-mission-runner",
+    run_id: run.id ?? null,
+    started_at: new Date(run.startedAt).toISOString(),
+    finished_at: new Date(run.finishedAt).toISOString(),
+    duration_ms: run.finishedAt - run.startedAt,
+    target: run.target,
+    result: totalIssues === 0 ? "pass" : "fail",
+    total_issues: totalIssues,
+    missions: run.missions.map(({ mission, result }) => ({
+      id: mission.id,
+      name: mission.name,
+      goal: mission.goal,
+      tier_required: mission.tier_required ?? null,
+      tier_used: result.tierUsed ?? null,
+      status: result.issues.length === 0 ? "pass" : "fail",
+      started_at: new Date(result.startedAt).toISOString(),
+      duration_ms: result.durationMs,
+      report_file: result.reportFile,
+      reset: result.resetResult
+        ? { success: result.resetResult.success, method: result.resetResult.method, attempts: result.resetResult.attempts }
+        : null,
+      vars: result.vars,
+      steps: result.steps,
+      issues: result.issues,
+      actions: result.actions,
+      properties: result.properties,
+      screenshots: screenshotEntries(result.screenshots),
+      runtime_info: result.runtimeInfo,
+      fps_samples: result.fpsSamples,
+      tree_diff: result.treeDiff,
+      discovered_buttons: result.discoveredButtons,
+      engine_errors: result.engineErrors,
+      stderr: result.stderr,
+    })),
+  };
+  return JSON.stringify(doc, null, 2) + "\n";
+}
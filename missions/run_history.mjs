@@ -0,0 +1,269 @@
+/**
+ * Godot Runtime Bridge — Run archive and run-to-run comparison
+ *
+ * Every run keeps a copy of its results under reports/runs/<run id>/
+ * (results.json and OVERALL.md), so later runs no longer erase it. The run id
+ * is --run-id (a build number, a commit) or the start time.
+ *
+ * `run_mission.mjs compare [base] [head]` diffs two archived runs (by default
+ * the two most recent):
+ *   - issues that are new, resolved or persisting, matched per mission by title
+ *   - per-mission status, issue count, duration and FPS deltas
+ *   - screenshot_diff / assert_screen steps whose outcome changed
+ * It prints the comparison, writes it to reports/COMPARE.md, and exits 1 when
+ * the head run has new issues.
+ */
+
+import fs from "fs";
+import path from "path";
+
+const RUNS_DIR = "runs";
+const RUN_ID_RE = /^[\w.-]+$/;
+
+// ── Archive ──
+
+/** Validate a --run-id, or derive one from the start time. */
+export function resolveRunId(requested, startedAt) {
+  if (requested == null) return new Date(startedAt).toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  const id = String(requested);
+  if (!RUN_ID_RE.test(id)) throw new Error(`--run-id "${id}" may only contain letters, digits, ".", "_" and "-"`);
+  return id;
+}
+
+/**
+ * Save a run's files under reports/runs/<runId>/, replacing an earlier run
+ * with the same id. `files` maps file names to contents.
+ */
+export function archiveRun(reportsDir, runId, files) {
+  const dir = path.join(reportsDir, RUNS_DIR, runId);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+  return dir;
+}
+
+/** Archived runs, oldest first: [{ id, startedAt, dir }]. */
+export function listRuns(reportsDir) {
+  const root = path.join(reportsDir, RUNS_DIR);
+  if (!fs.existsSync(root)) return [];
+  const runs = [];
+  for (const id of fs.readdirSync(root)) {
+    const file = path.join(root, id, "results.json");
+    if (!fs.existsSync(file)) continue;
+    try {
+      const { started_at } = JSON.parse(fs.readFileSync(file, "utf-8"));
+      runs.push({ id, startedAt: Date.parse(started_at) || 0, dir: path.join(root, id) });
+    } catch (_) { /* unreadable results.json: not a run */ }
+  }
+  return runs.sort((a, b) => a.startedAt - b.startedAt || a.id.localeCompare(b.id));
+}
+
+function loadRun(run) {
+  return { id: run.id, ...JSON.parse(fs.readFileSync(path.join(run.dir, "results.json"), "utf-8")) };
+}
+
+// ── Comparison ──
+
+// Issues match on mission and title; the detail often carries numbers that
+// change between runs. Repeated titles are matched one for one.
+function issueKey(missionId, issue) {
+  return `${missionId}\u0000${issue.title}`;
+}
+
+function diffIssues(base, head) {
+  const pool = new Map();
+  for (const m of base.missions) {
+    for (const iss of m.issues) {
+      const key = issueKey(m.id, iss);
+      if (!pool.has(key)) pool.set(key, []);
+      pool.get(key).push({ mission: m.id, ...iss });
+    }
+  }
+  const added = [];
+  const persisting = [];
+  for (const m of head.missions) {
+    for (const iss of m.issues) {
+      const match = pool.get(issueKey(m.id, iss))?.shift();
+      (match ? persisting : added).push({ mission: m.id, ...iss });
+    }
+  }
+  const resolved = [...pool.values()].flat();
+  return { added, resolved, persisting };
+}
+
+function meanFps(mission) {
+  const samples = (mission.fps_samples || []).filter(v => typeof v === "number");
+  if (samples.length === 0) return null;
+  return Math.round((samples.reduce((a, b) => a + b, 0) / samples.length) * 10) / 10;
+}
+
+function diffMissions(base, head) {
+  const baseById = new Map(base.missions.map(m => [m.id, m]));
+  const headById = new Map(head.missions.map(m => [m.id, m]));
+  const ids = [...new Set([...headById.keys(), ...baseById.keys()])];
+  return ids.map(id => {
+    const b = baseById.get(id);
+    const h = headById.get(id);
+    const pick = (fn) => ({ base: b ? fn(b) : null, head: h ? fn(h) : null });
+    return {
+      id,
+      status: pick(m => m.status),
+      issues: pick(m => m.issues.length),
+      duration_ms: pick(m => m.duration_ms),
+      fps: pick(meanFps),
+    };
+  });
+}
+
+// Screen comparisons in a mission's step tree, keyed by what they compare and
+// how many times the mission compared it before, so inserting unrelated steps
+// between runs does not shift the match.
+function screenSteps(mission) {
+  const out = new Map();
+  const seen = new Map();
+  const walk = (records, prefix) => {
+    for (const r of records || []) {
+      const at = prefix ? `${prefix}.${r.index + 1}` : `${r.index + 1}`;
+      if (r.compare) {
+        const subject = r.compare.ref != null ? `\`${r.compare.ref}\`` : `\`${r.compare.before_label}\` → \`${r.compare.after_label}\``;
+        const base = `${r.action} ${subject}`;
+        const n = (seen.get(base) || 0) + 1;
+        seen.set(base, n);
+        out.set(`${base}#${n}`, { step: at, label: base, status: r.status, detail: r.compare.detail });
+      }
+      walk(r.children, at);
+    }
+  };
+  walk(mission.steps, "");
+  return out;
+}
+
+function diffScreens(base, head) {
+  const baseById = new Map(base.missions.map(m => [m.id, m]));
+  const changes = [];
+  for (const h of head.missions) {
+    const b = baseById.get(h.id);
+    if (!b) continue;
+    const before = screenSteps(b);
+    const after = screenSteps(h);
+    for (const key of new Set([...after.keys(), ...before.keys()])) {
+      const x = before.get(key) || null;
+      const y = after.get(key) || null;
+      if (x && y && x.status === y.status) continue;
+      changes.push({ mission: h.id, label: (y || x).label, step: (y || x).step, base: x, head: y });
+    }
+  }
+  return changes;
+}
+
+/** Structured diff of two parsed results.json documents. */
+export function compareRuns(base, head) {
+  return {
+    base: { id: base.id, started_at: base.started_at, result: base.result, total_issues: base.total_issues },
+    head: { id: head.id, started_at: head.started_at, result: head.result, total_issues: head.total_issues },
+    issues: diffIssues(base, head),
+    missions: diffMissions(base, head),
+    screens: diffScreens(base, head),
+  };
+}
+
+// ── Markdown ──
+
+function delta(base, head, format, { lowerIsBetter = false } = {}) {
+  if (base == null && head == null) return "—";
+  if (base == null || head == null) return `${base == null ? "—" : format(base)} → ${head == null ? "—" : format(head)}`;
+  if (base === head) return format(head);
+  const pct = base !== 0 ? ` (${head > base ? "+" : ""}${Math.round(((head - base) / base) * 100)}%)` : "";
+  const worse = lowerIsBetter ? head > base : head < base;
+  return `${format(base)} → ${format(head)}${pct}${worse ? " ⚠" : ""}`;
+}
+
+const secs = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+function outcome(s) {
+  if (!s) return "—";
+  return `${s.status === "ok" ? "✓" : s.status === "issue" ? "⚠" : "✗"} ${String(s.detail).replace(/\|/g, "\\|")}`;
+}
+
+function issueLines(list) {
+  return list.map(i => `- \`${i.mission}\` **${i.severity}**: ${i.title}${i.detail ? ` — ${i.detail}` : ""}`);
+}
+
+// Per-mission timing changes within 10% or 250ms are noise
+const TIMING_NOISE = 0.1;
+const TIMING_NOISE_MS = 250;
+
+export function renderComparison(diff) {
+  const { base, head, issues } = diff;
+  const md = [
+    "# GRB Run Comparison",
+    "",
+    "| | Base | Head |",
+    "|--|------|------|",
+    `| Run | \`${base.id}\` | \`${head.id}\` |`,
+    `| Started | ${base.started_at} | ${head.started_at} |`,
+    `| Result | ${base.result.toUpperCase()} (${base.total_issues} issues) | ${head.result.toUpperCase()} (${head.total_issues} issues) |`,
+    "",
+    "## Issues",
+    "",
+    `**${issues.added.length} new**, ${issues.resolved.length} resolved, ${issues.persisting.length} persisting`,
+    "",
+  ];
+  if (issues.added.length) md.push("### New", "", ...issueLines(issues.added), "");
+  if (issues.resolved.length) md.push("### Resolved", "", ...issueLines(issues.resolved), "");
+  if (issues.persisting.length) md.push("### Persisting", "", ...issueLines(issues.persisting), "");
+
+  md.push("## Missions", "", "| Mission | Status | Issues | Time | FPS |", "|---------|--------|--------|------|-----|");
+  for (const m of diff.missions) {
+    const status = m.status.base === m.status.head
+      ? m.status.head.toUpperCase()
+      : `${m.status.base?.toUpperCase() ?? "not run"} → ${m.status.head?.toUpperCase() ?? "not run"}`;
+    const d = m.duration_ms;
+    const time = d.base != null && d.head != null && Math.abs(d.head - d.base) <= Math.max(d.base * TIMING_NOISE, TIMING_NOISE_MS)
+      ? secs(d.head)
+      : delta(d.base, d.head, secs, { lowerIsBetter: true });
+    md.push(`| \`${m.id}\` | ${status} | ${delta(m.issues.base, m.issues.head, String, { lowerIsBetter: true })} | ${time} | ${delta(m.fps.base, m.fps.head, String)} |`);
+  }
+  md.push("");
+
+  md.push("## Screenshot Outcomes", "");
+  if (diff.screens.length === 0) {
+    md.push("No screenshot_diff or assert_screen step changed outcome.", "");
+  } else {
+    md.push("| Mission | Step | Base | Head |", "|---------|------|------|------|");
+    for (const s of diff.screens) md.push(`| \`${s.mission}\` | ${s.step}. ${s.label} | ${outcome(s.base)} | ${outcome(s.head)} |`);
+    md.push("");
+  }
+  md.push("---", "*Generated by Godot Runtime Bridge Mission Runner*");
+  return md.join("\n");
+}
+
+// ── CLI ──
+
+/**
+ * `node run_mission.mjs compare [base] [head]`. Ids default to the two most
+ * recent runs; "latest" and "previous" name them explicitly.
+ * Returns the process exit code.
+ */
+export function compareCommand(argv, { reportsDir }) {
+  const runs = listRuns(reportsDir);
+  const resolve = (id) => id === "latest" ? runs.at(-1) : id === "previous" ? runs.at(-2) : runs.find(r => r.id === id);
+  const [baseId = "previous", headId = "latest"] = argv;
+  const base = resolve(baseId);
+  const head = resolve(headId);
+  if (!base || !head) {
+    const unknown = [baseId, headId].filter(id => !resolve(id) && id !== "latest" && id !== "previous");
+    console.error(unknown.length > 0
+      ? `Unknown run id: ${unknown.join(", ")}`
+      : `Need two archived runs to compare, found ${runs.length} in ${path.join(reportsDir, RUNS_DIR)}`);
+    if (runs.length > 0) console.error(`Runs: ${runs.map(r => r.id).join(", ")}`);
+    return 1;
+  }
+  const diff = compareRuns(loadRun(base), loadRun(head));
+  const md = renderComparison(diff);
+  const outPath = path.join(reportsDir, "COMPARE.md");
+  fs.writeFileSync(outPath, md);
+  console.log(`\n${md}\n`);
+  console.log(`Written to ${outPath}\n`);
+  return diff.issues.added.length > 0 ? 1 : 0;
+}
@@ -8,24 +8,43 @@
  * Usage:
  *   node run_mission.mjs --mission smoke_test --exe "C:\Godot\godot.exe" --project "C:\MyGame"
  *   node run_mission.mjs --mission all --exe "..." --project "..."
+ *   node run_mission.mjs --mission smoke_test --port 54321 --token "xK9m..."
  *   node run_mission.mjs --list
+ *   node run_mission.mjs refs [list [ref ...] | pending | accept [ref ...] [--mission id]]
+ *   node run_mission.mjs compare [base-run-id] [head-run-id]
  *
  * Flags:
+ *   --port, --token     Attach to an already-running game instead of launching one.
+ *                       The game is never killed at the end of the run.
  *   --mode background   Run in background: windowed, no cursor theft (default)
  *   --mode watch        Run in foreground: fullscreen, OS cursor, visible to user
  *   --reset             Reset to home screen before each mission (implied for --mission all)
  *   --no-reset          Disable auto-reset even for --mission all
  *   --diff-block-thresh Per-block channel diff threshold, 0-255 (default: 8)
  *   --diff-change-thresh Fraction of blocks that must differ, 0.0-1.0 (default: 0.03)
+ *   --capture-refs      Save the live screen as the baseline when assert_screen has no
+ *                       reference at the current size
+ *   --rescale-refs      Let assert_screen rescale when no reference matches the screen size
+ *   --format junit,json,html
+ *                       Also write reports/junit.xml, reports/results.json and/or the
+ *                       self-contained reports/report.html
+ *   --var key=value     Override a mission variable (repeatable); see templating.mjs
+ *   --run-id <id>       Archive this run as reports/runs/<id>/ (default: the start time)
+ *   --validate          Check the missions file (fields, labels, includes, tiers) and exit
  */
 
-import net from "net";
-import crypto from "crypto";
 import fs from "fs";
 import path from "path";
-import { spawn } from "child_process";
 import { fileURLToPath } from "url";
+import { AsyncLocalStorage } from "async_hooks";
+import { GrbClient, GrbTimeoutError, pointerTarget, pointerPath, touchArgs, touchDurationMs } from "../mcp/grb_client.js";
 import { compareScreenshots, compareToReference } from "./perceptual_diff.mjs";
+import { RESULT_FORMATS } from "./result_formats.mjs";
+import { selectReference, referencePath, writeReference, gitCommit, saveCandidate, dropCandidate, writeCandidates, refsCommand } from "./references.mjs";
+import { parseAssertion, evaluateAssertion, describeAssertion, formatValue, AssertionSyntaxError } from "./assertions.mjs";
+import { parseVarFlags, createScope, substituteStep, CONTROL_ACTIONS } from "./templating.mjs";
+import { validateMissions, requiredTier } from "./validate_missions.mjs";
+import { resolveRunId, archiveRun, compareCommand } from "./run_history.mjs";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DEFAULT_MISSIONS_FILE = path.join(__dirname, "missions.json");
@@ -36,23 +55,78 @@ const REFS_DIR = path.join(__dirname, "references");
 
 const args = process.argv.slice(2);
 const flags = {};
+const positionals = [];
 for (let i = 0; i < args.length; i++) {
   if (args[i] === "--list") { flags.list = true; }
   else if (args[i] === "--reset") { flags.reset = true; }
   else if (args[i] === "--no-reset") { flags.noReset = true; }
   else if (args[i] === "--capture-refs") { flags.captureRefs = true; }
+  else if (args[i] === "--rescale-refs") { flags.rescaleRefs = true; }
   else if (args[i] === "--allow-boot-errors") { flags["allow-boot-errors"] = true; }
+  else if (args[i] === "--validate") { flags.validate = true; }
+  else if (args[i] === "--var" && i + 1 < args.length) { (flags.var ||= []).push(args[++i]); }
   else if (args[i].startsWith("--") && i + 1 < args.length && !args[i + 1].startsWith("--")) {
     flags[args[i].slice(2)] = args[i + 1];
     i++;
   }
+  else if (!args[i].startsWith("--")) { positionals.push(args[i]); }
 }
 
 const _mf = flags["missions-file"] || flags.missionsFile;
 const missionsFile = _mf
   ? (path.isAbsolute(_mf) ? _mf : path.join(__dirname, _mf))
   : DEFAULT_MISSIONS_FILE;
-const missions = JSON.parse(fs.readFileSync(missionsFile, "utf-8"));
+let missions;
+try {
+  missions = JSON.parse(fs.readFileSync(missionsFile, "utf-8"));
+} catch (err) {
+  console.error(`Error: cannot read ${missionsFile}: ${err.message}`);
+  process.exit(1);
+}
+
+function selectMissions(missionId) {
+  if (missionId === "all") return missions;
+  if (missionId === "starters") return missions.filter(m => m.starter);
+  return missions.filter(m => m.id === missionId);
+}
+
+// Declared tier, or the tier the mission's commands need when it declares none
+function missionTier(mission) {
+  return mission.tier_required ?? requiredTier(mission, missions);
+}
+
+let cliVars;
+try {
+  cliVars = parseVarFlags(flags.var);
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
+
+// `refs list|pending|accept [ref ...]`: manage reference baselines and exit
+if (positionals[0] === "refs") {
+  process.exit(refsCommand(positionals.slice(1), { missions, refsDir: REFS_DIR, reportsDir: OUTPUT_DIR, mission: flags.mission }));
+}
+
+// `compare [base] [head]`: diff two archived runs and exit
+if (positionals[0] === "compare") {
+  process.exit(compareCommand(positionals.slice(1), { reportsDir: OUTPUT_DIR }));
+}
+
+if (flags.validate) {
+  const only = flags.mission ? selectMissions(flags.mission).map(m => m.id) : null;
+  if (only && only.length === 0) {
+    console.error(`Mission not found: ${flags.mission}`);
+    process.exit(1);
+  }
+  const { errors, warnings } = validateMissions(missions, { only, cliVars, refsDir: REFS_DIR });
+  const count = only ? only.length : (Array.isArray(missions) ? missions.length : 0);
+  console.log(`\nValidating ${missionsFile} (${count} missions)\n`);
+  for (const e of errors) console.log(`  ✗ ${e.mission ?? "-"}${e.at ? " " + e.at : ""}: ${e.message}`);
+  for (const w of warnings) console.log(`  ⚠ ${w.mission ?? "-"}${w.at ? " " + w.at : ""}: ${w.message}`);
+  console.log(`\n${errors.length} error(s), ${warnings.length} warning(s)\n`);
+  process.exit(errors.length > 0 ? 1 : 0);
+}
 
 if (flags.list) {
   console.log("\nAvailable Missions:\n");
@@ -66,91 +140,94 @@ if (flags.list) {
 
 if (!flags.mission) {
   console.error("Usage: node run_mission.mjs --mission <id|all|starters> --exe <godot_exe> --project <path>");
-  console.error("Flags: --reset  --no-reset  --list");
+  console.error("       node run_mission.mjs --mission <id|all|starters> --port <port> --token <token>");
+  console.error("       node run_mission.mjs --validate [--mission <id>]");
+  console.error("       node run_mission.mjs refs [list [ref ...] | pending | accept [ref ...] [--mission <id>]]");
+  console.error("       node run_mission.mjs compare [<base-run-id>] [<head-run-id>]");
+  console.error("Flags: --reset  --no-reset  --list  --validate  --capture-refs  --rescale-refs  --format junit,json,html  --var key=value  --run-id <id>");
+  process.exit(1);
+}
+const outputFormats = flags.format ? flags.format.split(",").map(f => f.trim()).filter(Boolean) : [];
+for (const f of outputFormats) {
+  if (!RESULT_FORMATS[f]) {
+    console.error(`Error: unknown --format "${f}" (expected: ${Object.keys(RESULT_FORMATS).join(", ")})`);
+    process.exit(1);
+  }
+}
+try {
+  resolveRunId(flags["run-id"], 0);
+} catch (err) {
+  console.error(`Error: ${err.message}`);
   process.exit(1);
 }
-if (!flags.exe || !flags.project) {
-  console.error("Error: --exe and --project are required");
+const attachMode = flags.port != null || flags.token != null;
+if (attachMode) {
+  if (!flags.port || !flags.token || !Number.isInteger(Number(flags.port))) {
+    console.error("Error: attach mode requires both --port <number> and --token");
+    process.exit(1);
+  }
+} else if (!flags.exe || !flags.project) {
+  console.error("Error: --exe and --project are required (or --port and --token to attach to a running game)");
   process.exit(1);
 }
 
 // ── GRB Client ──
 
-let grbPort = null;
-let grbToken = null;
-let grbProcess = null;
-let reqCounter = 0;
-
-function nextId() { return `mr_${++reqCounter}`; }
-
-function sendCommand(cmd, cmdArgs = {}) {
-  return new Promise((resolve, reject) => {
-    const sock = new net.Socket();
-    const req = JSON.stringify({
-      id: nextId(), proto: "grb/1", cmd, args: cmdArgs, token: grbToken
-    }) + "\n";
-    let buf = "";
-    sock.setTimeout(15000);
-    sock.on("timeout", () => { sock.destroy(); reject(new Error("timeout: " + cmd)); });
-    sock.on("error", reject);
-    sock.on("data", (d) => {
-      buf += d.toString();
-      const idx = buf.indexOf("\n");
-      if (idx >= 0) { sock.destroy(); try { resolve(JSON.parse(buf.slice(0, idx))); } catch (e) { reject(e); } }
-    });
-    sock.connect(grbPort, "127.0.0.1", () => sock.write(req));
-  });
+let client = null;
+// Tier the game session actually allows: what it was launched with, or what
+// an attached game reports.
+let sessionTier = null;
+
+// Deadline of the step being executed (timeout_ms), kept per async call chain.
+// Commands and sleeps get at most the time that is left, so a step that runs
+// out stops at its next command or wait; an attempt that withDeadline gave up on
+// keeps its expired deadline and stops there too.
+const stepDeadline = new AsyncLocalStorage();
+
+function deadlineLeft() {
+  const deadline = stepDeadline.getStore();
+  return deadline == null ? Infinity : deadline - Date.now();
 }
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+// `extraMs` stretches the default timeout for commands that take time in the
+// game (held keys, typing with an interval).
+function sendCommand(cmd, cmdArgs = {}, { extraMs = 0 } = {}) {
+  const remaining = deadlineLeft();
+  if (remaining <= 0) return Promise.reject(new GrbTimeoutError(`Step timed out before ${cmd}`));
+  return client.send(cmd, cmdArgs, { timeoutMs: Math.min(client.timeoutMs + extraMs, remaining) });
+}
+
+// A sleep that would outlast the step deadline ends there with a GrbTimeoutError.
+async function sleep(ms) {
+  const remaining = deadlineLeft();
+  await new Promise(r => setTimeout(r, Math.max(0, Math.min(ms, remaining))));
+  if (ms > remaining) throw new GrbTimeoutError(`Step timed out during a ${ms}ms wait`);
+}
+
+// Attach to a game started elsewhere (editor, remote dev kit via port forward).
+// The client owns no process, so killGame() only drops the connection.
+async function attachGame(port, token) {
+  client = new GrbClient({ port: Number(port), token, idPrefix: "mr" });
+  await client.connect();
+  return client.authInfo();
+}
 
 async function launchGame(exe, project, tier = 1) {
-  const token = crypto.randomBytes(16).toString("hex");
-  const isWatch = (flags.mode === "watch");
-  const godotArgs = ["--path", project, "--windowed", "--resolution", "1280x720", "--position", "50,50"];
-  const envVars = {
-    ...process.env,
-    GDRB_TOKEN: token,
-    GDRB_TIER: String(tier),
-    GDRB_INPUT_MODE: "synthetic",
-    GDRB_FORCE_WINDOWED: "1",
-  };
-  const child = spawn(exe, godotArgs, {
-    cwd: project,
-    env: envVars,
-    stdio: ["ignore", "pipe", "pipe"],
-  });
-  let stderrBuf = "";
-  child.stderr.on("data", (chunk) => { stderrBuf += chunk.toString(); });
-  child.stderrBuffer = () => stderrBuf;
-  grbProcess = child;
-
-  return new Promise((resolve, reject) => {
-    let stdoutBuf = "";
-    const timeout = setTimeout(() => reject(new Error("GDRB_READY timeout")), 30000);
-    child.stdout.on("data", (chunk) => {
-      stdoutBuf += chunk.toString();
-      for (const line of stdoutBuf.split("\n")) {
-        if (line.startsWith("GDRB_READY:")) {
-          clearTimeout(timeout);
-          const data = JSON.parse(line.slice("GDRB_READY:".length));
-          grbPort = data.port;
-          grbToken = data.token;
-          resolve(data);
-          return;
-        }
-      }
-      stdoutBuf = stdoutBuf.split("\n").pop();
-    });
-    child.on("exit", (code) => { clearTimeout(timeout); reject(new Error("Godot exited: " + code)); });
+  client = await GrbClient.launch({
+    exe,
+    project,
+    tier,
+    args: ["--windowed", "--resolution", "1280x720", "--position", "50,50"],
+    env: { GDRB_INPUT_MODE: "synthetic" },
+    idPrefix: "mr",
+    captureStderr: true,
   });
+  return client.ready;
 }
 
 function killGame() {
-  try { if (grbProcess) grbProcess.kill("SIGTERM"); } catch (_) {}
-  grbProcess = null;
-  grbPort = null;
-  grbToken = null;
+  if (client) client.close();
+  client = null;
 }
 
 // ── Screenshot management ──
@@ -161,6 +238,77 @@ function saveScreenshot(b64, label, outDir) {
   return filename;
 }
 
+// What a reference was captured with, stored next to it and with candidates.
+// The engine version comes from a runtime_info step when the mission has one.
+let engineVersion;
+let projectCommit;
+async function referenceMeta(context, ref, width, height) {
+  if (engineVersion === undefined) {
+    const info = context.runtimeInfo || await sendCommand("runtime_info").catch(() => null);
+    engineVersion = info?.ok !== false && info?.engine_version || null;
+  }
+  if (projectCommit === undefined) projectCommit = attachMode ? null : gitCommit(flags.project);
+  return { ref, width, height, engine_version: engineVersion, commit: projectCommit, mission: context.missionId };
+}
+
+/**
+ * Resolve a step's ignore_regions / include_regions into pixel rectangles.
+ * Entries are {x, y, w, h} or {node, pad}; a node's rect is where the game
+ * draws it on screen (node_rect), read when the step runs.
+ * Returns { rects } or { error }.
+ */
+async function resolveRegions(entries = []) {
+  const rects = [];
+  for (const entry of entries) {
+    if (entry.node == null) {
+      rects.push({ x: Number(entry.x), y: Number(entry.y), w: Number(entry.w), h: Number(entry.h) });
+      continue;
+    }
+    const r = await sendCommand("node_rect", { node: entry.node });
+    if (!r.ok) return { error: `${entry.node}: ${r.error?.message || JSON.stringify(r.error)}` };
+    const pad = Number(entry.pad) || 0;
+    rects.push({ x: r.x - pad, y: r.y - pad, w: r.w + pad * 2, h: r.h + pad * 2 });
+  }
+  return { rects };
+}
+
+async function resolveStepRegions(step, issues) {
+  const ignore = await resolveRegions(step.ignore_regions);
+  const include = await resolveRegions(step.include_regions);
+  const error = ignore.error || include.error;
+  if (error) {
+    issues.push({ severity: "Major", title: `${step.action}: cannot resolve region`, detail: error });
+    return null;
+  }
+  return { ignore: ignore.rects, include: include.rects };
+}
+
+// ── Pointer targets ──
+
+// click / hover / drag point: a node or find_nodes target, or x/y
+function stepTarget(step) {
+  return step.node || step.find ? pointerTarget(step.node || step.find, step) : { x: step.x, y: step.y };
+}
+
+function describeTarget(t) {
+  if (Array.isArray(t)) return `(${t[0]}, ${t[1]})`;
+  if (t.node) return t.node;
+  if (t.find) return `find ${JSON.stringify(t.find)}`;
+  return `(${t.x}, ${t.y})`;
+}
+
+// Fields of a touch step that go to the game
+const TOUCH_FIELDS = [
+  "type", "at", "index", "hold_ms", "center", "start_distance", "end_distance", "distance", "angle", "degrees",
+  "fingers", "duration_ms", "steps",
+];
+
+// "Main/Menu/Start at (412, 230)": where the game resolved the target
+function landedAt(target, result) {
+  if (!result?.node) return describeTarget(target);
+  return `${result.node} at (${result.x}, ${result.y})`;
+}
+
 // ── Scene tree helpers ──
 
 const BTN_TYPES = ["Button", "TextureButton", "LinkButton", "MenuButton", "OptionButton", "CheckButton", "CheckBox"];
@@ -235,9 +383,33 @@ async function resetToHome(logPrefix = "  ") {
   };
 }
 
+// ── Conditions ──
+
+// Shared by assert, if and loop_until. The step carries either a find_nodes
+// query (`find`) or assertion fields; node + property reads the value live,
+// otherwise the assertion path starts at a captured label. A live read that
+// fails is reported as readError and counts as false.
+async function evaluateCondition(step, context) {
+  if (step.find) {
+    const r = await sendCommand("find_nodes", step.find);
+    const count = r.ok ? r.count : 0;
+    return { pass: count > 0, text: `find_nodes ${JSON.stringify(step.find)}`, actual: count, readError: r.ok ? undefined : r.error };
+  }
+  const assertion = parseAssertion(step);
+  if (step.node && step.property) {
+    const text = describeAssertion(assertion, [`${step.node}.${step.property}`, assertion.path].filter(Boolean).join("."));
+    const r = await sendCommand("get_property", { node: step.node, property: step.property });
+    if (!r.ok) return { pass: false, text, actual: undefined, readError: r.error };
+    return { text, ...evaluateAssertion(r.value, assertion) };
+  }
+  return { text: describeAssertion(assertion), ...evaluateAssertion(context.properties || {}, assertion) };
+}
+
 // ── Step executor ──
 
-async function executeStep(step, context) {
+// `record` is the step's entry in the step tree; steps that capture or compare
+// screenshots note the image paths on it for the HTML report.
+async function executeStep(step, context, record = {}) {
   const { screenshots, issues, actions, outDir } = context;
 
   switch (step.action) {
@@ -246,6 +418,7 @@ async function executeStep(step, context) {
       if (r.ok) {
         const file = saveScreenshot(r.png_base64, step.label, outDir);
         screenshots[step.label] = { file, b64: r.png_base64, w: r.width, h: r.height };
+        record.screenshot = path.join(outDir, file);
         actions.push(`Screenshot captured: ${step.label} (${r.width}x${r.height})`);
       } else {
         issues.push({ severity: "Major", title: "Screenshot failed", detail: JSON.stringify(r.error) });
@@ -268,6 +441,7 @@ async function executeStep(step, context) {
       const r = await sendCommand("runtime_info");
       if (r.ok) {
         context.runtimeInfo = r;
+        context.fpsSamples.push(r.fps);
         actions.push(`Runtime info: ${r.engine_version}, ${r.fps} FPS, scene: ${r.current_scene_name || "unknown"}`);
       }
       break;
@@ -295,17 +469,60 @@ async function executeStep(step, context) {
       break;
     }
     case "click": {
-      const r = await sendCommand("click", { x: step.x, y: step.y });
-      if (r.ok) actions.push(`Clicked (${step.x}, ${step.y})`);
-      else issues.push({ severity: "Minor", title: `Click failed at (${step.x}, ${step.y})`, detail: JSON.stringify(r.error) });
+      const r = await sendCommand("click", {
+        ...stepTarget(step),
+        ...(step.button ? { button: step.button } : {}),
+        ...(step.double ? { double: true } : {}),
+      });
+      const button = step.button && step.button !== "left" ? `${step.button[0].toUpperCase()}${step.button.slice(1)}` : "";
+      const verb = step.double ? (button ? `${button} double-click` : "Double-click") : (button ? `${button}-click` : "Click");
+      if (r.ok) actions.push(`${verb}ed ${landedAt(step, r)}`);
+      else issues.push({ severity: "Minor", title: `${verb} failed at ${describeTarget(step)}`, detail: JSON.stringify(r.error) });
+      break;
+    }
+    case "hover": {
+      const { from, waypoints, duration_ms, steps } = step;
+      const r = await sendCommand("hover", { ...stepTarget(step), ...pointerPath({ from, waypoints, duration_ms, steps }) },
+        { extraMs: duration_ms ?? 0 });
+      if (r.ok) actions.push(`Hovered ${landedAt(step, r)}`);
+      else issues.push({ severity: "Minor", title: `Hover failed at ${describeTarget(step)}`, detail: JSON.stringify(r.error) });
+      break;
+    }
+    case "drag": {
+      const { from, to, waypoints, duration_ms, steps, button } = step;
+      const args = pointerPath({ from, to, waypoints, duration_ms, steps, button });
+      const r = await sendCommand("drag", args, { extraMs: duration_ms ?? 0 });
+      const via = waypoints?.length ? ` via ${waypoints.length} waypoint(s)` : "";
+      const over = duration_ms ? ` over ${duration_ms}ms` : "";
+      if (r.ok) actions.push(`Dragged ${landedAt(args.from, r.from)} → ${landedAt(args.to, r.to)}${via}${over}`);
+      else issues.push({ severity: "Minor", title: `Drag failed from ${describeTarget(args.from)} to ${describeTarget(args.to)}`, detail: JSON.stringify(r.error) });
+      break;
+    }
+    case "touch": {
+      const args = touchArgs(Object.fromEntries(TOUCH_FIELDS.filter(k => step[k] != null).map(k => [k, step[k]])));
+      const r = await sendCommand("touch", args, { extraMs: touchDurationMs(args) });
+      const where = args.at ? ` at ${describeTarget(args.at)}` : args.center ? ` around ${describeTarget(args.center)}` : "";
+      if (r.ok) actions.push(`Touch ${step.type}${where}: ${r.fingers} finger(s) over ${r.duration_ms}ms`);
+      else issues.push({ severity: "Minor", title: `Touch ${step.type} failed${where}`, detail: JSON.stringify(r.error) });
       break;
     }
     case "key": {
-      const r = await sendCommand("key", step.args || {});
-      if (r.ok) actions.push(`Key sent: ${step.args?.action || step.args?.keycode}`);
+      const a = step.args || {};
+      const r = await sendCommand("key", a, { extraMs: a.hold_ms ?? 0 });
+      const mods = a.modifiers?.length ? `${a.modifiers.join("+")}+` : "";
+      const phase = a.pressed === true ? " (down)" : a.pressed === false ? " (up)" : a.hold_ms ? ` (held ${a.hold_ms}ms)` : "";
+      if (r.ok) actions.push(`Key sent: ${a.action || mods + (a.key || a.keycode)}${phase}`);
       else issues.push({ severity: "Minor", title: "Key input failed", detail: JSON.stringify(r.error) });
       break;
     }
+    case "type_text": {
+      const text = String(step.text ?? "");
+      const r = await sendCommand("type_text", { text, interval_ms: step.interval_ms ?? 0 },
+        { extraMs: [...text].length * (step.interval_ms ?? 0) });
+      if (r.ok) actions.push(`Typed ${r.chars} character(s): ${JSON.stringify(text.length > 40 ? text.slice(0, 40) + "…" : text)}`);
+      else issues.push({ severity: "Minor", title: "Text input failed", detail: JSON.stringify(r.error) });
+      break;
+    }
     case "press_button": {
       const r = await sendCommand("press_button", { name: step.name });
       if (r.ok) actions.push(`Pressed button: ${step.name}`);
@@ -342,12 +559,20 @@ async function executeStep(step, context) {
       const a = screenshots[step.a];
       const b = screenshots[step.b];
       if (a && b) {
-        const diffOpts = {};
+        const regions = await resolveStepRegions(step, issues);
+        if (!regions) break;
+        const diffOpts = { ...regions, algorithm: step.algorithm };
+        // --diff-block-thresh is in block-algorithm units; other algorithms keep their own default
         if (step.block_thresh != null) diffOpts.blockThresh = Number(step.block_thresh);
-        else if (flags["diff-block-thresh"]) diffOpts.blockThresh = Number(flags["diff-block-thresh"]);
+        else if (flags["diff-block-thresh"] && (step.algorithm ?? "block") === "block") diffOpts.blockThresh = Number(flags["diff-block-thresh"]);
         if (step.change_thresh != null) diffOpts.changeThresh = Number(step.change_thresh);
         else if (flags["diff-change-thresh"]) diffOpts.changeThresh = Number(flags["diff-change-thresh"]);
         const result = compareScreenshots(a.b64, b.b64, diffOpts);
+        record.compare = {
+          before: path.join(outDir, a.file), before_label: step.a,
+          after: path.join(outDir, b.file), after_label: step.b,
+          detail: result.detail,
+        };
         if (result.changed) {
           actions.push(`Screenshots differ: ${step.a} vs ${step.b} (${result.detail})`);
         } else {
@@ -418,6 +643,37 @@ async function executeStep(step, context) {
       }
       break;
     }
+    case "find_nodes": {
+      const query = {};
+      for (const k of ["name", "type", "group", "limit"]) if (step[k] != null) query[k] = step[k];
+      const r = await sendCommand("find_nodes", query);
+      if (r.ok) {
+        if (step.label) context.properties[step.label] = r.matches;
+        actions.push(`Found ${r.count} node(s) for ${JSON.stringify(query)}`);
+      } else {
+        issues.push({ severity: "Minor", title: "find_nodes failed", detail: JSON.stringify(r.error) });
+      }
+      break;
+    }
+    case "grb_performance": {
+      const r = await sendCommand("grb_performance");
+      if (r.ok) {
+        const { ok, id, ...perf } = r;
+        if (step.label) context.properties[step.label] = perf;
+        context.fpsSamples.push(r.fps);
+        actions.push(`Performance: ${r.fps} FPS, ${r.render_draw_calls ?? "?"} draw calls, ${r.object_node_count ?? "?"} nodes`);
+      }
+      break;
+    }
+    case "audio_state": {
+      const r = await sendCommand("audio_state");
+      if (r.ok) {
+        const { ok, id, ...audio } = r;
+        if (step.label) context.properties[step.label] = audio;
+        actions.push(`Audio state: ${r.bus_count ?? "?"} bus(es)`);
+      }
+      break;
+    }
     case "get_property": {
       const r = await sendCommand("get_property", { node: step.node, property: step.property });
       if (r.ok) {
@@ -442,27 +698,92 @@ async function executeStep(step, context) {
       }
       break;
     }
+    case "assert": {
+      let result;
+      try {
+        result = await evaluateCondition(step, context);
+      } catch (err) {
+        if (!(err instanceof AssertionSyntaxError)) throw err;
+        issues.push({ severity: "Major", title: "Invalid assertion", detail: err.message });
+        break;
+      }
+      if (result.readError) {
+        issues.push({ severity: step.severity || "Major", title: `assert: get_property failed: ${step.node}.${step.property}`, detail: JSON.stringify(result.readError) });
+        break;
+      }
+      const subject = result.text;
+      if (result.pass) {
+        actions.push(`Assert ${subject} ✓ (actual ${formatValue(result.actual)})`);
+      } else {
+        issues.push({
+          severity: step.severity || "Major",
+          title: step.issue_title || `Assertion failed: ${subject}`,
+          detail: `Expected ${subject}, actual ${formatValue(result.actual)}${result.reason ? ` (${result.reason})` : ""}`,
+          expected: subject,
+          actual: formatValue(result.actual),
+        });
+        actions.push(`Assert ${subject} ✗ (actual ${formatValue(result.actual)})`);
+      }
+      break;
+    }
     case "assert_screen": {
       const r = await sendCommand("screenshot");
       if (!r.ok) {
         issues.push({ severity: "Major", title: "assert_screen: screenshot failed", detail: JSON.stringify(r.error) });
         break;
       }
+      const regions = await resolveStepRegions(step, issues);
+      if (!regions) break;
       const refName = step.ref;
-      const refPath = path.join(REFS_DIR, `${refName}.png`);
+      const pick = selectReference(REFS_DIR, refName, r.width, r.height);
+      if (flags.captureRefs && !pick?.exact) {
+        const meta = await referenceMeta(context, refName, r.width, r.height);
+        const refFile = writeReference(REFS_DIR, Buffer.from(r.png_base64, "base64"), { ...meta, source: "capture-refs" });
+        actions.push(`Captured reference: ${path.basename(refFile)} (--capture-refs)`);
+        break;
+      }
+      const refPath = pick ? pick.path : referencePath(REFS_DIR, refName, r.width, r.height);
+      const rescale = step.rescale ?? Boolean(flags.rescaleRefs);
+      if (pick && !pick.exact) actions.push(`No ${r.width}x${r.height} reference for "${refName}"; closest is ${pick.file}`);
       const result = compareToReference(r.png_base64, refPath, {
+        ...regions,
+        algorithm: step.algorithm,
         blockThresh: step.block_thresh,
         matchThresh: step.match_thresh,
+        rescale,
+        heatmap: true,
       });
       const snapFile = saveScreenshot(r.png_base64, `assert_${refName}`, outDir);
+      record.compare = {
+        ref: refName,
+        before: refPath, before_label: `reference ${path.basename(refPath)}`,
+        after: path.join(outDir, snapFile), after_label: "live",
+        detail: result.detail,
+      };
       if (result.matches) {
         actions.push(`Screen matches reference "${refName}" (${result.detail})`);
       } else {
-        issues.push({
+        let detail = result.detail;
+        if (pick && !pick.exact && !rescale) {
+          const sizes = pick.candidates.map(c => `${c.width}x${c.height}`).join(", ");
+          detail += ` (references exist at ${sizes}; save one at ${r.width}x${r.height} or set "rescale": true)`;
+        }
+        const issue = {
           severity: step.severity || "Major",
           title: step.issue_title || `Screen does not match reference: ${refName}`,
-          detail: `${result.detail}. Screenshot saved: ${snapFile}`
-        });
+          detail: `${detail}. Screenshot saved: ${snapFile}`,
+          screenshot: snapFile,
+        };
+        if (result.heatmap) {
+          issue.heatmap = `assert_${refName}_diff.png`;
+          issue.composite = `assert_${refName}_compare.png`;
+          fs.writeFileSync(path.join(outDir, issue.heatmap), result.heatmap.annotated);
+          fs.writeFileSync(path.join(outDir, issue.composite), result.heatmap.composite);
+          record.compare.heatmap = path.join(outDir, issue.heatmap);
+        }
+        const meta = await referenceMeta(context, refName, r.width, r.height);
+        context.refCandidates.push(saveCandidate(OUTPUT_DIR, Buffer.from(r.png_base64, "base64"), { ...meta, detail: result.detail }));
+        issues.push(issue);
       }
       break;
     }
@@ -472,11 +793,10 @@ async function executeStep(step, context) {
         issues.push({ severity: "Major", title: "save_reference: screenshot failed", detail: JSON.stringify(r.error) });
         break;
       }
-      if (!fs.existsSync(REFS_DIR)) fs.mkdirSync(REFS_DIR, { recursive: true });
-      const refFile = path.join(REFS_DIR, `${step.ref}.png`);
-      fs.writeFileSync(refFile, Buffer.from(r.png_base64, "base64"));
+      const meta = await referenceMeta(context, step.ref, r.width, r.height);
+      const refFile = writeReference(REFS_DIR, Buffer.from(r.png_base64, "base64"), { ...meta, source: "save_reference" });
       saveScreenshot(r.png_base64, `ref_${step.ref}`, outDir);
-      actions.push(`Saved reference: ${step.ref} (${r.width}x${r.height})`);
+      actions.push(`Saved reference: ${path.basename(refFile)} (${r.width}x${r.height})`);
       break;
     }
     case "set_property": {
@@ -595,6 +915,209 @@ async function executeStep(step, context) {
   }
 }
 
+// ── Control flow ──
+
+const MAX_INCLUDE_DEPTH = 8;
+const DEFAULT_RETRY_BACKOFF_MS = 500;
+
+// Variable lookup for the current block: loop counters and include vars first,
+// then --var, then the running mission's vars, then captured labels.
+function scopeLookup(scope, context) {
+  return createScope(...scope.locals, cliVars, scope.missionVars, context.properties);
+}
+
+function markIssues(record, context, issuesBefore) {
+  if (record.status === "ok" && context.issues.length > issuesBefore) record.status = "issue";
+}
+
+// Run `fn` with a deadline `ms` from now (or the enclosing step's, if sooner),
+// and fail with GrbTimeoutError when it passes, whatever `fn` is waiting on.
+async function withDeadline(ms, fn) {
+  const deadline = Date.now() + Math.min(ms, deadlineLeft());
+  const run = stepDeadline.run(deadline, fn);
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new GrbTimeoutError("step deadline passed")), Math.max(0, deadline - Date.now()));
+  });
+  try {
+    return await Promise.race([run, expired]);
+  } finally {
+    clearTimeout(timer);
+    run.catch(() => {});
+  }
+}
+
+// Run one step under its timeout_ms / retries policy. An attempt fails when
+// it throws or raises an issue; a failed attempt's issues and baseline
+// candidates are dropped before the retry, and the last attempt's outcome stands.
+async function runWithPolicy(step, record, context, attemptFn) {
+  const retries = Number(step.retries) || 0;
+  const backoff = step.retry_backoff_ms ?? DEFAULT_RETRY_BACKOFF_MS;
+  for (let attempt = 0; ; attempt++) {
+    const issuesBefore = context.issues.length;
+    const candidatesBefore = context.refCandidates.length;
+    let error = null;
+    try {
+      await (step.timeout_ms ? withDeadline(Number(step.timeout_ms), attemptFn) : attemptFn());
+    } catch (err) {
+      error = err instanceof GrbTimeoutError && step.timeout_ms
+        ? new GrbTimeoutError(`${step.action} timed out after ${step.timeout_ms}ms (${err.message})`)
+        : err;
+    }
+    record.attempts = attempt + 1;
+    const raised = context.issues.length > issuesBefore;
+    if ((!error && !raised) || attempt >= retries) {
+      if (error) throw error;
+      return;
+    }
+    const reason = error ? error.message : context.issues[context.issues.length - 1].title;
+    context.issues.length = issuesBefore;
+    for (const c of context.refCandidates.splice(candidatesBefore)) dropCandidate(OUTPUT_DIR, c);
+    const delay = backoff * 2 ** attempt;
+    context.actions.push(`Retry ${attempt + 1}/${retries} of ${step.action} in ${delay}ms: ${reason}`);
+    process.stdout.write(` retry ${attempt + 1}/${retries}...`);
+    await sleep(delay);
+  }
+}
+
+// Run `steps` in order, appending one record per step (with children for
+// control-flow steps) to `records`. Errors end the mission unless the step
+// sets continue_on_error, which turns the error into an issue.
+async function runSteps(steps, context, scope, records, indent = "  ") {
+  for (let i = 0; i < steps.length; i++) {
+    const raw = CONTROL_ACTIONS.has(steps[i].action) ? steps[i] : { ...scope.stepDefaults, ...steps[i] };
+    const start = Date.now();
+    const record = { index: i, action: raw.action, label: raw.label ?? null, status: "ok", at_ms: start - context.startedAt, duration_ms: 0 };
+    records.push(record);
+    const issuesBefore = context.issues.length;
+    process.stdout.write(`${indent}[${i + 1}/${steps.length}] ${raw.action}${raw.label ? " (" + raw.label + ")" : ""}`);
+    let step = raw;
+    try {
+      step = substituteStep(raw, scopeLookup(scope, context));
+      if (CONTROL_ACTIONS.has(step.action)) {
+        console.log("");
+        await runWithPolicy(step, record, context, async () => {
+          record.children = [];
+          record.detail = await executeControlStep(step, context, scope, record.children, indent + "  ");
+        });
+      } else {
+        process.stdout.write("...");
+        await runWithPolicy(step, record, context, () => executeStep(step, context, record));
+        console.log(` done (${Date.now() - start}ms)`);
+      }
+    } catch (err) {
+      record.status = "failed";
+      record.error = err.message;
+      if (!step.continue_on_error) throw err;
+      console.log(` FAILED: ${err.message} (continuing)`);
+      context.issues.push({
+        severity: step.severity || "Major",
+        title: `Step failed: ${step.action}${step.label ? ` (${step.label})` : ""}`,
+        detail: `${err.message}. continue_on_error is set, so the mission went on.`,
+      });
+    } finally {
+      record.duration_ms = Date.now() - start;
+      markIssues(record, context, issuesBefore);
+    }
+  }
+}
+
+async function runIteration(label, steps, context, scope, records, indent) {
+  const start = Date.now();
+  const record = { index: records.length, action: "iteration", label, status: "ok", at_ms: start - context.startedAt, duration_ms: 0, children: [] };
+  records.push(record);
+  const issuesBefore = context.issues.length;
+  console.log(`${indent}— iteration ${label}`);
+  try {
+    await runSteps(steps || [], context, scope, record.children, indent + "  ");
+  } catch (err) {
+    record.status = "failed";
+    throw err;
+  } finally {
+    record.duration_ms = Date.now() - start;
+    markIssues(record, context, issuesBefore);
+  }
+}
+
+// Returns a one-line summary for the step tree.
+async function executeControlStep(step, context, scope, children, indent) {
+  const { actions, issues } = context;
+
+  switch (step.action) {
+    case "if": {
+      const cond = await evaluateCondition(step, context);
+      const branch = cond.pass ? step.then : step.else;
+      actions.push(`If ${cond.text} → ${cond.pass ? "then" : "else"}`);
+      if (branch?.length) await runSteps(branch, context, scope, children, indent);
+      return `${cond.text} → ${cond.pass ? "then" : "else"}`;
+    }
+    case "repeat": {
+      const times = Number(step.times);
+      if (!Number.isInteger(times) || times < 0) throw new Error(`repeat: "times" must be a non-negative integer, got ${JSON.stringify(step.times)}`);
+      const counter = step.as || "index";
+      for (let n = 0; n < times; n++) {
+        const iterScope = { ...scope, locals: [{ [counter]: n }, ...scope.locals] };
+        await runIteration(`${n + 1}/${times}`, step.steps, context, iterScope, children, indent);
+      }
+      actions.push(`Repeat ×${times}`);
+      return `×${times}`;
+    }
+    case "loop_until": {
+      const maxAttempts = step.max_attempts ?? 10;
+      const counter = step.as || "attempt";
+      for (let attempt = 0; ; attempt++) {
+        const cond = await evaluateCondition(step, context);
+        if (cond.pass) {
+          actions.push(`Loop until ${cond.text}: met after ${attempt} attempt(s)`);
+          return `${cond.text} — met after ${attempt} attempt(s)`;
+        }
+        if (attempt >= maxAttempts) {
+          const actual = formatValue(cond.actual);
+          issues.push({
+            severity: step.severity || "Major",
+            title: step.issue_title || `Condition not met: ${cond.text}`,
+            detail: `Still false after ${maxAttempts} attempt(s), actual ${actual}${cond.readError ? ` (${cond.readError.message})` : ""}`,
+            expected: cond.text,
+            actual,
+          });
+          actions.push(`Loop until ${cond.text}: gave up after ${maxAttempts} attempt(s)`);
+          return `${cond.text} — not met after ${maxAttempts} attempt(s)`;
+        }
+        const iterScope = { ...scope, locals: [{ [counter]: attempt }, ...scope.locals] };
+        await runIteration(`${attempt + 1}/${maxAttempts}`, step.steps, context, iterScope, children, indent);
+        if (step.interval_ms) await sleep(step.interval_ms);
+      }
+    }
+    case "include": {
+      const target = missions.find(m => m.id === step.mission);
+      if (!target) throw new Error(`include: unknown mission "${step.mission}"`);
+      const chain = [...scope.includes, target.id];
+      if (scope.includes.includes(target.id) || chain.length > MAX_INCLUDE_DEPTH) {
+        throw new Error(`include: cycle or nesting too deep (${chain.join(" → ")})`);
+      }
+      // Included missions see their own vars plus the include step's "vars", not the caller's locals
+      const incScope = { locals: [step.vars || {}], missionVars: target.vars, stepDefaults: target.step_defaults, includes: chain };
+      actions.push(`Include mission: ${target.id}`);
+      await runSteps(target.steps, context, incScope, children, indent);
+      return target.id;
+    }
+  }
+  throw new Error(`Unknown control step: ${step.action}`);
+}
+
+function renderStepTree(records, depth = 0) {
+  let md = "";
+  for (const r of records) {
+    const icon = r.status === "failed" ? "✗" : r.status === "issue" ? "⚠" : "✓";
+    const name = r.action === "iteration" ? `iteration ${r.label}` : `\`${r.action}\`${r.label ? ` (${r.label})` : ""}`;
+    const attempts = r.attempts > 1 ? ` · ${r.attempts} attempts` : "";
+    const error = r.error ? ` — ${r.error}` : "";
+    md += `${"  ".repeat(depth)}- ${icon} ${name}${r.detail ? ` — ${r.detail}` : ""}${error} · ${r.duration_ms}ms${attempts}\n`;
+    if (r.children?.length) md += renderStepTree(r.children, depth + 1);
+  }
+  return md;
+}
+
 // ── Report generator ──
 
 function generateReport(mission, context) {
@@ -606,7 +1129,7 @@ function generateReport(mission, context) {
   md += `| Mission ID | \`${mission.id}\` |\n`;
   md += `| Date | ${new Date().toISOString()} |\n`;
   md += `| Duration | ${context.elapsedSec}s |\n`;
-  md += `| Tier Used | ${mission.tier_required} |\n`;
+  md += `| Tier Used | ${context.tierUsed ?? "?"} |\n`;
   if (context.resetResult) {
     md += `| Reset | ${context.resetResult.method} (${context.resetResult.attempts} attempts) |\n`;
   }
@@ -617,6 +1140,14 @@ function generateReport(mission, context) {
   }
   md += `\n`;
 
+  if (Object.keys(context.vars || {}).length > 0) {
+    md += `## Variables\n\n`;
+    for (const [k, v] of Object.entries(context.vars)) {
+      md += `- **${k}**: ${JSON.stringify(v)}${k in cliVars ? " *(--var)*" : ""}\n`;
+    }
+    md += `\n`;
+  }
+
   if (issues.length > 0) {
     md += `## Issues Found (${issues.length})\n\n`;
     for (let i = 0; i < issues.length; i++) {
@@ -626,7 +1157,11 @@ function generateReport(mission, context) {
       md += `| Severity | **${iss.severity}** |\n`;
       md += `| Mission | ${mission.id} |\n`;
       md += `| Detail | ${iss.detail} |\n`;
+      if (iss.expected !== undefined) md += `| Expected | \`${iss.expected.replace(/\|/g, "\\|")}\` |\n`;
+      if (iss.actual !== undefined) md += `| Actual | \`${iss.actual.replace(/\|/g, "\\|")}\` |\n`;
       if (iss.screenshot) md += `| Screenshot | ![](${iss.screenshot}) |\n`;
+      if (iss.heatmap) md += `| Diff Heatmap | [![](${iss.heatmap})](${iss.heatmap}) |\n`;
+      if (iss.composite) md += `| Reference / Live / Diff | [${iss.composite}](${iss.composite}) |\n`;
       md += `\n`;
     }
   } else {
@@ -638,6 +1173,12 @@ function generateReport(mission, context) {
   for (const a of actions) md += `- ${a}\n`;
   md += `\n`;
 
+  if (context.steps?.length > 0) {
+    md += `## Step Tree\n\n`;
+    md += renderStepTree(context.steps);
+    md += `\n`;
+  }
+
   if (properties && Object.keys(properties).length > 0) {
     md += `## Captured Properties\n\n`;
     for (const [k, v] of Object.entries(properties)) {
@@ -706,6 +1247,8 @@ async function runMission(mission, shouldReset, errorIndex = 0) {
   fs.mkdirSync(missionOutDir, { recursive: true });
 
   const context = {
+    missionId: mission.id,
+    tierUsed: sessionTier,
     screenshots: {},
     issues: [],
     actions: [],
@@ -719,13 +1262,19 @@ async function runMission(mission, shouldReset, errorIndex = 0) {
     elapsedSec: 0,
     engineErrors: [],
     stderr: "",
+    steps: [],
+    refCandidates: [],
+    fpsSamples: [],
+    vars: { ...(mission.vars || {}), ...cliVars },
+    startedAt: Date.now(),
+    durationMs: 0,
     _errorIndex: errorIndex,
   };
 
-  const startTime = Date.now();
+  const startTime = context.startedAt;
   console.log(`\n▶ Running mission: ${mission.name}`);
   console.log(`  Goal: ${mission.goal}`);
-  console.log(`  Tier: ${mission.tier_required} | Est: ${mission.estimated_time_sec}s\n`);
+  console.log(`  Tier: ${missionTier(mission)} | Est: ${mission.estimated_time_sec ?? "?"}s\n`);
 
   // Pre-mission reset
   if (shouldReset) {
@@ -750,13 +1299,7 @@ async function runMission(mission, shouldReset, errorIndex = 0) {
   }
 
   try {
-    const totalSteps = mission.steps.length;
-    for (let i = 0; i < totalSteps; i++) {
-      const step = mission.steps[i];
-      process.stdout.write(`  [${i + 1}/${totalSteps}] ${step.action}${step.label ? " (" + step.label + ")" : ""}...`);
-      await executeStep(step, context);
-      console.log(" done");
-    }
+    await runSteps(mission.steps, context, { locals: [], missionVars: mission.vars, stepDefaults: mission.step_defaults, includes: [mission.id] }, context.steps);
   } catch (err) {
     context.issues.push({ severity: "Critical", title: "Mission step failed", detail: err.message });
     console.log(` FAILED: ${err.message}`);
@@ -773,12 +1316,19 @@ async function runMission(mission, shouldReset, errorIndex = 0) {
     }
   } catch (_) { /* get_errors not available */ }
 
+  // One FPS sample per mission, so run comparisons have one even without a runtime_info step
+  try {
+    const info = await sendCommand("runtime_info");
+    if (info.ok) context.fpsSamples.push(info.fps);
+  } catch (_) { /* game gone */ }
+
   // Also capture stderr from the Godot process
-  if (grbProcess && grbProcess.stderrBuffer) {
-    context.stderr = grbProcess.stderrBuffer();
+  if (client?.process?.stderrBuffer) {
+    context.stderr = client.process.stderrBuffer();
   }
 
-  context.elapsedSec = Math.round((Date.now() - startTime) / 1000);
+  context.durationMs = Date.now() - startTime;
+  context.elapsedSec = Math.round(context.durationMs / 1000);
 
   const { md, timestamp } = generateReport(mission, context);
   const reportFile = path.join(missionOutDir, `report-${timestamp}.md`);
@@ -796,11 +1346,7 @@ async function runMission(mission, shouldReset, errorIndex = 0) {
 
 async function main() {
   const missionId = flags.mission;
-  const toRun = missionId === "all"
-    ? missions
-    : missionId === "starters"
-      ? missions.filter(m => m.starter)
-      : missions.filter(m => m.id === missionId);
+  const toRun = selectMissions(missionId);
 
   if (toRun.length === 0) {
     console.error(`Mission not found: ${missionId}`);
@@ -808,6 +1354,11 @@ async function main() {
     process.exit(1);
   }
 
+  const validation = validateMissions(missions, { only: toRun.map(m => m.id), cliVars, refsDir: REFS_DIR });
+  if (validation.errors.length > 0) {
+    console.log(`Warning: ${validation.errors.length} problem(s) in ${path.basename(missionsFile)} — run with --validate for details`);
+  }
+
   // Determine reset behavior:
   //   --reset forces it on, --no-reset forces it off
   //   default: on for multi-mission runs (all/starters), off for single
@@ -822,12 +1373,22 @@ async function main() {
   console.log(`Mode: ${isWatch ? "WATCH (foreground, OS cursor)" : "BACKGROUND (windowed, synthetic input)"}`);
   if (shouldReset) console.log("Reset to home: ENABLED (before each mission)");
 
-  const maxTier = Math.max(...toRun.map(m => m.tier_required));
-  console.log(`Launching game (tier ${maxTier})...`);
-
-  await launchGame(flags.exe, flags.project, maxTier);
-  console.log(`Connected on port ${grbPort}`);
-  await sleep(3000);
+  const maxTier = Math.max(...toRun.map(missionTier));
+  if (attachMode) {
+    console.log(`Attaching to running game on port ${flags.port}...`);
+    const info = await attachGame(flags.port, flags.token);
+    sessionTier = info.tier;
+    console.log(`Connected on port ${client.port} (session tier ${info.tier})`);
+    if (maxTier > info.tier) {
+      console.log(`  Warning: missions need tier ${maxTier} but the game allows tier ${info.tier}; higher-tier steps will fail with tier_denied`);
+    }
+  } else {
+    console.log(`Launching game (tier ${maxTier})...`);
+    const ready = await launchGame(flags.exe, flags.project, maxTier);
+    sessionTier = ready?.tier_default ?? maxTier;
+    console.log(`Connected on port ${client.port}`);
+    await sleep(3000);
+  }
 
   // Auto health-check: query startup errors
   let startupErrors = [];
@@ -858,11 +1419,23 @@ async function main() {
     }
   } catch (_) { /* get_errors not supported by older GRB */ }
 
+  // Engine errors are stamped with the game's own clock (ticks_msec); the
+  // offset to wall time lets the HTML report place them between steps.
+  let engineClockOffsetMs = null;
+  try {
+    const sentAt = Date.now();
+    const info = await sendCommand("runtime_info");
+    if (info.ok && info.ticks_msec != null) engineClockOffsetMs = Math.round((sentAt + Date.now()) / 2) - info.ticks_msec;
+  } catch (_) { /* older GRB has no ticks_msec */ }
+
   let totalIssues = 0;
   const summaries = [];
+  const runResults = [];
+  const runStartedAt = Date.now();
 
   for (const mission of toRun) {
     const result = await runMission(mission, shouldReset, startupErrorIndex);
+    runResults.push({ mission, result });
     totalIssues += result.issues.length;
     summaries.push({
       id: mission.id,
@@ -879,15 +1452,15 @@ async function main() {
   killGame();
 
   // Write overall report
-  const runTimestamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  const runId = resolveRunId(flags["run-id"], runStartedAt);
   const overallPath = path.join(OUTPUT_DIR, "OVERALL.md");
   const overallMd = [
     "# GRB Mission Run — Overall Report",
     "",
     "| Field | Value |",
     "|-------|-------|",
-    `| Run | ${runTimestamp} |`,
-    `| Project | ${flags.project} |`,
+    `| Run | ${runId} |`,
+    attachMode ? `| Game | attached on port ${flags.port} |` : `| Project | ${flags.project} |`,
     `| Missions | ${summaries.length} |`,
     `| Total issues | **${totalIssues}** |`,
     `| Result | ${totalIssues === 0 ? "PASS" : "FAIL"} |`,
@@ -918,6 +1491,32 @@ async function main() {
   overallMd.push("---", "*Generated by Godot Runtime Bridge Mission Runner*");
   fs.writeFileSync(overallPath, overallMd.join("\n"));
 
+  // Failed assert_screen screenshots, for `refs accept`
+  const candidatesPath = writeCandidates(OUTPUT_DIR, runResults.flatMap(({ result }) => result.refCandidates || []));
+
+  // Machine-readable results for CI and the HTML report (--format junit,json,html)
+  const run = {
+    id: runId,
+    startedAt: runStartedAt,
+    finishedAt: Date.now(),
+    target: attachMode ? { port: Number(flags.port) } : { project: flags.project },
+    engineClockOffsetMs,
+    missions: runResults,
+  };
+  const formatPaths = [];
+  for (const f of outputFormats) {
+    const { file, render } = RESULT_FORMATS[f];
+    const outPath = path.join(OUTPUT_DIR, file);
+    fs.writeFileSync(outPath, render(run));
+    formatPaths.push(outPath);
+  }
+
+  // Keep this run for `compare`; OVERALL.md and the formats above are overwritten next run
+  const archiveDir = archiveRun(OUTPUT_DIR, runId, {
+    "results.json": RESULT_FORMATS.json.render(run),
+    "OVERALL.md": overallMd.join("\n"),
+  });
+
   console.log("\n=== Mission Pack Summary ===\n");
   for (const s of summaries) {
     const icon = s.issues > 0 ? "⚠" : "✓";
@@ -926,7 +1525,11 @@ async function main() {
   }
   console.log(`\n  Total issues: ${totalIssues}`);
   console.log(`  Reports: ${OUTPUT_DIR}`);
-  console.log(`  Overall: ${overallPath}\n`);
+  console.log(`  Overall: ${overallPath}`);
+  for (const p of formatPaths) console.log(`  Results: ${p}`);
+  console.log(`  Archived: ${path.relative(__dirname, archiveDir)} — diff against the previous run with \`compare\``);
+  if (candidatesPath) console.log(`  Baselines: ${path.relative(__dirname, candidatesPath)} — review with \`refs pending\`, accept with \`refs accept\``);
+  console.log("");
 
   process.exit(totalIssues > 0 ? 1 : 0);
 }
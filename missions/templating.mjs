@@ -0,0 +1,95 @@
+/**
+ * Godot Runtime Bridge — Mission variables
+ *
+ * `${name}` in any step field is replaced just before the step runs. Names are
+ * looked up in order:
+ *
+ *   1. loop counters (`as` on repeat / loop_until) and include `vars`,
+ *      innermost block first
+ *   2. --var name=value on the command line
+ *   3. the mission's "vars" object
+ *   4. labels captured by earlier steps (get_property, call_method, …)
+ *
+ * Dotted paths reach into values the same way assertions do (`${pos.x}`,
+ * `${inventory.items[0]}`). A field that is exactly "${name}" keeps the value's
+ * type (number, array, …); inside a longer string the value is interpolated.
+ * Write `$${` for a literal `${`.
+ */
+
+import { splitPath, resolvePath } from "./assertions.mjs";
+
+const VAR_RE = /\$\$\{|\$\{([^}]+)\}/g;
+const WHOLE_VAR_RE = /^\$\{([^}]+)\}$/;
+
+/** Steps that run nested step lists rather than sending a command. */
+export const CONTROL_ACTIONS = new Set(["if", "repeat", "loop_until", "include"]);
+
+// Nested step lists of control-flow steps are substituted when they run, so
+// loop counters and values captured inside a loop resolve per iteration. Other
+// steps' fields of the same name (drag's `steps` count) are plain values.
+const NESTED_STEP_KEYS = new Set(["steps", "then", "else"]);
+
+export class UnresolvedVariableError extends Error {}
+
+/**
+ * Parse --var key=value flags. Values are read as JSON when they parse
+ * (numbers, booleans, arrays), otherwise kept as strings.
+ */
+export function parseVarFlags(list = []) {
+  const vars = {};
+  for (const entry of list) {
+    const eq = entry.indexOf("=");
+    if (eq <= 0) throw new UnresolvedVariableError(`--var expects key=value, got "${entry}"`);
+    const raw = entry.slice(eq + 1);
+    let value = raw;
+    try { value = JSON.parse(raw); } catch (_) { /* plain string */ }
+    vars[entry.slice(0, eq).trim()] = value;
+  }
+  return vars;
+}
+
+/** Build a lookup function over the layered variable sources. */
+export function createScope(...layers) {
+  return (name) => {
+    const [head, ...rest] = splitPath(name);
+    for (const layer of layers) {
+      if (layer && Object.prototype.hasOwnProperty.call(layer, head)) {
+        const res = resolvePath(layer[head], rest);
+        if (!res.found) throw new UnresolvedVariableError(`Variable \${${name}}: ${head}.${res.missing} not found`);
+        return res.value;
+      }
+    }
+    throw new UnresolvedVariableError(`Unknown variable \${${name}}`);
+  };
+}
+
+function interpolate(value) {
+  if (typeof value === "string") return value;
+  return JSON.stringify(value);
+}
+
+/** Replace ${name} references throughout `value` (strings, arrays, objects). */
+export function substitute(value, lookup) {
+  if (typeof value === "string") {
+    const whole = value.match(WHOLE_VAR_RE);
+    if (whole) return lookup(whole[1].trim());
+    return value.replace(VAR_RE, (m, name) => (m === "$${" ? "${" : interpolate(lookup(name.trim()))));
+  }
+  if (Array.isArray(value)) return value.map(v => substitute(v, lookup));
+  if (value !== null && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = substitute(v, lookup);
+    return out;
+  }
+  return value;
+}
+
+/** Substitute one step's fields, leaving nested step lists for later. */
+export function substituteStep(step, lookup) {
+  const out = {};
+  const control = CONTROL_ACTIONS.has(step.action);
+  for (const [k, v] of Object.entries(step)) {
+    out[k] = control && NESTED_STEP_KEYS.has(k) ? v : substitute(v, lookup);
+  }
+  return out;
+}
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * assertions.mjs verification — expression parsing, paths and operators.
+ * Parses one-line and structured `assert` steps, checks the syntax errors,
+ * and evaluates every operator against captured values shaped like GRB's
+ * (Godot vectors as "(3, 4)" strings, dictionaries, arrays).
+ * Needs no running game: node missions/test_assertions.mjs
+ */
+
+import { parseAssertion, evaluateAssertion, describeAssertion, parseGodotValue, splitPath, AssertionSyntaxError } from "./assertions.mjs";
+
+function test(name, pass, detail = "") {
+  const icon = pass ? "PASS" : "FAIL";
+  console.log(`  [${icon}] ${name}${detail ? " — " + detail : ""}`);
+  return pass;
+}
+
+// Captured labels, as get_property / call_method store them
+const PROPS = {
+  player: { position: "(120, 48.5)", name: "Hero", hp: 7, alive: true },
+  speed: 3.5004,
+  status_text: "Ready to go",
+  inventory: { items: ["sword", "shield", { id: "potion", count: 3 }], gold: "250" },
+  color: "(1, 0.5, 0, 1)",
+  area: "[P: (10, 20), S: (100, 40)]",
+  empty: "",
+  nothing: null,
+};
+
+function evalExpr(expr) {
+  return evaluateAssertion(PROPS, parseAssertion({ expr }));
+}
+
+function parseError(step) {
+  try {
+    parseAssertion(step);
+    return null;
+  } catch (e) {
+    return e instanceof AssertionSyntaxError ? e.message : `unexpected ${e.constructor.name}: ${e.message}`;
+  }
+}
+
+function main() {
+  let allPass = true;
+  const check = (pass) => { allPass = allPass && pass; };
+
+  console.log("\n=== Expression parsing ===");
+  const ge = parseAssertion({ expr: "player.position.x >= 100" });
+  check(test("path, op and number", ge.path === "player.position.x" && ge.op === ">=" && ge.expected === 100, JSON.stringify(ge)));
+  const le = parseAssertion({ expr: "hp<=5" });
+  check(test("<= is not read as <", le.op === "<=" && le.expected === 5, JSON.stringify(le)));
+  const str = parseAssertion({ expr: 'player.name == "Hero"' });
+  check(test("JSON string literal", str.expected === "Hero"));
+  const quoted = parseAssertion({ expr: "player.name == 'Hero'" });
+  check(test("single-quoted literal", quoted.expected === "Hero"));
+  const bare = parseAssertion({ expr: "player.name == Hero" });
+  check(test("bare word literal", bare.expected === "Hero"));
+  const arr = parseAssertion({ expr: "player.position == [120, 48.5]" });
+  check(test("JSON array literal", Array.isArray(arr.expected) && arr.expected[1] === 48.5));
+  const pm = parseAssertion({ expr: "speed ~= 3.5 ± 0.01" });
+  check(test("~= with ± tolerance", pm.op === "approx" && pm.expected === 3.5 && pm.tolerance === 0.01, JSON.stringify(pm)));
+  const plusMinus = parseAssertion({ expr: "speed ~= 3.5 +- 0.5" });
+  check(test("~= with +- tolerance", plusMinus.tolerance === 0.5));
+  const slash = parseAssertion({ expr: "speed ~= 3.5 +/- 0.25" });
+  check(test("~= with +/- tolerance", slash.tolerance === 0.25));
+  const defaultTol = parseAssertion({ expr: "speed ~= 3.5" });
+  check(test("~= default tolerance", defaultTol.tolerance === 0.001));
+  const re = parseAssertion({ expr: "status_text matches /ready|idle/i" });
+  check(test("regex literal with flags", re.op === "matches" && re.expected === "ready|idle" && re.flags === "i", JSON.stringify(re)));
+  const reOp = parseAssertion({ expr: "status_text =~ /^Ready/" });
+  check(test("=~ is matches", reOp.op === "matches" && reOp.expected === "^Ready"));
+  const unary = parseAssertion({ expr: "player.hp exists" });
+  check(test("unary exists needs no value", unary.op === "exists" && unary.expected === undefined));
+  const words = parseAssertion({ expr: "inventory.items not_contains axe" });
+  check(test("word operator", words.op === "not_contains" && words.expected === "axe"));
+
+  console.log("\n=== Structured steps ===");
+  const structured = parseAssertion({ value: "player.hp", op: "gte", expected: 5 });
+  check(test("value / op alias / expected", structured.path === "player.hp" && structured.op === ">=" && structured.expected === 5));
+  const defOp = parseAssertion({ label: "speed", expected: 3.5 });
+  check(test("label with default ==", defOp.path === "speed" && defOp.op === "=="));
+  const tolStep = parseAssertion({ value: "speed", op: "approx", expected: 3.5, tolerance: 0.1 });
+  check(test("explicit tolerance kept", tolStep.tolerance === 0.1));
+  check(test("describe", describeAssertion(pm) === "speed approx 3.5 ± 0.01", describeAssertion(pm)));
+
+  console.log("\n=== Parse errors ===");
+  const errors = [
+    ["no operator", { expr: "player.hp" }, /Cannot parse/],
+    ["empty expression", { expr: "" }, /Cannot parse/],
+    ["missing value", { expr: "player.hp ==" }, /missing an expected value/],
+    ["unknown structured op", { value: "player.hp", op: "almost", expected: 1 }, /Unknown assertion operator "almost"/],
+    ["structured op without expected", { value: "player.hp", op: ">" }, /missing an expected value/],
+    ["invalid regex", { expr: "status_text matches /(/" }, /Invalid regex/],
+    ["invalid regex flags", { expr: "status_text matches /a/q" }, /Invalid regex/],
+  ];
+  for (const [name, step, pattern] of errors) {
+    const msg = parseError(step);
+    check(test(name, msg !== null && pattern.test(msg), msg ?? "no error"));
+  }
+
+  console.log("\n=== Paths ===");
+  check(test("[i] and .i split the same", splitPath("inventory.items[2].id").join("/") === "inventory/items/2/id"));
+  check(test("vector component from \"(x, y)\"", evalExpr("player.position.y == 48.5").pass));
+  check(test("Color components", evalExpr("color.g == 0.5").pass && evalExpr("color.a == 1").pass));
+  check(test("Rect2 end", evalExpr("area.end.x == 110").pass && evalExpr("area.size.y == 40").pass));
+  check(test("array index", evalExpr("inventory.items[2].count == 3").pass));
+  check(test("array .length", evalExpr("inventory.items.length == 3").pass));
+  check(test("string .length", evalExpr("status_text.length == 11").pass));
+  check(test("dictionary .size", evalExpr("player.size == 4").pass));
+  const missing = evalExpr("player.mana > 0");
+  check(test("missing path fails with its name", !missing.pass && !missing.found && missing.reason === "player.mana not found", missing.reason));
+  const outOfRange = evalExpr("inventory.items[5] == 1");
+  check(test("index out of range", !outOfRange.pass && outOfRange.reason === "inventory.items.5 not found", outOfRange.reason));
+  check(test("parseGodotValue ignores other strings", parseGodotValue("Hero") === null && parseGodotValue("(a, b)") === null));
+
+  console.log("\n=== Operators ===");
+  const cases = [
+    ["== number", "player.hp == 7", true],
+    ["== numeric string", "inventory.gold == 250", true],
+    ["== boolean", "player.alive == true", true],
+    ["== boolean is not 1", "player.alive == 1", false],
+    ["== vector as object", 'player.position == {"x": 120, "y": 48.5}', true],
+    ["== vector as array", "player.position == [120, 48.5]", true],
+    ["== null", "nothing == null", true],
+    ["== dictionary needs every key", 'inventory.items[2] == {"id": "potion"}', false],
+    ["!= different", "player.name != Villain", true],
+    ["!= same", "player.hp != 7", false],
+    ["<", "player.hp < 8", true],
+    ["< equal", "player.hp < 7", false],
+    ["<=", "player.hp <= 7", true],
+    [">", "player.position.x > 119.9", true],
+    [">= numeric string", "inventory.gold >= 300", false],
+    ["~= inside tolerance", "speed ~= 3.5 ± 0.001", true],
+    ["~= outside tolerance", "speed ~= 3.4 ± 0.01", false],
+    ["~= vector", "player.position ~= [120.0004, 48.5]", true],
+    ["contains substring", "status_text contains Ready", true],
+    ["contains array element", "inventory.items contains shield", true],
+    ["contains dictionary key", "inventory contains gold", true],
+    ["!contains", "inventory.items !contains axe", true],
+    ["not_contains present", "inventory.items not_contains sword", false],
+    ["matches", "status_text matches /^ready/i", true],
+    ["matches is case-sensitive by default", "status_text matches /^ready/", false],
+    ["matches non-string", "player.hp =~ /^7$/", true],
+    ["exists", "inventory.items[0] exists", true],
+    ["exists on missing", "player.mana exists", false],
+    ["!exists", "player.mana !exists", true],
+    ["not_exists on present", "player.hp not_exists", false],
+  ];
+  for (const [name, expr, expected] of cases) {
+    const r = evalExpr(expr);
+    check(test(name, r.pass === expected, `${expr} → ${r.pass}${r.reason ? ` (${r.reason})` : ""}`));
+  }
+
+  const notNumber = evalExpr("player.name > 3");
+  check(test("ordering a non-number explains why", !notNumber.pass && notNumber.reason === "actual value is not a number", notNumber.reason));
+  const badExpected = evalExpr("player.hp > lots");
+  check(test("ordering against a non-number explains why", !badExpected.pass && badExpected.reason === "expected value is not a number", badExpected.reason));
+  const offBy = evalExpr("speed ~= 3.4 ± 0.01");
+  check(test("~= failure says how far off", /^off by 0\.1/.test(offBy.reason ?? ""), offBy.reason));
+  const containsNumber = evalExpr("player.hp contains 7");
+  check(test("contains on a number explains why", !containsNumber.pass && /not a string, array or dictionary/.test(containsNumber.reason ?? ""), containsNumber.reason));
+
+  console.log(`\n${allPass ? "All tests passed" : "Some tests FAILED"}\n`);
+  process.exit(allPass ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+/**
+ * perceptual_diff.mjs verification — PNG decoding/encoding and comparison.
+ * Crafts PNG fixtures for every color type, bit depth, filter type and
+ * Adam7 interlacing, and checks they decode to the expected RGBA; then
+ * checks rescaling, each diff algorithm and region masks on synthetic screens.
+ * Needs no running game: node missions/test_perceptual_diff.mjs
+ */
+
+import zlib from "zlib";
+import { decodePng, encodePng, compareScreenshots, deltaE2000, rescaleImage, DIFF_ALGORITHMS } from "./perceptual_diff.mjs";
+
+function test(name, pass, detail = "") {
+  const icon = pass ? "PASS" : "FAIL";
+  console.log(`  [${icon}] ${name}${detail ? " — " + detail : ""}`);
+  return pass;
+}
+
+// ── Fixture writer ──
+
+function crc32(buf) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buf) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const ADAM7 = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+  [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2],
+];
+
+function packRow(samples, depth) {
+  if (depth === 16) {
+    const out = Buffer.alloc(samples.length * 2);
+    samples.forEach((v, i) => out.writeUInt16BE(v, i * 2));
+    return out;
+  }
+  const out = Buffer.alloc(Math.ceil(samples.length * depth / 8));
+  samples.forEach((v, i) => {
+    const bit = i * depth;
+    out[bit >> 3] |= v << (8 - depth - (bit & 7));
+  });
+  return out;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+// Filter a row with `type`; rows cycle through all five filters.
+function filterRow(row, prev, type, bpp) {
+  const out = Buffer.alloc(row.length + 1);
+  out[0] = type;
+  for (let x = 0; x < row.length; x++) {
+    const a = x >= bpp ? row[x - bpp] : 0;
+    const b = prev ? prev[x] : 0;
+    const c = x >= bpp && prev ? prev[x - bpp] : 0;
+    const pred = [0, a, b, (a + b) >> 1, paeth(a, b, c)][type];
+    out[x + 1] = (row[x] - pred) & 0xFF;
+  }
+  return out;
+}
+
+/**
+ * Build a PNG file. `sample(x, y)` returns the raw samples of one pixel
+ * (palette index, gray, gray+alpha, RGB or RGBA at the given depth).
+ */
+function craftPng({ width, height, colorType, depth, interlace = false, palette, trns, sample }) {
+  const channels = CHANNELS[colorType];
+  const bpp = Math.max(1, (channels * depth) >> 3);
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = depth;
+  ihdr[9] = colorType;
+  ihdr[12] = interlace ? 1 : 0;
+
+  const scanlines = [];
+  let rowIndex = 0;
+  for (const [xs, ys, dx, dy] of interlace ? ADAM7 : [[0, 0, 1, 1]]) {
+    let prev = null;
+    for (let y = ys; y < height; y += dy) {
+      const samples = [];
+      for (let x = xs; x < width; x += dx) samples.push(...sample(x, y));
+      if (samples.length === 0) continue;
+      const row = packRow(samples, depth);
+      scanlines.push(filterRow(row, prev, rowIndex++ % 5, bpp));
+      prev = row;
+    }
+  }
+
+  const parts = [Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), chunk("IHDR", ihdr)];
+  if (palette) parts.push(chunk("PLTE", Buffer.from(palette.flat())));
+  if (trns) parts.push(chunk("tRNS", Buffer.from(trns)));
+  // Split image data over two IDAT chunks to exercise concatenation
+  const idat = zlib.deflateSync(Buffer.concat(scanlines));
+  const half = idat.length >> 1;
+  parts.push(chunk("IDAT", idat.subarray(0, half)), chunk("IDAT", idat.subarray(half)), chunk("IEND", Buffer.alloc(0)));
+  return Buffer.concat(parts);
+}
+
+// ── Checks ──
+
+function firstMismatch(img, expected) {
+  for (let y = 0; y < img.height; y++) {
+    for (let x = 0; x < img.width; x++) {
+      const o = (y * img.width + x) * 4;
+      const got = [...img.pixels.subarray(o, o + 4)];
+      const want = expected(x, y);
+      if (got.some((v, i) => v !== want[i])) return `(${x},${y}) got [${got}] want [${want}]`;
+    }
+  }
+  return null;
+}
+
+function checkDecode(name, fixture, expected) {
+  let img;
+  try {
+    img = decodePng(craftPng(fixture));
+  } catch (e) {
+    return test(name, false, e.message);
+  }
+  if (img.width !== fixture.width || img.height !== fixture.height) {
+    return test(name, false, `size ${img.width}x${img.height}`);
+  }
+  const miss = firstMismatch(img, expected);
+  return test(name, !miss, miss || `${fixture.width}x${fixture.height}`);
+}
+
+function checkThrows(name, buf, pattern) {
+  try {
+    decodePng(buf);
+    return test(name, false, "decoded without error");
+  } catch (e) {
+    return test(name, pattern.test(e.message), e.message);
+  }
+}
+
+// A 96x64 gray screen with a bordered, striped "button" at (x, 24);
+// `scale` renders the same layout larger.
+function screen({ buttonX = 24, button = true, scale = 1 } = {}) {
+  const w = 96 * scale, h = 64 * scale;
+  const rgba = Buffer.alloc(w * h * 4);
+  for (let py = 0; py < h; py++) {
+    const y = Math.floor(py / scale);
+    for (let px = 0; px < w; px++) {
+      const o = (py * w + px) * 4;
+      const x = Math.floor(px / scale);
+      let v = 90;
+      const inside = button && x >= buttonX && x < buttonX + 32 && y >= 24 && y < 40;
+      if (inside) {
+        const border = x === buttonX || x === buttonX + 31 || y === 24 || y === 39;
+        v = border ? 250 : (y % 4 < 2 ? 40 : 140);
+      }
+      rgba[o] = rgba[o + 1] = rgba[o + 2] = v;
+      rgba[o + 3] = 255;
+    }
+  }
+  return encodePng(rgba, w, h).toString("base64");
+}
+
+// Same screen, but the button area replaced by a flat fill of its average color
+function screenWithoutButton() {
+  const png = decodePng(screen());
+  let sum = 0;
+  for (let y = 24; y < 40; y++) for (let x = 24; x < 56; x++) sum += png.pixels[(y * 96 + x) * 4];
+  const avg = Math.round(sum / (16 * 32));
+  for (let y = 24; y < 40; y++) {
+    for (let x = 24; x < 56; x++) {
+      const o = (y * 96 + x) * 4;
+      png.pixels[o] = png.pixels[o + 1] = png.pixels[o + 2] = avg;
+    }
+  }
+  return encodePng(png.pixels, 96, 64).toString("base64");
+}
+
+const scale = (v, depth) => Math.round(v * 255 / ((1 << depth) - 1));
+const PALETTE = [[0, 0, 0], [255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 255, 0], [0, 255, 255], [255, 0, 255], [128, 128, 128],
+  [10, 20, 30], [40, 50, 60], [70, 80, 90], [100, 110, 120], [130, 140, 150], [160, 170, 180], [190, 200, 210], [220, 230, 240]];
+
+function main() {
+  let allPass = true;
+  const check = (pass) => { allPass = allPass && pass; };
+
+  for (const interlace of [false, true]) {
+    const tag = interlace ? " (Adam7)" : "";
+    const sizes = interlace ? [[1, 1], [3, 5], [13, 11]] : [[13, 11]];
+    for (const [width, height] of sizes) {
+      const size = { width, height, interlace };
+      console.log(`\n=== ${width}x${height}${tag} ===`);
+
+      // Grayscale at every depth
+      for (const depth of [1, 2, 4, 8, 16]) {
+        const max = (1 << depth) - 1;
+        const v = (x, y) => (x * 7 + y * 3) % (max + 1);
+        check(checkDecode(`gray ${depth}-bit${tag}`, { ...size, colorType: 0, depth, sample: (x, y) => [v(x, y)] },
+          (x, y) => { const g = depth === 16 ? v(x, y) >> 8 : scale(v(x, y), depth); return [g, g, g, 255]; }));
+      }
+
+      // Gray with tRNS color key
+      check(checkDecode(`gray 4-bit + tRNS${tag}`, { ...size, colorType: 0, depth: 4, trns: [0, 5], sample: (x, y) => [(x + y) % 16] },
+        (x, y) => { const g = scale((x + y) % 16, 4); return [g, g, g, (x + y) % 16 === 5 ? 0 : 255]; }));
+
+      // Palette at every depth, with partial tRNS
+      for (const depth of [1, 2, 4, 8]) {
+        const n = Math.min(1 << depth, PALETTE.length);
+        const idx = (x, y) => (x + y * 2) % n;
+        const alpha = [0, 128];
+        check(checkDecode(`palette ${depth}-bit + tRNS${tag}`,
+          { ...size, colorType: 3, depth, palette: PALETTE.slice(0, n), trns: alpha, sample: (x, y) => [idx(x, y)] },
+          (x, y) => [...PALETTE[idx(x, y)], alpha[idx(x, y)] ?? 255]));
+      }
+
+      // RGB / RGBA / gray+alpha at 8 and 16 bits
+      const c8 = (x, y, k) => (x * 37 + y * 11 + k * 71) & 0xFF;
+      const c16 = (x, y, k) => (x * 4099 + y * 257 + k * 9001) & 0xFFFF;
+      check(checkDecode(`RGB 8-bit${tag}`, { ...size, colorType: 2, depth: 8, sample: (x, y) => [0, 1, 2].map(k => c8(x, y, k)) },
+        (x, y) => [c8(x, y, 0), c8(x, y, 1), c8(x, y, 2), 255]));
+      check(checkDecode(`RGB 16-bit${tag}`, { ...size, colorType: 2, depth: 16, sample: (x, y) => [0, 1, 2].map(k => c16(x, y, k)) },
+        (x, y) => [c16(x, y, 0) >> 8, c16(x, y, 1) >> 8, c16(x, y, 2) >> 8, 255]));
+      check(checkDecode(`RGBA 8-bit${tag}`, { ...size, colorType: 6, depth: 8, sample: (x, y) => [0, 1, 2, 3].map(k => c8(x, y, k)) },
+        (x, y) => [0, 1, 2, 3].map(k => c8(x, y, k))));
+      check(checkDecode(`RGBA 16-bit${tag}`, { ...size, colorType: 6, depth: 16, sample: (x, y) => [0, 1, 2, 3].map(k => c16(x, y, k)) },
+        (x, y) => [0, 1, 2, 3].map(k => c16(x, y, k) >> 8)));
+      check(checkDecode(`gray+alpha 8-bit${tag}`, { ...size, colorType: 4, depth: 8, sample: (x, y) => [c8(x, y, 0), c8(x, y, 3)] },
+        (x, y) => [c8(x, y, 0), c8(x, y, 0), c8(x, y, 0), c8(x, y, 3)]));
+      check(checkDecode(`gray+alpha 16-bit${tag}`, { ...size, colorType: 4, depth: 16, sample: (x, y) => [c16(x, y, 0), c16(x, y, 3)] },
+        (x, y) => { const g = c16(x, y, 0) >> 8; return [g, g, g, c16(x, y, 3) >> 8]; }));
+    }
+  }
+
+  // RGB tRNS key is compared at full 16-bit precision
+  console.log("\n=== tRNS color keys ===");
+  check(checkDecode("RGB 16-bit + tRNS", {
+    width: 4, height: 1, colorType: 2, depth: 16, trns: [0x12, 0x34, 0, 0, 0xFF, 0xFF],
+    sample: (x) => x === 0 ? [0x1234, 0, 0xFFFF] : [0x1235, 0, 0xFFFF],
+  }, (x) => x === 0 ? [0x12, 0, 0xFF, 0] : [0x12, 0, 0xFF, 255]));
+
+  console.log("\n=== Malformed input ===");
+  const good = craftPng({ width: 2, height: 2, colorType: 2, depth: 8, sample: () => [1, 2, 3] });
+  check(checkThrows("bad signature", Buffer.from("not a png at all"), /signature/));
+  check(checkThrows("RGB at 4-bit", craftPng({ width: 2, height: 2, colorType: 2, depth: 4, sample: () => [1, 2, 3] }), /bit depth 4/));
+  check(checkThrows("palette without PLTE", craftPng({ width: 2, height: 2, colorType: 3, depth: 8, sample: () => [0] }), /PLTE/));
+  check(checkThrows("palette index out of range",
+    craftPng({ width: 2, height: 1, colorType: 3, depth: 8, palette: [[1, 2, 3]], sample: (x) => [x * 5] }), /index 5/));
+  check(checkThrows("truncated image data", Buffer.concat([good.subarray(0, 33),
+    chunk("IDAT", zlib.deflateSync(Buffer.alloc(3))), chunk("IEND", Buffer.alloc(0))]), /truncated/));
+
+  console.log("\n=== Encoder and comparison ===");
+  const rgba = Buffer.alloc(20 * 10 * 4);
+  for (let i = 0; i < rgba.length; i++) rgba[i] = (i * 13) & 0xFF;
+  const round = decodePng(encodePng(rgba, 20, 10));
+  check(test("encodePng round trip", round.width === 20 && round.height === 10 && round.pixels.equals(rgba)));
+  check(test("decodePng accepts base64", decodePng(encodePng(rgba, 20, 10).toString("base64")).pixels.equals(rgba)));
+
+  // The motivating case: a palette export of a screen must match the RGB screenshot of it
+  const idxAt = (x, y) => (Math.floor(x / 8) + Math.floor(y / 8)) % 4;
+  const asPalette = craftPng({ width: 32, height: 32, colorType: 3, depth: 2, interlace: true, palette: PALETTE.slice(0, 4), sample: (x, y) => [idxAt(x, y)] });
+  const asRgb = craftPng({ width: 32, height: 32, colorType: 2, depth: 8, sample: (x, y) => PALETTE[idxAt(x, y)] });
+  const cmp = compareScreenshots(asPalette.toString("base64"), asRgb.toString("base64"));
+  check(test("interlaced palette PNG matches RGB screenshot", !cmp.changed && cmp.changedBlocks === 0, cmp.detail));
+
+  console.log("\n=== CIEDE2000 (Sharma et al. test data) ===");
+  const sharma = [
+    [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+    [[50, -1.3802, -84.2814], [50, 0, -82.7485], 1.0],
+    [[50, 2.5, 0], [50, 0, -2.5], 4.3065],
+    [[50, 2.5, 0], [73, 25, -18], 27.1492],
+    [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+    [[22.7233, 20.0904, -46.694], [23.0331, 14.973, -42.5619], 2.0373],
+  ];
+  for (const [c1, c2, want] of sharma) {
+    const got = deltaE2000(...c1, ...c2);
+    check(test(`ΔE00 ${c1.join(",")} vs ${c2.join(",")}`, Math.abs(got - want) < 1e-4, `${got.toFixed(4)} (want ${want})`));
+  }
+
+  console.log("\n=== Algorithms ===");
+  const base = screen();
+  for (const algorithm of DIFF_ALGORITHMS) {
+    const same = compareScreenshots(base, base, { algorithm });
+    check(test(`${algorithm}: identical screens`, !same.changed && same.changedBlocks === 0, same.detail));
+    const missing = compareScreenshots(base, screenWithoutButton(), { algorithm });
+    check(test(`${algorithm}: missing button detected`, missing.changed, missing.detail));
+  }
+  const shifted = screen({ buttonX: 25 });
+  const blockShift = compareScreenshots(base, shifted, { algorithm: "block" });
+  check(test("block: 1px shift counts as a change", blockShift.changed, blockShift.detail));
+  const edgeShift = compareScreenshots(base, shifted, { algorithm: "edges" });
+  check(test("edges: 1px shift tolerated", !edgeShift.changed && edgeShift.score === 1, edgeShift.detail));
+  const ssimMissing = compareScreenshots(base, screenWithoutButton(), { algorithm: "ssim" });
+  check(test("ssim: score reported", ssimMissing.score < 1 && /SSIM 0\.\d{4}/.test(ssimMissing.detail), ssimMissing.detail));
+  const unknown = compareScreenshots(base, base, { algorithm: "psnr" });
+  check(test("unknown algorithm rejected", unknown.changed && /unknown algorithm "psnr"/.test(unknown.detail), unknown.detail));
+
+  console.log("\n=== Rescaling ===");
+  const gray = (values, w, h) => {
+    const pixels = Buffer.alloc(w * h * 4);
+    values.forEach((v, i) => { pixels.fill(v, i * 4, i * 4 + 3); pixels[i * 4 + 3] = 255; });
+    return { pixels, width: w, height: h };
+  };
+  const red = (img) => [...Array(img.width * img.height).keys()].map(i => img.pixels[i * 4]);
+  const down = rescaleImage(gray([0, 40, 80, 120, 10, 50, 90, 130, 200, 200, 0, 0, 200, 200, 0, 0], 4, 4), 2, 2);
+  check(test("4x4 → 2x2 averages each 2x2 quad", red(down).join() === "25,105,200,0", red(down).join()));
+  const third = rescaleImage(gray([0, 90, 180], 3, 1), 2, 1);
+  check(test("3 → 2 weights partial coverage", red(third).join() === "30,150", red(third).join()));
+  const up = rescaleImage(gray([10, 20], 2, 1), 4, 1);
+  check(test("2 → 4 repeats pixels", red(up).join() === "10,10,20,20", red(up).join()));
+
+  const big = screen({ scale: 2 });
+  const strict = compareScreenshots(big, base);
+  check(test("size mismatch without rescale", strict.changed && /dimension mismatch: 192x128 vs 96x64/.test(strict.detail), strict.detail));
+  const scaled = compareScreenshots(big, base, { rescale: true });
+  check(test("2x screen matches after rescale", !scaled.changed && /a 192x128 rescaled to 96x64/.test(scaled.detail), scaled.detail));
+  const scaledGone = compareScreenshots(screen({ scale: 2, button: false }), base, { rescale: true });
+  check(test("change still found after rescale", scaledGone.changed, scaledGone.detail));
+  const scaledMask = compareScreenshots(screen({ scale: 2, button: false }), base, { rescale: true, ignore: [{ x: 40, y: 40, w: 80, h: 48 }] });
+  check(test("regions scale with the image", !scaledMask.changed, scaledMask.detail));
+
+  console.log("\n=== Regions ===");
+  const gone = screen({ button: false });
+  const masked = compareScreenshots(base, gone, { ignore: [{ x: 20, y: 20, w: 40, h: 24 }] });
+  check(test("ignore rectangle hides the change", !masked.changed && /masked out/.test(masked.detail), masked.detail));
+  const elsewhere = compareScreenshots(base, gone, { include: [{ x: 60, y: 0, w: 36, h: 64 }] });
+  check(test("include rectangle away from the change", !elsewhere.changed, elsewhere.detail));
+  const over = compareScreenshots(base, gone, { include: [{ x: 24, y: 24, w: 8, h: 8 }] });
+  check(test("include rectangle over the change", over.changed && over.totalBlocks === 1, over.detail));
+  const nothing = compareScreenshots(base, gone, { include: [{ x: 0, y: 0, w: 8, h: 8 }], ignore: [{ x: 0, y: 0, w: 96, h: 64 }] });
+  check(test("regions leaving nothing are an error", nothing.changed && /nothing to compare/.test(nothing.detail), nothing.detail));
+
+  console.log(`\n${allPass ? "All tests passed" : "Some tests FAILED"}\n`);
+  process.exit(allPass ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,624 @@
+#!/usr/bin/env node
+/**
+ * Godot Runtime Bridge — Missions file validation
+ *
+ * Lints a missions file before anything is launched: unknown actions, missing
+ * or mistyped step fields, labels used before any step captures them, include
+ * targets, and tier_required lower than the commands the mission sends.
+ *
+ * ACTION_SPECS is the single description of every step type. It drives the
+ * checks below and generates missions.schema.json:
+ *
+ *   node missions/validate_missions.mjs --write-schema
+ *
+ * The runner exposes validation as `run_mission.mjs --validate`.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { COMMAND_TIERS, KEY_MODIFIERS, MOUSE_BUTTONS, POINTER_ANCHORS, TOUCH_TYPES } from "../mcp/grb_client.js";
+import { parseAssertion, splitPath } from "./assertions.mjs";
+import { DIFF_ALGORITHMS } from "./perceptual_diff.mjs";
+import { listReferences } from "./references.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const SCHEMA_FILE = path.join(__dirname, "missions.schema.json");
+
+export const SEVERITIES = ["Critical", "Major", "Minor"];
+
+// ── Step specs ──
+//
+// fields     field → type (string | number | integer | boolean | array | object | steps | severity | algorithm | regions | any)
+// required   fields that must be present
+// anyOf      groups where at least one field must be present
+// commands   bridge commands the step sends (for the tier check)
+// produces   { kind, field } — label the step captures; fallbackField / fallback name what is used when it is absent
+// consumes   [{ kind, field }] — labels the step reads
+// condition  step takes assert/if condition fields
+
+const COMMON_FIELDS = {
+  action: "string", label: "string", severity: "severity", issue_title: "string", comment: "string",
+  timeout_ms: "number", retries: "integer", retry_backoff_ms: "number", continue_on_error: "boolean",
+};
+
+const CONDITION_FIELDS = {
+  expr: "string", value: "string", path: "string", op: "string", expected: "any",
+  tolerance: "number", flags: "string", node: "string", property: "string", find: "object",
+};
+
+// One entry of a touch step's "fingers"
+const FINGER_FIELDS = { points: "points", index: "integer", delay_ms: "number", duration_ms: "number", steps: "integer" };
+
+export const ACTION_SPECS = {
+  screenshot: { commands: ["screenshot"], required: ["label"], produces: { kind: "screenshot", field: "label" } },
+  wait: { fields: { ms: "number" } },
+  scene_tree: { commands: ["scene_tree"], fields: { max_depth: "integer" }, produces: { kind: "tree", field: "label", fallback: "default" } },
+  runtime_info: { commands: ["runtime_info"] },
+  check_errors: { commands: ["get_errors"], fields: { since_index: "integer", allow_errors: "boolean" } },
+  click: {
+    commands: ["click"],
+    anyOf: [["x", "node", "find"], ["y", "node", "find"]],
+    fields: {
+      x: "number", y: "number", node: "string", find: "object", anchor: "anchor", offset: "array", button: "button", double: "boolean",
+    },
+  },
+  hover: {
+    commands: ["hover"],
+    anyOf: [["x", "node", "find"], ["y", "node", "find"]],
+    fields: {
+      x: "number", y: "number", node: "string", find: "object", anchor: "anchor", offset: "array",
+      from: "point", waypoints: "points", duration_ms: "number", steps: "integer",
+    },
+  },
+  drag: {
+    commands: ["drag"],
+    required: ["from", "to"],
+    fields: { from: "point", to: "point", waypoints: "points", duration_ms: "number", steps: "integer", button: "button" },
+  },
+  touch: {
+    commands: ["touch"],
+    required: ["type"],
+    fields: {
+      type: "touch_type", at: "point", index: "integer", hold_ms: "number", center: "point",
+      start_distance: "number", end_distance: "number", distance: "number", angle: "number", degrees: "number",
+      fingers: "fingers", duration_ms: "number", steps: "integer",
+    },
+  },
+  key: { commands: ["key"], required: ["args"], fields: { args: "object" } },
+  type_text: { commands: ["type_text"], required: ["text"], fields: { text: "string", interval_ms: "number" } },
+  press_button: { commands: ["press_button"], required: ["name"], fields: { name: "string", optional: "boolean" } },
+  find_buttons: { commands: ["scene_tree"] },
+  click_first_button: { commands: ["press_button"] },
+  screenshot_diff: {
+    required: ["a", "b"],
+    fields: {
+      a: "string", b: "string", algorithm: "algorithm", block_thresh: "number", change_thresh: "number", expect_same: "boolean",
+      ignore_regions: "regions", include_regions: "regions",
+    },
+    consumes: [{ kind: "screenshot", field: "a" }, { kind: "screenshot", field: "b" }],
+  },
+  scene_tree_diff: {
+    required: ["a", "b"],
+    fields: { a: "string", b: "string" },
+    consumes: [{ kind: "tree", field: "a" }, { kind: "tree", field: "b" }],
+  },
+  rapid_input: { commands: ["click", "key"], required: ["inputs"], fields: { inputs: "array" } },
+  grid_click: { commands: ["click"], fields: { cols: "integer", rows: "integer", delay: "number" } },
+  check_runtime: { commands: ["runtime_info"], fields: { min_fps: "number" } },
+  find_nodes: {
+    commands: ["find_nodes"],
+    anyOf: [["name", "type", "group"]],
+    fields: { name: "string", type: "string", group: "string", limit: "integer" },
+    produces: { kind: "property", field: "label" },
+  },
+  grb_performance: { commands: ["grb_performance"], produces: { kind: "property", field: "label" } },
+  audio_state: { commands: ["audio_state"], produces: { kind: "property", field: "label" } },
+  get_property: {
+    commands: ["get_property"],
+    required: ["node", "property"],
+    fields: { node: "string", property: "string" },
+    produces: { kind: "property", field: "label", fallbackField: "property" },
+  },
+  assert_property: { required: ["label", "expected"], fields: { expected: "any" }, consumes: [{ kind: "property", field: "label" }] },
+  assert: { condition: true },
+  assert_screen: {
+    commands: ["screenshot"],
+    required: ["ref"],
+    fields: {
+      ref: "string", algorithm: "algorithm", block_thresh: "number", match_thresh: "number", rescale: "boolean",
+      ignore_regions: "regions", include_regions: "regions",
+    },
+    consumes: [{ kind: "reference", field: "ref" }],
+  },
+  save_reference: { commands: ["screenshot"], required: ["ref"], fields: { ref: "string" }, produces: { kind: "reference", field: "ref" } },
+  set_property: { commands: ["set_property"], required: ["node", "property", "value"], fields: { node: "string", property: "string", value: "any" } },
+  call_method: {
+    commands: ["call_method"],
+    required: ["node", "method"],
+    fields: { node: "string", method: "string", args: "array", expect_result: "boolean" },
+    produces: { kind: "property", field: "label" },
+  },
+  inject_voice: { commands: ["call_method"], anyOf: [["phrase", "text"]], fields: { phrase: "string", text: "string", wait_after_ms: "number" } },
+  check_spirit_response: { commands: ["call_method"], produces: { kind: "property", field: "label" } },
+  check_ghost_rendered: { commands: ["call_method"], fields: { require_visible: "boolean" }, produces: { kind: "property", field: "label" } },
+  reset_to_title: { commands: ["key", "scene_tree", "screenshot"] },
+
+  if: { condition: true, required: ["then"], fields: { then: "steps", else: "steps" } },
+  repeat: { required: ["times", "steps"], fields: { times: "integer", steps: "steps", as: "string" } },
+  loop_until: { condition: true, required: ["steps"], fields: { steps: "steps", max_attempts: "integer", interval_ms: "number", as: "string" } },
+  include: { required: ["mission"], fields: { mission: "string", vars: "object" } },
+};
+
+const MISSION_FIELDS = {
+  id: "string", name: "string", goal: "string", steps: "steps", tier_required: "integer",
+  estimated_time_sec: "number", starter: "boolean", vars: "object", step_defaults: "object", comment: "string",
+};
+const MISSION_REQUIRED = ["id", "name", "steps"];
+
+function fieldsOf(spec) {
+  return { ...COMMON_FIELDS, ...(spec.condition ? CONDITION_FIELDS : {}), ...(spec.fields || {}) };
+}
+
+// ── Type checks ──
+
+const TEMPLATE_RE = /\$\{[^}]+\}/;
+
+function isTemplate(v) {
+  return typeof v === "string" && TEMPLATE_RE.test(v);
+}
+
+const isXY = (v) => Array.isArray(v) && v.length === 2 && v.every(n => checkType(n, "number"));
+
+// A drag end: [x, y], a NodePath, or {node | find, anchor, offset}
+function isPoint(p) {
+  if (isXY(p) || typeof p === "string") return true;
+  if (p === null || typeof p !== "object" || Array.isArray(p)) return false;
+  if (typeof p.node !== "string" && !checkType(p.find, "object")) return false;
+  return (p.anchor == null || checkType(p.anchor, "anchor")) && (p.offset == null || isXY(p.offset) || isTemplate(p.offset));
+}
+
+// A screen region: {x, y, w, h} in pixels, or {node, pad} for a Control's rect.
+function isRegion(r) {
+  if (r === null || typeof r !== "object" || Array.isArray(r)) return false;
+  if (r.node != null) return typeof r.node === "string" && (r.pad == null || checkType(r.pad, "number"));
+  return ["x", "y", "w", "h"].every(k => checkType(r[k], "number"));
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case "any": return true;
+    case "string": return typeof value === "string";
+    case "number": return typeof value === "number" || isTemplate(value);
+    case "integer": return Number.isInteger(value) || isTemplate(value);
+    case "boolean": return typeof value === "boolean" || isTemplate(value);
+    case "array": return Array.isArray(value) || isTemplate(value);
+    case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "steps": return Array.isArray(value);
+    case "severity": return SEVERITIES.includes(value) || isTemplate(value);
+    case "algorithm": return DIFF_ALGORITHMS.includes(value) || isTemplate(value);
+    case "regions": return (Array.isArray(value) && value.every(isRegion)) || isTemplate(value);
+    case "anchor": return POINTER_ANCHORS.includes(value) || isXY(value) || isTemplate(value);
+    case "button": return MOUSE_BUTTONS.includes(value) || isTemplate(value);
+    case "point": return isPoint(value) || isTemplate(value);
+    case "points": return (Array.isArray(value) && value.every(p => checkType(p, "point"))) || isTemplate(value);
+    case "touch_type": return TOUCH_TYPES.includes(value) || isTemplate(value);
+    // Each finger's fields are checked by checkTouchArgs
+    case "fingers": return (Array.isArray(value) && value.every(f => checkType(f, "object"))) || isTemplate(value);
+  }
+  return true;
+}
+
+function typeName(type) {
+  if (type === "severity") return `one of ${SEVERITIES.join(", ")}`;
+  if (type === "algorithm") return `one of ${DIFF_ALGORITHMS.join(", ")}`;
+  if (type === "steps") return "an array of steps";
+  if (type === "regions") return "an array of {x, y, w, h} rectangles or {node, pad} entries";
+  if (type === "anchor") return `one of ${POINTER_ANCHORS.join(", ")}, or [fx, fy]`;
+  if (type === "button") return `one of ${MOUSE_BUTTONS.join(", ")}`;
+  if (type === "point") return "[x, y], a NodePath, or {node | find, anchor, offset}";
+  if (type === "points") return "an array of [x, y], NodePaths, or {node | find, anchor, offset}";
+  if (type === "touch_type") return `one of ${TOUCH_TYPES.join(", ")}`;
+  if (type === "fingers") return "an array of {points, index, delay_ms, duration_ms, steps} objects";
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function templateNames(value, out = []) {
+  if (typeof value === "string") {
+    for (const m of value.matchAll(/\$\{([^}]+)\}/g)) out.push(splitPath(m[1].trim())[0]);
+  } else if (Array.isArray(value)) {
+    for (const v of value) templateNames(v, out);
+  } else if (value !== null && typeof value === "object") {
+    for (const v of Object.values(value)) templateNames(v, out);
+  }
+  return out;
+}
+
+// ── Validation ──
+
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// " (did you mean "x"?)" when a candidate is within two edits
+function suggest(word, candidates) {
+  let best = null, bestDist = 3;
+  for (const c of candidates) {
+    const dist = editDistance(word, c);
+    if (dist < bestDist) { best = c; bestDist = dist; }
+  }
+  return best ? ` (did you mean "${best}"?)` : "";
+}
+
+function newState(references = []) {
+  return {
+    labels: { screenshot: new Set(), tree: new Set(), property: new Set(), reference: new Set(references) },
+    dynamic: new Set(),
+    tier: 0,
+    tierStep: null,
+  };
+}
+
+function existingReferences(refsDir) {
+  return [...listReferences(refsDir).keys()];
+}
+
+/**
+ * Validate `missions` (the parsed missions file). `only` limits the check to
+ * some mission ids (included missions are still followed). Returns
+ * { errors, warnings }, each a list of { mission, at, message }.
+ */
+export function validateMissions(missions, { only = null, cliVars = {}, refsDir = null } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!Array.isArray(missions)) {
+    errors.push({ mission: null, at: "", message: "missions file must be a JSON array of missions" });
+    return { errors, warnings };
+  }
+
+  const byId = new Map();
+  missions.forEach((m, i) => {
+    const id = m?.id ?? `#${i}`;
+    if (m?.id && byId.has(m.id)) errors.push({ mission: id, at: "id", message: `duplicate mission id "${m.id}"` });
+    if (m?.id) byId.set(m.id, m);
+  });
+  const refsOnDisk = existingReferences(refsDir);
+
+  missions.forEach((mission, i) => {
+    const id = mission?.id ?? `#${i}`;
+    if (only && !only.includes(mission?.id)) return;
+    const err = (at, message) => errors.push({ mission: id, at, message });
+    const warn = (at, message) => warnings.push({ mission: id, at, message });
+
+    if (mission === null || typeof mission !== "object" || Array.isArray(mission)) {
+      err("", "mission must be an object");
+      return;
+    }
+    for (const f of MISSION_REQUIRED) if (mission[f] == null) err(f, `missing required field "${f}"`);
+    for (const [k, v] of Object.entries(mission)) {
+      if (!(k in MISSION_FIELDS)) warn(k, `unknown mission field "${k}"${suggest(k, Object.keys(MISSION_FIELDS))}`);
+      else if (!checkType(v, MISSION_FIELDS[k])) err(k, `"${k}" should be ${typeName(MISSION_FIELDS[k])}`);
+    }
+    if (mission.tier_required != null && (mission.tier_required < 0 || mission.tier_required > 3)) {
+      err("tier_required", "tier_required must be 0-3");
+    }
+    if (!Array.isArray(mission.steps)) return;
+
+    const state = newState(refsOnDisk);
+    const locals = new Set([...Object.keys(cliVars), ...Object.keys(mission.vars || {})]);
+    walkSteps(mission.steps, "steps", { state, locals, chain: [mission.id], byId, err, warn });
+
+    if (mission.tier_required != null && mission.tier_required < state.tier) {
+      err("tier_required", `tier_required is ${mission.tier_required} but ${state.tierStep} needs tier ${state.tier}`);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+function walkSteps(steps, at, ctx) {
+  steps.forEach((step, i) => validateStep(step, `${at}[${i}]`, ctx));
+}
+
+// key args: one of action / key / keycode, and modifier names the game knows.
+// "ctrl++" is the chord for Ctrl and the plus key.
+function checkKeyArgs(args, at, { err }) {
+  if (args.action == null && args.key == null && args.keycode == null) {
+    err(at, 'key: "args" needs "action", "key" or "keycode"');
+  }
+  const mods = [...(Array.isArray(args.modifiers) ? args.modifiers : [])];
+  if (typeof args.key === "string" && !isTemplate(args.key)) {
+    const parts = args.key.endsWith("++") ? [...args.key.slice(0, -2).split("+"), "+"] : args.key.split("+");
+    mods.push(...parts.slice(0, -1));
+  }
+  for (const m of mods) {
+    if (typeof m === "string" && !isTemplate(m) && !KEY_MODIFIERS.includes(m.trim().toLowerCase())) {
+      err(at, `key: unknown modifier "${m}"${suggest(m, KEY_MODIFIERS)}`);
+    }
+  }
+}
+
+// touch: the point each type needs.
+const TOUCH_NEEDS = { tap: "at", long_press: "at", pinch: "center", rotate: "center", paths: "fingers" };
+
+function checkTouchArgs(step, at, { err, warn }) {
+  const need = TOUCH_NEEDS[step.type];
+  if (need && step[need] == null) err(at, `touch: "${step.type}" needs "${need}"`);
+  if (!Array.isArray(step.fingers)) return;
+  step.fingers.forEach((finger, i) => {
+    if (!checkType(finger, "object")) return;
+    if (finger.points == null) err(at, `touch: "fingers[${i}]" is missing "points"`);
+    for (const [k, v] of Object.entries(finger)) {
+      if (!(k in FINGER_FIELDS)) warn(at, `touch: unknown field "fingers[${i}].${k}"${suggest(k, Object.keys(FINGER_FIELDS))}`);
+      else if (!checkType(v, FINGER_FIELDS[k])) err(at, `touch: "fingers[${i}].${k}" should be ${typeName(FINGER_FIELDS[k])}`);
+    }
+  });
+}
+
+function validateStep(step, at, ctx) {
+  const { state, locals, err, warn } = ctx;
+  if (step === null || typeof step !== "object" || Array.isArray(step)) {
+    err(at, "step must be an object");
+    return;
+  }
+  if (step.action == null) {
+    const typo = Object.keys(step).find(k => suggest(k, ["action"]));
+    err(at, `missing "action"${typo ? ` ("${typo}" looks like a typo)` : ""}`);
+    return;
+  }
+  const spec = ACTION_SPECS[step.action];
+  if (!spec) {
+    err(at, `unknown action "${step.action}"${suggest(String(step.action), Object.keys(ACTION_SPECS))}`);
+    return;
+  }
+  const where = `${at} ${step.action}`;
+  const fields = fieldsOf(spec);
+
+  for (const f of spec.required || []) if (step[f] == null) err(at, `${step.action}: missing required field "${f}"`);
+  for (const group of spec.anyOf || []) {
+    if (!group.some(f => step[f] != null)) err(at, `${step.action}: needs one of ${group.map(f => `"${f}"`).join(", ")}`);
+  }
+  for (const [k, v] of Object.entries(step)) {
+    if (!(k in fields)) warn(at, `${step.action}: unknown field "${k}"${suggest(k, Object.keys(fields))}`);
+    else if (!checkType(v, fields[k])) err(at, `${step.action}: "${k}" should be ${typeName(fields[k])}`);
+  }
+
+  if (step.action === "key" && checkType(step.args, "object")) checkKeyArgs(step.args, at, ctx);
+  if (step.action === "touch") checkTouchArgs(step, at, ctx);
+
+  // ${var} references: mission vars, --var, loop counters, or labels captured earlier
+  for (const [k, v] of Object.entries(step)) {
+    if (fields[k] === "steps") continue;
+    for (const name of templateNames(v)) {
+      if (!locals.has(name) && !state.labels.property.has(name) && !state.dynamic.has("property")) {
+        warn(at, `${step.action}: \${${name}} is not a mission var or an earlier label (pass it with --var)`);
+      }
+    }
+  }
+
+  // Tier from the commands this step sends
+  const commands = [...(spec.commands || [])];
+  if (spec.condition) {
+    if (step.find) commands.push("find_nodes");
+    else if (step.node && step.property) commands.push("get_property");
+  }
+  for (const cmd of commands) {
+    const tier = COMMAND_TIERS[cmd] ?? 0;
+    if (tier > state.tier) { state.tier = tier; state.tierStep = `${where} (${cmd})`; }
+  }
+
+  // Condition syntax and the label it reads
+  if (spec.condition && !step.find) {
+    const hasForm = step.expr != null || step.value != null || step.path != null || step.label != null || (step.node && step.property);
+    if (!hasForm) {
+      err(at, `${step.action}: needs a condition ("expr", "value"/"op"/"expected", "node" + "property", or "find")`);
+    } else if (!isTemplate(step.expr) && !isTemplate(step.expected)) {
+      try {
+        const assertion = parseAssertion(step);
+        // exists / !exists probe for a label, so they don't require one
+        if (!(step.node && step.property) && assertion.op !== "exists" && assertion.op !== "not_exists") {
+          consumeLabel("property", splitPath(assertion.path)[0], at, step, ctx);
+        }
+      } catch (e) {
+        err(at, `${step.action}: ${e.message}`);
+      }
+    }
+  }
+
+  for (const c of spec.consumes || []) consumeLabel(c.kind, step[c.field], at, step, ctx);
+
+  // Control flow: walk nested steps with the loop counter in scope
+  if (step.action === "if") {
+    if (Array.isArray(step.then)) walkSteps(step.then, `${at}.then`, ctx);
+    if (Array.isArray(step.else)) walkSteps(step.else, `${at}.else`, ctx);
+  } else if (step.action === "repeat" || step.action === "loop_until") {
+    const counter = step.as || (step.action === "repeat" ? "index" : "attempt");
+    if (Array.isArray(step.steps)) walkSteps(step.steps, `${at}.steps`, { ...ctx, locals: new Set([...locals, counter]) });
+  } else if (step.action === "include" && typeof step.mission === "string") {
+    const target = ctx.byId.get(step.mission);
+    if (!target) {
+      err(at, `include: unknown mission "${step.mission}"`);
+    } else if (ctx.chain.includes(step.mission)) {
+      err(at, `include: cycle ${[...ctx.chain, step.mission].join(" → ")}`);
+    } else if (Array.isArray(target.steps)) {
+      // Findings inside the included mission are reported against that mission
+      const inner = {
+        ...ctx,
+        chain: [...ctx.chain, step.mission],
+        locals: new Set([...Object.keys(target.vars || {}), ...Object.keys(step.vars || {}), ...locals]),
+        err: () => {},
+        warn: () => {},
+      };
+      walkSteps(target.steps, `${at}<${step.mission}>`, inner);
+    }
+  }
+
+  // Record what this step captures, after checking what it reads
+  if (spec.produces) {
+    const p = spec.produces;
+    const label = step[p.field] ?? (p.fallbackField ? step[p.fallbackField] : p.fallback);
+    if (label == null) return;
+    if (isTemplate(label)) state.dynamic.add(p.kind);
+    else state.labels[p.kind].add(label);
+  }
+}
+
+function consumeLabel(kind, label, at, step, ctx) {
+  const { state, err, warn } = ctx;
+  if (typeof label !== "string" || isTemplate(label)) return;
+  if (state.labels[kind].has(label)) return;
+  const what = { screenshot: "screenshot", tree: "scene tree", property: "property label", reference: "reference image" }[kind];
+  if (kind === "reference") {
+    warn(at, `${step.action}: reference "${label}" does not exist yet — capture it with save_reference first`);
+  } else if (state.dynamic.has(kind)) {
+    warn(at, `${step.action}: ${what} "${label}" is not captured by a fixed label earlier in the mission`);
+  } else {
+    err(at, `${step.action}: ${what} "${label}" is not captured by any earlier step`);
+  }
+}
+
+/** Tier needed by the commands a mission sends (0 if it sends none). */
+export function requiredTier(mission, missions = [mission]) {
+  if (!Array.isArray(mission?.steps)) return 0;
+  const byId = new Map(missions.filter(m => m?.id).map(m => [m.id, m]));
+  const state = newState();
+  const noop = () => {};
+  walkSteps(mission.steps, "steps", { state, locals: new Set(), chain: [mission.id], byId, err: noop, warn: noop });
+  return state.tier;
+}
+
+// ── JSON Schema ──
+
+// Field types that also accept a ${var} template get a shared definition each.
+const TEMPLATABLE_TYPES = {
+  number: { type: "number" },
+  integer: { type: "integer" },
+  boolean: { type: "boolean" },
+  array: { type: "array" },
+  severity: { enum: SEVERITIES },
+  algorithm: { enum: DIFF_ALGORITHMS },
+  regions: {
+    type: "array",
+    items: {
+      anyOf: [
+        {
+          type: "object",
+          required: ["x", "y", "w", "h"],
+          properties: Object.fromEntries(["x", "y", "w", "h"].map(k => [k, { $ref: "#/definitions/number" }])),
+          additionalProperties: false,
+        },
+        {
+          type: "object",
+          required: ["node"],
+          properties: { node: { type: "string" }, pad: { $ref: "#/definitions/number" } },
+          additionalProperties: false,
+        },
+      ],
+    },
+  },
+  anchor: { anyOf: [{ enum: POINTER_ANCHORS }, { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2 }] },
+  button: { enum: MOUSE_BUTTONS },
+  points: { type: "array", items: { $ref: "#/definitions/point" } },
+  touch_type: { enum: TOUCH_TYPES },
+  fingers: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["points"],
+      properties: Object.fromEntries(Object.entries(FINGER_FIELDS).map(([k, t]) => [k, { $ref: `#/definitions/${t}` }])),
+      additionalProperties: false,
+    },
+  },
+  point: {
+    anyOf: [
+      { type: "array", items: { $ref: "#/definitions/number" }, minItems: 2, maxItems: 2 },
+      { type: "string" },
+      {
+        type: "object",
+        anyOf: [{ required: ["node"] }, { required: ["find"] }],
+        properties: {
+          node: { type: "string" }, find: { type: "object" }, anchor: { $ref: "#/definitions/anchor" }, offset: { type: "array" },
+        },
+        additionalProperties: false,
+      },
+    ],
+  },
+};
+
+function schemaForType(type) {
+  if (type in TEMPLATABLE_TYPES || type === "steps") return { $ref: `#/definitions/${type}` };
+  if (type === "string") return { type: "string" };
+  if (type === "object") return { type: "object" };
+  return {};
+}
+
+export function buildSchema() {
+  const definitions = {
+    template: { type: "string", pattern: "\\$\\{[^}]+\\}", description: "A ${var} reference, substituted before the step runs" },
+    steps: { type: "array", items: { $ref: "#/definitions/step" } },
+    ...Object.fromEntries(Object.entries(TEMPLATABLE_TYPES).map(([t, base]) => [t, { anyOf: [base, { $ref: "#/definitions/template" }] }])),
+    mission: {
+      type: "object",
+      required: MISSION_REQUIRED,
+      properties: Object.fromEntries(Object.entries(MISSION_FIELDS).map(([k, t]) => [k, schemaForType(t)])),
+      additionalProperties: false,
+    },
+    step: {
+      type: "object",
+      required: ["action"],
+      properties: { action: { enum: Object.keys(ACTION_SPECS) } },
+      allOf: Object.keys(ACTION_SPECS).map(a => ({
+        if: { properties: { action: { const: a } } },
+        then: { $ref: `#/definitions/step_${a}` },
+      })),
+    },
+  };
+  definitions.mission.properties.tier_required = { type: "integer", minimum: 0, maximum: 3 };
+
+  for (const [action, spec] of Object.entries(ACTION_SPECS)) {
+    const def = {
+      type: "object",
+      properties: Object.fromEntries(Object.entries(fieldsOf(spec)).map(([k, t]) => [k, schemaForType(t)])),
+      additionalProperties: false,
+    };
+    def.properties.action = { const: action };
+    const required = ["action", ...(spec.required || [])];
+    def.required = required;
+    const anyOf = (spec.anyOf || []).map(group => ({ anyOf: group.map(f => ({ required: [f] })) }));
+    if (spec.condition) {
+      anyOf.push({ anyOf: [["expr"], ["find"], ["value"], ["path"], ["label"], ["node", "property"]].map(r => ({ required: r })) });
+    }
+    if (anyOf.length === 1) Object.assign(def, anyOf[0]);
+    else if (anyOf.length > 1) def.allOf = anyOf;
+    definitions[`step_${action}`] = def;
+  }
+
+  return {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    title: "Godot Runtime Bridge missions file",
+    description: "Generated from ACTION_SPECS in missions/validate_missions.mjs — regenerate with `node missions/validate_missions.mjs --write-schema`.",
+    type: "array",
+    items: { $ref: "#/definitions/mission" },
+    definitions,
+  };
+}
+
+// ── CLI ──
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  if (process.argv.includes("--write-schema")) {
+    fs.writeFileSync(SCHEMA_FILE, JSON.stringify(buildSchema(), null, 2) + "\n");
+    console.log(`Wrote ${SCHEMA_FILE}`);
+  } else {
+    console.log("Usage: node validate_missions.mjs --write-schema");
+    console.log("       (validate a missions file with: node run_mission.mjs --validate [--missions-file <file>])");
+  }
+}